@@ -1,6 +1,33 @@
 const NowPaymentsAPI = require('./lib/NowPaymentsAPI');
 const NOWPaymentsWebSocket = require('./lib/WebSocketClient');
-const { NOWPaymentsError, APIError, ValidationError, WebSocketError } = require('./lib/errors');
+const IPNHandler = require('./lib/IPNHandler');
+const NOWPaymentsEmulator = require('./lib/Emulator');
+const PaymentTracker = require('./lib/PaymentTracker');
+const PaymentIterator = require('./lib/PaymentIterator');
+const PaymentWatcher = require('./lib/PaymentWatcher');
+const PaymentEvents = require('./lib/PaymentEvents');
+const Amount = require('./lib/Amount');
+const CurrencyRegistry = require('./lib/CurrencyRegistry');
+const Custody = require('./lib/Custody');
+const { Quote, QuoteEngine } = require('./lib/QuoteEngine');
+const { Payment, Invoice, Payout, PayoutBatch } = require('./lib/models');
+const { RateLimiter, MemoryRateLimitStore } = require('./lib/RateLimiter');
+const { BatchPayoutRunner, MemoryCheckpointStore } = require('./lib/BatchPayoutRunner');
+const PayoutImporter = require('./lib/PayoutImporter');
+const {
+  NOWPaymentsError,
+  APIError,
+  AuthenticationError,
+  RateLimitError,
+  NotFoundError,
+  AmountTooSmallError,
+  CurrencyUnavailableError,
+  NetworkError,
+  TimeoutError,
+  ValidationError,
+  WebSocketError,
+  AbortError
+} = require('./lib/errors');
 const constants = require('./lib/constants');
 const utils = require('./lib/utils');
 
@@ -14,16 +41,45 @@ const utils = require('./lib/utils');
  * @typedef {import('./types').Payout} Payout
  * @typedef {import('./types/advanced').PaymentStatusExtended} PaymentStatusExtended
  * @typedef {import('./types/advanced').PaymentFlow} PaymentFlow
+ * @typedef {import('./types/ipn').IPNHandlerOptions} IPNHandlerOptions
  */
 
 module.exports = {
   NowPaymentsAPI,
   NOWPaymentsWebSocket,
+  IPNHandler,
+  NOWPaymentsEmulator,
+  PaymentTracker,
+  PaymentIterator,
+  PaymentWatcher,
+  PaymentEvents,
+  Amount,
+  CurrencyRegistry,
+  Custody,
+  Quote,
+  QuoteEngine,
+  Payment,
+  Invoice,
+  Payout,
+  PayoutBatch,
+  RateLimiter,
+  MemoryRateLimitStore,
+  BatchPayoutRunner,
+  MemoryCheckpointStore,
+  PayoutImporter,
   errors: {
     NOWPaymentsError,
     APIError,
+    AuthenticationError,
+    RateLimitError,
+    NotFoundError,
+    AmountTooSmallError,
+    CurrencyUnavailableError,
+    NetworkError,
+    TimeoutError,
     ValidationError,
-    WebSocketError
+    WebSocketError,
+    AbortError
   },
   constants,
   utils,
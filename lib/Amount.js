@@ -0,0 +1,286 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Lossless decimal amount backed by BigInt
+ * @module Amount
+ */
+
+/**
+ * Matches plain and exponent decimal notation
+ * @type {RegExp}
+ */
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+/**
+ * Largest exponent accepted; larger ones would expand into huge digit strings
+ * @type {number}
+ */
+const MAX_EXPONENT = 100;
+
+/**
+ * Most significant digits accepted in one amount
+ * @type {number}
+ */
+const MAX_DIGITS = 200;
+
+/**
+ * Exact decimal amount with currency and precision
+ * @class Amount
+ */
+class Amount {
+  /**
+   * Creates amount from integer units
+   * @param {bigint} units - Amount in the smallest unit (value * 10^precision)
+   * @param {number} precision - Number of decimal places
+   * @param {string} [currency] - Currency code
+   */
+  constructor(units, precision, currency) {
+    this.units = BigInt(units);
+    this.precision = precision;
+    this.currency = currency ? String(currency).toUpperCase() : undefined;
+    Object.freeze(this);
+  }
+
+  /**
+   * Parses amount from Amount, decimal string, number or bigint
+   * @param {Amount|string|number|bigint} value - Value to parse
+   * @param {string} [currency] - Currency code
+   * @param {number} [precision] - Minimum precision; the value's own decimals are never dropped
+   * @returns {Amount} Parsed amount
+   * @throws {ValidationError} When value is not a valid decimal
+   */
+  static from(value, currency, precision = 0) {
+    if (value instanceof Amount) {
+      const rescaled = value.rescale(Math.max(value.precision, precision));
+      return new Amount(rescaled.units, rescaled.precision, currency || value.currency);
+    }
+
+    let text;
+    if (typeof value === 'bigint') {
+      text = value.toString();
+    } else if (typeof value === 'number' && Number.isFinite(value)) {
+      text = String(value);
+    } else if (typeof value === 'string') {
+      text = value.trim();
+    } else {
+      throw new ValidationError(`Invalid decimal amount: ${String(value)}`);
+    }
+
+    const match = DECIMAL_PATTERN.exec(text);
+    if (!match || (!match[2] && !match[3])) {
+      throw new ValidationError(`Invalid decimal amount: ${text}`);
+    }
+
+    const [, sign, integer = '', fraction = '', exponentText = '0'] = match;
+    const exponent = Number(exponentText);
+    if (Math.abs(exponent) > MAX_EXPONENT || integer.length + fraction.length > MAX_DIGITS) {
+      throw new ValidationError(`Decimal amount is out of range: ${text.slice(0, 32)}`);
+    }
+    let digits = `${integer}${fraction}`.replace(/^0+(?=\d)/, '') || '0';
+    let scale = fraction.length - exponent;
+    if (scale < 0) {
+      digits += '0'.repeat(-scale);
+      scale = 0;
+    }
+
+    const units = BigInt(digits) * (sign === '-' ? -1n : 1n);
+    return new Amount(units, scale, currency).rescale(Math.max(scale, precision));
+  }
+
+  /**
+   * Checks whether value can be parsed as an amount
+   * @param {*} value - Value to check
+   * @returns {boolean} Is value a valid amount
+   */
+  static isValid(value) {
+    try {
+      Amount.from(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Changes precision; reducing precision rounds half away from zero
+   * @param {number} precision - New precision
+   * @returns {Amount} Rescaled amount
+   */
+  rescale(precision) {
+    if (precision === this.precision) {
+      return this;
+    }
+    if (precision > this.precision) {
+      const factor = 10n ** BigInt(precision - this.precision);
+      return new Amount(this.units * factor, precision, this.currency);
+    }
+
+    const factor = 10n ** BigInt(this.precision - precision);
+    const negative = this.units < 0n;
+    const absolute = negative ? -this.units : this.units;
+    let quotient = absolute / factor;
+    if ((absolute % factor) * 2n >= factor) {
+      quotient += 1n;
+    }
+    return new Amount(negative ? -quotient : quotient, precision, this.currency);
+  }
+
+  /**
+   * Adds amounts exactly
+   * @param {Amount|string|number} other - Amount to add
+   * @returns {Amount} Sum
+   */
+  add(other) {
+    const [a, b] = this._align(other);
+    return new Amount(a.units + b.units, a.precision, this.currency || b.currency);
+  }
+
+  /**
+   * Subtracts amounts exactly
+   * @param {Amount|string|number} other - Amount to subtract
+   * @returns {Amount} Difference
+   */
+  sub(other) {
+    const [a, b] = this._align(other);
+    return new Amount(a.units - b.units, a.precision, this.currency || b.currency);
+  }
+
+  /**
+   * Multiplies by a plain factor and rounds to this amount's precision
+   * @param {string|number} factor - Multiplier
+   * @returns {Amount} Product
+   */
+  mul(factor) {
+    const multiplier = Amount.from(factor);
+    const precision = this.precision + multiplier.precision;
+    return new Amount(this.units * multiplier.units, precision, this.currency).rescale(this.precision);
+  }
+
+  /**
+   * Compares amounts exactly
+   * @param {Amount|string|number} other - Amount to compare with
+   * @returns {number} -1, 0 or 1
+   */
+  cmp(other) {
+    const [a, b] = this._align(other);
+    return a.units === b.units ? 0 : a.units < b.units ? -1 : 1;
+  }
+
+  /**
+   * @param {Amount|string|number} other - Amount to compare with
+   * @returns {boolean} Whether amounts are equal
+   */
+  eq(other) {
+    return this.cmp(other) === 0;
+  }
+
+  /**
+   * @param {Amount|string|number} other - Amount to compare with
+   * @returns {boolean} Whether this amount is greater
+   */
+  gt(other) {
+    return this.cmp(other) > 0;
+  }
+
+  /**
+   * @param {Amount|string|number} other - Amount to compare with
+   * @returns {boolean} Whether this amount is greater or equal
+   */
+  gte(other) {
+    return this.cmp(other) >= 0;
+  }
+
+  /**
+   * @param {Amount|string|number} other - Amount to compare with
+   * @returns {boolean} Whether this amount is smaller
+   */
+  lt(other) {
+    return this.cmp(other) < 0;
+  }
+
+  /**
+   * @param {Amount|string|number} other - Amount to compare with
+   * @returns {boolean} Whether this amount is smaller or equal
+   */
+  lte(other) {
+    return this.cmp(other) <= 0;
+  }
+
+  /**
+   * @returns {boolean} Whether amount is zero
+   */
+  isZero() {
+    return this.units === 0n;
+  }
+
+  /**
+   * @returns {boolean} Whether amount is greater than zero
+   */
+  isPositive() {
+    return this.units > 0n;
+  }
+
+  /**
+   * @returns {boolean} Whether amount is less than zero
+   */
+  isNegative() {
+    return this.units < 0n;
+  }
+
+  /**
+   * Formats amount with a fixed number of decimals
+   * @param {number} [decimals] - Decimal places, defaults to the amount's precision
+   * @returns {string} Formatted amount
+   */
+  toFixed(decimals = this.precision) {
+    const { units, precision } = this.rescale(decimals);
+    const negative = units < 0n;
+    const digits = (negative ? -units : units).toString().padStart(precision + 1, '0');
+    const integer = digits.slice(0, digits.length - precision);
+    const fraction = digits.slice(digits.length - precision);
+    return `${negative ? '-' : ''}${integer}${precision > 0 ? `.${fraction}` : ''}`;
+  }
+
+  /**
+   * Formats amount without trailing zeros
+   * @returns {string} Decimal string
+   */
+  toString() {
+    const fixed = this.toFixed();
+    return fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+  }
+
+  /**
+   * Converts to a JavaScript number; may lose precision
+   * @returns {number} Approximate value
+   */
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  /**
+   * Serializes as decimal string
+   * @returns {string} Decimal string
+   */
+  toJSON() {
+    return this.toString();
+  }
+
+  /**
+   * Brings two amounts to the same precision
+   * @private
+   * @param {Amount|string|number} other - Other amount
+   * @returns {Amount[]} Aligned amounts
+   * @throws {ValidationError} When currencies differ
+   */
+  _align(other) {
+    const amount = Amount.from(other);
+    if (this.currency && amount.currency && this.currency !== amount.currency) {
+      throw new ValidationError(`Cannot combine ${this.currency} and ${amount.currency} amounts`);
+    }
+    const precision = Math.max(this.precision, amount.precision);
+    return [this.rescale(precision), amount.rescale(precision)];
+  }
+}
+
+module.exports = Amount;
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { APIError, ValidationError, AbortError } = require('./errors');
+const schemas = require('./validation');
+const constants = require('./constants');
+
+const { PENDING, SUBMITTING, SUBMITTED, VERIFIED, FAILED, UNCERTAIN } =
+  constants.BATCH_PAYOUT_CHUNK_STATES;
+
+/**
+ * @typedef {import('../types').RequestOptions} RequestOptions
+ * @typedef {import('../types/batch').BatchPayoutRunParams} BatchPayoutRunParams
+ * @typedef {import('../types/batch').BatchPayoutRunnerOptions} BatchPayoutRunnerOptions
+ * @typedef {import('../types/batch').BatchPayoutCheckpoint} BatchPayoutCheckpoint
+ * @typedef {import('../types/batch').BatchPayoutChunk} BatchPayoutChunk
+ * @typedef {import('../types/batch').BatchPayoutReport} BatchPayoutReport
+ */
+
+/**
+ * In-process checkpoint store; implement the same interface on a database or file to
+ * resume runs after a restart
+ * @class MemoryCheckpointStore
+ */
+class MemoryCheckpointStore {
+  constructor() {
+    this.checkpoints = new Map();
+  }
+
+  /**
+   * @param {string} runId - Run identifier
+   * @returns {Promise<BatchPayoutCheckpoint|undefined>} Saved checkpoint
+   */
+  async get(runId) {
+    const checkpoint = this.checkpoints.get(runId);
+    return checkpoint === undefined ? undefined : JSON.parse(checkpoint);
+  }
+
+  /**
+   * @param {string} runId - Run identifier
+   * @param {BatchPayoutCheckpoint} checkpoint - Checkpoint to save
+   * @returns {Promise<void>}
+   */
+  async set(runId, checkpoint) {
+    this.checkpoints.set(runId, JSON.stringify(checkpoint));
+  }
+
+  /**
+   * @param {string} runId - Run identifier
+   * @returns {Promise<void>}
+   */
+  async delete(runId) {
+    this.checkpoints.delete(runId);
+  }
+}
+
+/**
+ * Sends payout lists of any size as API-sized batches, checkpointing every chunk so an
+ * interrupted run can be resumed without sending a batch twice
+ * @class BatchPayoutRunner
+ * @extends EventEmitter
+ */
+class BatchPayoutRunner extends EventEmitter {
+  /**
+   * Creates batch payout runner
+   * @param {import('./NowPaymentsAPI')} client - API client with payout credentials
+   * @param {BatchPayoutRunnerOptions} [options] - Checkpoint store and 2FA code provider
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.store = options.store || new MemoryCheckpointStore();
+    this.getVerificationCode = options.getVerificationCode;
+  }
+
+  /**
+   * Runs or resumes a batch payout. Chunks are sent in order, one at a time or with bounded
+   * parallelism. With `failureMode: 'stop'` no new chunk starts after one fails. Chunks whose
+   * outcome is unknown (network errors, 5xx, aborts mid-request) are never sent again; they
+   * are reported as `uncertain` for manual reconciliation.
+   * @param {BatchPayoutRunParams} params - Run id, payouts and processing options
+   * @param {RequestOptions} [options] - Request options applied to every batch request
+   * @returns {Promise<BatchPayoutReport>} Per-item results
+   * @throws {ValidationError} When parameters are invalid or the run id belongs to other payouts
+   * @throws {AbortError} When the signal aborts; the checkpoint keeps the progress made
+   * @fires BatchPayoutRunner#chunk
+   */
+  async run(params, options = {}) {
+    await this.client._validateSchema(params, schemas.batchPayoutRun, options);
+    this.client._validatePayoutAddresses(params.payouts, options);
+
+    const defaults = constants.DEFAULT_CONFIG.BATCH_PAYOUT;
+    const { runId, payouts, processingMode, failureMode = 'stop' } = params;
+    const chunkSize = params.chunkSize || defaults.CHUNK_SIZE;
+    const concurrency =
+      processingMode === 'sequential'
+        ? 1
+        : params.concurrency || (processingMode === 'parallel' ? defaults.CONCURRENCY : 1);
+
+    const checkpoint = await this._loadCheckpoint(runId, payouts, chunkSize);
+    let saving = Promise.resolve();
+    const save = () => {
+      const snapshot = JSON.parse(JSON.stringify(checkpoint));
+      saving = saving.then(() => this.store.set(runId, snapshot));
+      return saving;
+    };
+    await save();
+
+    const queue = checkpoint.chunks.filter(chunk => [PENDING, FAILED, SUBMITTED].includes(chunk.state));
+    let stopped = false;
+    const worker = async () => {
+      while (queue.length > 0 && !stopped && !(options.signal && options.signal.aborted)) {
+        const chunk = queue.shift();
+        const succeeded = await this._runChunk(checkpoint, chunk, payouts, save, options);
+        if (!succeeded && failureMode === 'stop') {
+          stopped = true;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+    await saving;
+
+    if (options.signal && options.signal.aborted) {
+      throw new AbortError(`Batch payout run ${runId} was aborted`, { runId });
+    }
+    return BatchPayoutRunner.report(checkpoint, payouts);
+  }
+
+  /**
+   * Loads the checkpoint of a resumed run or creates a new one
+   * @private
+   * @param {string} runId - Run identifier
+   * @param {Array<Object>} payouts - Payouts of the run
+   * @param {number} chunkSize - Payouts per batch request
+   * @returns {Promise<BatchPayoutCheckpoint>} Checkpoint
+   * @throws {ValidationError} When the saved run has different payouts or chunk size
+   */
+  async _loadCheckpoint(runId, payouts, chunkSize) {
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([chunkSize, payouts]))
+      .digest('hex');
+
+    const saved = await this.store.get(runId);
+    if (saved) {
+      if (saved.fingerprint !== fingerprint) {
+        throw new ValidationError(`Batch payout run ${runId} was started with different payouts`, {
+          runId
+        });
+      }
+      // The previous process stopped while these were in flight; they may have been created
+      saved.chunks
+        .filter(chunk => chunk.state === SUBMITTING)
+        .forEach(chunk => {
+          chunk.state = UNCERTAIN;
+          chunk.error = 'Run was interrupted while the batch was being sent';
+        });
+      return saved;
+    }
+
+    const chunks = [];
+    for (let start = 0; start < payouts.length; start += chunkSize) {
+      chunks.push({
+        index: chunks.length,
+        start,
+        end: Math.min(start + chunkSize, payouts.length),
+        state: PENDING
+      });
+    }
+    return { runId, fingerprint, chunkSize, total: payouts.length, chunks };
+  }
+
+  /**
+   * Sends and verifies one chunk
+   * @private
+   * @param {BatchPayoutCheckpoint} checkpoint - Run checkpoint
+   * @param {BatchPayoutChunk} chunk - Chunk to process
+   * @param {Array<Object>} payouts - Payouts of the run
+   * @param {function(): Promise<void>} save - Persists the checkpoint
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<boolean>} Whether the chunk succeeded
+   */
+  async _runChunk(checkpoint, chunk, payouts, save, options) {
+    if (chunk.state !== SUBMITTED) {
+      chunk.state = SUBMITTING;
+      delete chunk.error;
+      await save();
+
+      try {
+        const response = await this.client.createBatchPayout(
+          { payouts: payouts.slice(chunk.start, chunk.end) },
+          // A retried POST could create the batch twice; failures are resolved by the run instead
+          { ...options, raw: true, retries: 0 }
+        );
+        const created = Array.isArray(response) ? response : (response && response.withdrawals) || [];
+        const batchId = (response && response.id) || (created[0] && created[0].batch_withdrawal_id);
+        chunk.batchId = batchId === undefined ? undefined : String(batchId);
+        chunk.payoutIds = created.map(payout => String(payout.id));
+        chunk.state = SUBMITTED;
+      } catch (error) {
+        // Only a rejected request is known to have created nothing and may be sent again
+        const rejected =
+          error instanceof ValidationError ||
+          (error instanceof APIError && (!error.isRetryable || error.code === 429));
+        chunk.state = rejected ? FAILED : UNCERTAIN;
+        chunk.error = error.message;
+        await save();
+        this.emit('chunk', { ...chunk });
+        return false;
+      }
+      await save();
+    }
+
+    if (this.getVerificationCode && chunk.batchId !== undefined) {
+      try {
+        const code = await this.getVerificationCode(chunk.batchId);
+        await this.client.verifyPayout(chunk.batchId, code, options);
+        chunk.state = VERIFIED;
+      } catch (error) {
+        // Stays submitted, so a resumed run only repeats the verification
+        chunk.error = error.message;
+        await save();
+        this.emit('chunk', { ...chunk });
+        return false;
+      }
+      await save();
+    }
+
+    this.emit('chunk', { ...chunk });
+    return true;
+  }
+
+  /**
+   * Loads the report of a checkpointed run
+   * @param {string} runId - Run identifier
+   * @param {Array<Object>} payouts - Payouts of the run
+   * @returns {Promise<BatchPayoutReport|undefined>} Report, or undefined for unknown runs
+   */
+  async getReport(runId, payouts) {
+    const checkpoint = await this.store.get(runId);
+    return checkpoint && BatchPayoutRunner.report(checkpoint, payouts);
+  }
+
+  /**
+   * Builds per-item results from a checkpoint
+   * @param {BatchPayoutCheckpoint} checkpoint - Run checkpoint
+   * @param {Array<Object>} payouts - Payouts of the run
+   * @returns {BatchPayoutReport} Report
+   */
+  static report(checkpoint, payouts) {
+    const counts = { created: 0, failed: 0, uncertain: 0, skipped: 0 };
+    const items = payouts.map((payout, index) => {
+      const chunk = checkpoint.chunks[Math.floor(index / checkpoint.chunkSize)];
+      const item = { index, chunk: chunk.index, ...payout };
+
+      if (chunk.state === SUBMITTED || chunk.state === VERIFIED) {
+        item.status = 'created';
+        item.batchId = chunk.batchId;
+        item.payoutId = chunk.payoutIds ? chunk.payoutIds[index - chunk.start] : undefined;
+        item.verified = chunk.state === VERIFIED;
+      } else if (chunk.state === FAILED || chunk.state === UNCERTAIN) {
+        item.status = chunk.state;
+        item.error = chunk.error;
+      } else {
+        item.status = 'skipped';
+      }
+      counts[item.status] += 1;
+      return item;
+    });
+
+    return {
+      runId: checkpoint.runId,
+      total: payouts.length,
+      ...counts,
+      completed: counts.created === payouts.length,
+      chunks: checkpoint.chunks.map(chunk => ({ ...chunk })),
+      items
+    };
+  }
+}
+
+module.exports = {
+  BatchPayoutRunner,
+  MemoryCheckpointStore
+};
@@ -0,0 +1,216 @@
+const constants = require('./constants');
+const utils = require('./utils');
+
+/**
+ * Live currency metadata loaded from getFullCurrencies with TTL caching
+ * @class CurrencyRegistry
+ * @typedef {import('../types/advanced').AdvancedCurrency} AdvancedCurrency
+ * @typedef {import('../types/currency').CurrencyInfo} CurrencyInfo
+ * @typedef {import('../types/currency').CurrencyRegistryOptions} CurrencyRegistryOptions
+ */
+class CurrencyRegistry {
+  /**
+   * Creates currency registry
+   * @param {import('./NowPaymentsAPI')} client - API client used to load currencies
+   * @param {CurrencyRegistryOptions} [options] - Registry options
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.ttl = options.ttl || constants.DEFAULT_CONFIG.CURRENCY_REGISTRY.TTL;
+    this.currencies = new Map();
+    this.loadedAt = 0;
+    this._loading = null;
+  }
+
+  /**
+   * Whether currencies have been loaded at least once
+   * @returns {boolean} Is registry loaded
+   */
+  isLoaded() {
+    return this.loadedAt > 0;
+  }
+
+  /**
+   * Whether cached currencies are older than the TTL
+   * @returns {boolean} Is registry stale
+   */
+  isStale() {
+    return !this.isLoaded() || Date.now() - this.loadedAt >= this.ttl;
+  }
+
+  /**
+   * Loads currencies from the API, replacing the cache
+   * @returns {Promise<CurrencyRegistry>} This registry
+   * @throws {APIError} When currencies cannot be loaded
+   */
+  async load() {
+    if (!this._loading) {
+      this._loading = this.client
+        .getFullCurrencies()
+        .then(response => {
+          const list = Array.isArray(response) ? response : (response && response.currencies) || [];
+          this.currencies = new Map();
+          list.map(item => this._normalize(item)).forEach(info => this.currencies.set(info.code, info));
+          this.loadedAt = Date.now();
+          return this;
+        })
+        .finally(() => {
+          this._loading = null;
+        });
+    }
+    return this._loading;
+  }
+
+  /**
+   * Loads currencies when missing or stale; stale data is kept if a refresh fails
+   * @returns {Promise<CurrencyRegistry>} This registry
+   * @throws {APIError} When currencies were never loaded and loading fails
+   */
+  async ensureLoaded() {
+    if (!this.isStale()) {
+      return this;
+    }
+    try {
+      return await this.load();
+    } catch (error) {
+      if (this.isLoaded()) {
+        return this;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Gets currency metadata
+   * @param {string} code - Currency code
+   * @returns {CurrencyInfo|undefined} Currency metadata
+   */
+  get(code) {
+    return code ? this.currencies.get(String(code).toUpperCase()) : undefined;
+  }
+
+  /**
+   * Checks whether currency is known
+   * @param {string} code - Currency code
+   * @returns {boolean} Is currency known
+   */
+  has(code) {
+    return this.get(code) !== undefined;
+  }
+
+  /**
+   * Lists all known currencies
+   * @returns {CurrencyInfo[]} Currency metadata
+   */
+  list() {
+    return [...this.currencies.values()];
+  }
+
+  /**
+   * Gets number of decimal places
+   * @param {string} code - Currency code
+   * @returns {number|undefined} Precision
+   */
+  getPrecision(code) {
+    const info = this.get(code);
+    return info ? info.precision : undefined;
+  }
+
+  /**
+   * Gets default network
+   * @param {string} code - Currency code
+   * @returns {string|undefined} Network name
+   */
+  getNetwork(code) {
+    const info = this.get(code);
+    if (!info) {
+      return undefined;
+    }
+    const preferred = info.networks.find(network => network.is_default) || info.networks[0];
+    return info.network || (preferred && preferred.network_id);
+  }
+
+  /**
+   * Gets minimum and maximum amounts
+   * @param {string} code - Currency code
+   * @returns {{min: number|undefined, max: number|undefined}} Amount limits
+   */
+  getLimits(code) {
+    const info = this.get(code) || {};
+    return { min: info.minimum_amount, max: info.maximum_amount };
+  }
+
+  /**
+   * Checks whether currency is known and currently available
+   * @param {string} code - Currency code
+   * @returns {boolean} Is currency available
+   */
+  isAvailable(code) {
+    const info = this.get(code);
+    return Boolean(info && info.isAvailable);
+  }
+
+  /**
+   * Checks whether payouts to this currency take an extra id (memo, destination tag)
+   * @param {string} code - Currency code
+   * @returns {boolean} Does currency use an extra id
+   */
+  requiresExtraId(code) {
+    const info = this.get(code);
+    return Boolean(info && info.hasExternalId);
+  }
+
+  /**
+   * Formats amount using the currency's live precision
+   * @param {number|string|import('./Amount')} amount - Amount to format
+   * @param {string} code - Currency code
+   * @returns {string} Formatted amount
+   */
+  formatAmount(amount, code) {
+    return utils.formatCurrencyAmount(amount, code, this);
+  }
+
+  /**
+   * Validates address using built-in patterns or the currency's validation regex
+   * @param {string} address - Cryptocurrency address
+   * @param {string} code - Currency code
+   * @returns {boolean} Is address valid
+   */
+  validateAddress(address, code) {
+    return utils.isValidCryptoAddress(address, code, this);
+  }
+
+  /**
+   * Normalizes currency entry from either API format
+   * @private
+   * @param {string|Object} item - Currency code or currency object
+   * @returns {CurrencyInfo} Currency metadata
+   */
+  _normalize(item) {
+    const raw = typeof item === 'string' ? { currency: item } : item;
+    const code = String(raw.currency || raw.code || raw.ticker).toUpperCase();
+    const pick = (...keys) =>
+      keys.map(key => raw[key]).find(value => value !== undefined && value !== null);
+    const precision = pick('precision', 'network_precision');
+    const minimum = pick('minimum_amount', 'min_amount');
+    const maximum = pick('maximum_amount', 'max_amount');
+
+    return {
+      ...raw,
+      code,
+      currency: code,
+      name: pick('name') || code,
+      isFiat: Boolean(pick('isFiat', 'is_fiat')),
+      isAvailable: pick('isAvailable', 'enable', 'available') !== false,
+      hasExternalId: Boolean(pick('hasExternalId', 'extra_id_exists', 'has_extra_id')),
+      network: pick('network'),
+      networks: Array.isArray(raw.networks) ? raw.networks : [],
+      precision: precision === undefined ? undefined : Number(precision),
+      minimum_amount: minimum === undefined ? undefined : Number(minimum),
+      maximum_amount: maximum === undefined ? undefined : Number(maximum),
+      validation_regex: pick('validation_regex', 'wallet_regex')
+    };
+  }
+}
+
+module.exports = CurrencyRegistry;
@@ -0,0 +1,230 @@
+const constants = require('./constants');
+const schemas = require('./validation');
+
+/**
+ * Custody (sub-partner) operations, available as `client.custody`
+ * @class Custody
+ * @typedef {import('../types').RequestOptions} RequestOptions
+ * @typedef {import('../types/custody').SubPartner} SubPartner
+ * @typedef {import('../types/custody').SubPartnerBalance} SubPartnerBalance
+ * @typedef {import('../types/custody').CustodyTransfer} CustodyTransfer
+ * @typedef {import('../types/custody').ListSubPartnersParams} ListSubPartnersParams
+ * @typedef {import('../types/custody').CreateCustodyDepositParams} CreateCustodyDepositParams
+ * @typedef {import('../types/custody').CustodyAmountParams} CustodyAmountParams
+ * @typedef {import('../types/custody').CustodyTransferParams} CustodyTransferParams
+ * @typedef {import('../types/custody').ListTransfersParams} ListTransfersParams
+ * @typedef {import('../types/custody').CustodyListResponse} CustodyListResponse
+ */
+class Custody {
+  /**
+   * Creates custody namespace
+   * @param {import('./NowPaymentsAPI')} client - API client providing transport and validation
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Create sub-partner (customer) account (requires payout credentials)
+   * @param {string} name - Unique account name, e.g. your internal user id
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<{result: SubPartner}>} Created account
+   * @throws {ValidationError} When name is invalid
+   * @throws {APIError} When API request fails
+   */
+  async createSubPartner(name, options) {
+    await this.client._validateSchema({ name }, schemas.createSubPartner, options);
+    return this.client._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/sub-partner/balance',
+        requiresAuth: true,
+        data: { name },
+      },
+      options
+    );
+  }
+
+  /**
+   * Get sub-partner accounts list (requires payout credentials)
+   * @param {ListSubPartnersParams} [params] - Query parameters
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<CustodyListResponse<SubPartner>>} Accounts
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async listSubPartners(params = {}, options) {
+    await this.client._validateSchema(params, schemas.listSubPartners, options);
+    return this.client._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/sub-partner',
+        requiresAuth: true,
+        params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Get balances of a sub-partner account
+   * @param {string} subPartnerId - Sub-partner identifier
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<{result: SubPartnerBalance}>} Balances keyed by currency
+   * @throws {APIError} When account not found or API error
+   */
+  async getBalance(subPartnerId, options) {
+    return this.client._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: `/sub-partner/balance/${subPartnerId}`,
+      },
+      options
+    );
+  }
+
+  /**
+   * Create crypto deposit payment credited to a sub-partner account (requires payout credentials)
+   * @param {CreateCustodyDepositParams} params - Deposit parameters
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<{result: import('../types').PaymentStatus}>} Deposit payment with pay_address
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async createDeposit(params, options) {
+    await this.client._validateSchema(params, schemas.createCustodyDeposit, options);
+    return this.client._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/sub-partner/payment',
+        requiresAuth: true,
+        data: params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Move funds from the master account to a sub-partner account (requires payout credentials)
+   * @param {CustodyAmountParams} params - Target account, currency and amount
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<{result: CustodyTransfer}>} Created transfer
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async depositFromMaster(params, options) {
+    await this.client._validateSchema(params, schemas.custodyAmount, options);
+    return this.client._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/sub-partner/deposit',
+        requiresAuth: true,
+        data: params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Move funds from a sub-partner account to the master account (requires payout credentials)
+   * @param {CustodyAmountParams} params - Source account, currency and amount
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<{result: CustodyTransfer}>} Created transfer
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async withdrawToMaster(params, options) {
+    await this.client._validateSchema(params, schemas.custodyAmount, options);
+    return this.client._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/sub-partner/write-off',
+        requiresAuth: true,
+        data: params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Move funds between two sub-partner accounts (requires payout credentials)
+   * @param {CustodyTransferParams} params - Source, target, currency and amount
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<{result: CustodyTransfer}>} Created transfer
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async transfer(params, options) {
+    await this.client._validateSchema(params, schemas.custodyTransfer, options);
+    return this.client._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/sub-partner/transfer',
+        requiresAuth: true,
+        data: params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Get transfer by ID (requires payout credentials)
+   * @param {string} transferId - Transfer identifier
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<{result: CustodyTransfer}>} Transfer
+   * @throws {APIError} When transfer not found or API error
+   */
+  async getTransfer(transferId, options) {
+    return this.client._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: `/sub-partner/transfer/${transferId}`,
+        requiresAuth: true,
+      },
+      options
+    );
+  }
+
+  /**
+   * Get one page of transfers (requires payout credentials)
+   * @param {ListTransfersParams} [params] - Query parameters
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<CustodyListResponse<CustodyTransfer>>} Transfers page with total count
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async listTransfers(params = {}, options) {
+    await this.client._validateSchema(params, schemas.listTransfers, options);
+    return this.client._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/sub-partner/transfers',
+        requiresAuth: true,
+        params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Iterate over all transfers matching the query, fetching pages by offset
+   * @param {ListTransfersParams} [params] - Query parameters; `limit` sets the page size
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {AsyncGenerator<CustodyTransfer>} Transfer generator
+   */
+  async *iterateTransfers(params = {}, options) {
+    const limit = params.limit || constants.DEFAULT_CONFIG.PAGINATION.DEFAULT_LIMIT;
+    for (let offset = params.offset || 0; ; offset += limit) {
+      const response = await this.listTransfers({ ...params, limit, offset }, options);
+      const items = (response && response.result) || [];
+      yield* items;
+
+      const total = response && response.count !== undefined ? Number(response.count) : undefined;
+      if (items.length < limit || (total !== undefined && offset + items.length >= total)) {
+        return;
+      }
+    }
+  }
+}
+
+module.exports = Custody;
@@ -0,0 +1,984 @@
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const axios = require('axios');
+const WebSocket = require('ws');
+const constants = require('./constants');
+const utils = require('./utils');
+
+/**
+ * Local NOWPayments API emulator for offline integration testing
+ * @module Emulator
+ */
+
+/**
+ * @typedef {import('../types/emulator').EmulatorOptions} EmulatorOptions
+ * @typedef {import('../types').PaymentStatus} PaymentStatus
+ * @typedef {import('../types').PaymentStatusType} PaymentStatusType
+ */
+
+const { PAYMENT_STATUSES } = constants;
+
+/**
+ * Status path followed by advancePayment() and the automatic scheduler
+ * @type {string[]}
+ */
+const DEFAULT_LIFECYCLE = [
+  PAYMENT_STATUSES.WAITING,
+  PAYMENT_STATUSES.CONFIRMING,
+  PAYMENT_STATUSES.CONFIRMED,
+  PAYMENT_STATUSES.SENDING,
+  PAYMENT_STATUSES.FINISHED
+];
+
+/**
+ * Statuses reached only after the full pay amount was received
+ * @type {string[]}
+ */
+const PAID_STATUSES = [
+  PAYMENT_STATUSES.CONFIRMING,
+  PAYMENT_STATUSES.CONFIRMED,
+  PAYMENT_STATUSES.SENDING,
+  PAYMENT_STATUSES.FINISHED
+];
+
+/**
+ * USD prices used for estimates and pay amounts
+ * @type {Object<string, number>}
+ */
+const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  BTC: 60000,
+  ETH: 3000,
+  USDT: 1,
+  USDC: 1,
+  BNB: 550,
+  XRP: 0.5,
+  ADA: 0.4,
+  DOGE: 0.12,
+  SOL: 140
+};
+
+/**
+ * In-memory HTTP and WebSocket server implementing the NOWPayments endpoints used by the client
+ * @class NOWPaymentsEmulator
+ * @extends EventEmitter
+ */
+class NOWPaymentsEmulator extends EventEmitter {
+  /**
+   * Creates emulator instance
+   * @param {EmulatorOptions} [options] - Emulator options
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      apiKey: options.apiKey,
+      ipnSecret: options.ipnSecret,
+      credentials: options.credentials,
+      tokenTTL: options.tokenTTL || constants.DEFAULT_CONFIG.AUTH.TOKEN_TTL,
+      host: options.host || '127.0.0.1',
+      port: options.port || 0,
+      autoAdvance: options.autoAdvance || 0,
+      lifecycle: options.lifecycle || DEFAULT_LIFECYCLE,
+      rates: { ...DEFAULT_RATES, ...options.rates },
+      minAmount: options.minAmount || 0.0001,
+      fixedRateTTL: options.fixedRateTTL || 20 * 60 * 1000,
+      verificationCode: options.verificationCode
+    };
+
+    this.server = null;
+    this.wss = null;
+    this.advanceTimer = null;
+    this.routes = this._buildRoutes();
+    this.reset();
+  }
+
+  /**
+   * Base URL to pass as `baseURL` to NowPaymentsAPI
+   * @returns {string} REST base URL
+   */
+  get baseURL() {
+    return `http://${this.options.host}:${this._port()}/v1`;
+  }
+
+  /**
+   * WebSocket endpoint to pass as `endpoint` to NOWPaymentsWebSocket
+   * @returns {string} WebSocket URL
+   */
+  get wsEndpoint() {
+    return `ws://${this.options.host}:${this._port()}/ws`;
+  }
+
+  /**
+   * Starts HTTP and WebSocket servers
+   * @returns {Promise<{baseURL: string, wsEndpoint: string}>} Endpoints to connect to
+   */
+  async start() {
+    if (this.server) {
+      return { baseURL: this.baseURL, wsEndpoint: this.wsEndpoint };
+    }
+
+    this.server = http.createServer((req, res) => this._handleRequest(req, res));
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.wss.on('connection', ws => ws.on('message', data => this._handleSocketMessage(ws, data)));
+    this.server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    if (this.options.autoAdvance > 0) {
+      this.advanceTimer = setInterval(() => this._advanceAll(), this.options.autoAdvance);
+      this.advanceTimer.unref();
+    }
+
+    return { baseURL: this.baseURL, wsEndpoint: this.wsEndpoint };
+  }
+
+  /**
+   * Stops servers and scheduler
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.advanceTimer);
+    this.advanceTimer = null;
+
+    if (this.wss) {
+      this.wss.clients.forEach(client => client.terminate());
+      this.wss.close();
+      this.wss = null;
+    }
+
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  }
+
+  /**
+   * Clears all stored payments, invoices and payouts
+   */
+  reset() {
+    this.payments = new Map();
+    this.invoices = new Map();
+    this.payouts = new Map();
+    this.tokens = new Map();
+    this.sequence = 5000000000;
+  }
+
+  /**
+   * Gets stored payment
+   * @param {string} paymentId - Payment identifier
+   * @returns {PaymentStatus|undefined} Payment status
+   */
+  getPayment(paymentId) {
+    const record = this.payments.get(String(paymentId));
+    return record ? record.payment : undefined;
+  }
+
+  /**
+   * Moves payment to the next status of the configured lifecycle
+   * @param {string} paymentId - Payment identifier
+   * @returns {Promise<PaymentStatus>} Updated payment
+   * @throws {Error} When payment does not exist
+   */
+  async advancePayment(paymentId) {
+    const payment = this._requirePayment(paymentId);
+    const { lifecycle } = this.options;
+    const next = lifecycle[lifecycle.indexOf(payment.payment_status) + 1];
+    if (!next) {
+      return payment;
+    }
+    return this.setPaymentStatus(paymentId, next);
+  }
+
+  /**
+   * Sets payment status, pushes a WebSocket update and fires the IPN callback
+   * @param {string} paymentId - Payment identifier
+   * @param {PaymentStatusType} status - New payment status
+   * @param {Partial<PaymentStatus>} [patch] - Additional fields to update
+   * @returns {Promise<PaymentStatus>} Updated payment
+   * @throws {Error} When payment does not exist or status is unknown
+   */
+  async setPaymentStatus(paymentId, status, patch = {}) {
+    if (!Object.values(PAYMENT_STATUSES).includes(status)) {
+      throw new Error(`Unknown payment status: ${status}`);
+    }
+
+    const record = this.payments.get(String(paymentId));
+    if (!record) {
+      throw new Error(`Payment ${paymentId} not found`);
+    }
+
+    const { payment } = record;
+    if (status === PAYMENT_STATUSES.PARTIALLY_PAID && patch.actually_paid === undefined) {
+      payment.actually_paid = payment.pay_amount / 2;
+    } else if (PAID_STATUSES.includes(status) && patch.actually_paid === undefined) {
+      payment.actually_paid = payment.pay_amount;
+    }
+
+    Object.assign(payment, patch, {
+      payment_status: status,
+      updated_at: new Date().toISOString()
+    });
+    record.history.push({ name: status, status, timestamp: payment.updated_at });
+
+    this.emit('payment_update', { ...payment });
+    this._broadcast({ type: constants.WEBSOCKET_EVENTS.PAYMENT_UPDATE, data: { ...payment } });
+    await this._sendIPN(payment, record.ipnCallbackUrl);
+
+    return payment;
+  }
+
+  /**
+   * Sets payout status
+   * @param {string} payoutId - Payout identifier
+   * @param {string} status - New payout status
+   * @param {Object} [patch] - Additional fields to update
+   * @returns {Object} Updated payout
+   * @throws {Error} When payout does not exist
+   */
+  setPayoutStatus(payoutId, status, patch = {}) {
+    const payout = this.payouts.get(String(payoutId));
+    if (!payout) {
+      throw new Error(`Payout ${payoutId} not found`);
+    }
+    Object.assign(payout, patch, { status, updated_at: new Date().toISOString() });
+    this.emit('payout_update', { ...payout });
+    return payout;
+  }
+
+  /**
+   * Route table for REST endpoints
+   * @private
+   * @returns {Array<{method: string, pattern: RegExp, handler: Function}>} Routes
+   */
+  _buildRoutes() {
+    const { GET, POST } = constants.HTTP_METHODS;
+    return [
+      { method: GET, pattern: /^\/status$/, handler: () => [200, { message: 'OK' }] },
+      { method: POST, pattern: /^\/auth$/, handler: req => this._authenticate(req.body) },
+      { method: GET, pattern: /^\/currencies$/, handler: () => [200, this._currencies()] },
+      {
+        method: GET,
+        pattern: /^\/full-currencies$/,
+        handler: () => [200, { currencies: this._fullCurrencies() }]
+      },
+      { method: GET, pattern: /^\/estimate$/, handler: req => this._estimate(req.query) },
+      { method: GET, pattern: /^\/min-amount$/, handler: req => this._minAmount(req.query) },
+      {
+        method: GET,
+        pattern: /^\/payout-withdrawal\/min-amount\/([^/]+)$/,
+        handler: () => [200, { success: true, result: this.options.minAmount }]
+      },
+      { method: POST, pattern: /^\/payment$/, handler: req => this._createPayment(req.body) },
+      { method: GET, pattern: /^\/payment$/, handler: req => this._listPayments(req.query) },
+      { method: GET, pattern: /^\/payment\/([^/]+)$/, handler: (req, id) => this._paymentStatus(id) },
+      { method: GET, pattern: /^\/payment\/([^/]+)\/flow$/, handler: (req, id) => this._paymentFlow(id) },
+      {
+        method: POST,
+        pattern: /^\/payment\/([^/]+)\/update-merchant-estimate$/,
+        handler: (req, id) => this._updatePaymentEstimate(id)
+      },
+      { method: POST, pattern: /^\/invoice$/, handler: req => this._createInvoice(req.body) },
+      { method: GET, pattern: /^\/invoice$/, handler: req => this._listInvoices(req.query) },
+      { method: GET, pattern: /^\/invoice\/([^/]+)$/, handler: (req, id) => this._invoice(id) },
+      { method: POST, pattern: /^\/invoice-payment$/, handler: req => this._createInvoicePayment(req.body) },
+      {
+        method: POST,
+        pattern: /^\/payout$/,
+        requiresAuth: true,
+        handler: req => this._createBatchPayout({ payouts: [req.body] })
+      },
+      {
+        method: POST,
+        pattern: /^\/batch-payout$/,
+        requiresAuth: true,
+        handler: req => this._createBatchPayout(req.body)
+      },
+      {
+        method: GET,
+        pattern: /^\/payout$/,
+        requiresAuth: true,
+        handler: req => this._listPayouts(req.query)
+      },
+      { method: GET, pattern: /^\/payout\/([^/]+)$/, handler: (req, id) => this._payoutStatus(id) },
+      {
+        method: POST,
+        pattern: /^\/payout\/([^/]+)\/verify$/,
+        requiresAuth: true,
+        handler: (req, id) => this._verifyPayout(id, req.body)
+      },
+      {
+        method: POST,
+        pattern: /^\/payout\/([^/]+)\/cancel$/,
+        requiresAuth: true,
+        handler: (req, id) => this._cancelPayout(id)
+      }
+    ];
+  }
+
+  /**
+   * Handles REST request
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname.replace(/^\/v1(?=\/)/, '').replace(/\/$/, '');
+    const method = req.method.toLowerCase();
+
+    let result;
+    try {
+      if (!this._isAuthorized(req)) {
+        result = [403, { message: 'Invalid api key' }];
+      } else {
+        const route = this.routes.find(r => r.method === method && r.pattern.test(path));
+        if (!route) {
+          result = [404, { message: `Route ${req.method} ${path} not found` }];
+        } else if (route.requiresAuth && !this._hasValidToken(req)) {
+          result = [401, { message: 'Authorization header is empty or token is expired' }];
+        } else {
+          const body = await this._readBody(req);
+          const request = { query: Object.fromEntries(url.searchParams), body, headers: req.headers };
+          result = await route.handler(request, ...path.match(route.pattern).slice(1));
+        }
+      }
+    } catch (error) {
+      result = [error instanceof SyntaxError ? 400 : 500, { message: error.message }];
+    }
+
+    const [statusCode, payload] = result;
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  /**
+   * Accepts WebSocket upgrades on /ws
+   * @private
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {import('net').Socket} socket - Network socket
+   * @param {Buffer} head - First packet of upgraded stream
+   */
+  _handleUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/ws' || !this._isAuthorized(req)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req));
+  }
+
+  /**
+   * Checks API key header when emulator has a key configured
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} Whether request is authorized
+   */
+  _isAuthorized(req) {
+    return !this.options.apiKey || req.headers['x-api-key'] === this.options.apiKey;
+  }
+
+  /**
+   * Checks Bearer token when emulator has payout credentials configured
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} Whether token is valid
+   */
+  _hasValidToken(req) {
+    if (!this.options.credentials) {
+      return true;
+    }
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const expiresAt = match && this.tokens.get(match[1]);
+    return Boolean(expiresAt) && expiresAt > Date.now();
+  }
+
+  /**
+   * Issues JWT for valid credentials
+   * @private
+   * @param {Object} body - Credentials
+   * @returns {Array} Status code and body
+   */
+  _authenticate(body) {
+    const { credentials, tokenTTL } = this.options;
+    if (credentials && (body.email !== credentials.email || body.password !== credentials.password)) {
+      return [401, { message: 'Invalid credentials' }];
+    }
+
+    const expiresAt = Date.now() + tokenTTL;
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const token = [
+      encode({ alg: 'none', typ: 'JWT' }),
+      encode({ id: this._nextId(), exp: Math.floor(expiresAt / 1000) }),
+      crypto.randomBytes(16).toString('base64url')
+    ].join('.');
+
+    this.tokens.set(token, expiresAt);
+    return [200, { token }];
+  }
+
+  /**
+   * Reads JSON request body
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body
+   */
+  async _readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const raw = Buffer.concat(chunks).toString('utf8');
+    return raw ? JSON.parse(raw) : {};
+  }
+
+  /**
+   * @private
+   * @returns {Object[]} Currency list
+   */
+  _currencies() {
+    const { FIAT, CRYPTO } = constants.SUPPORTED_CURRENCIES;
+    return [
+      ...CRYPTO.map(currency => ({ currency, name: currency, isFiat: false, isAvailable: true })),
+      ...FIAT.map(currency => ({ currency, name: currency, isFiat: true, isAvailable: true }))
+    ];
+  }
+
+  /**
+   * @private
+   * @returns {Object[]} Crypto currencies in the `/full-currencies` format
+   */
+  _fullCurrencies() {
+    return constants.SUPPORTED_CURRENCIES.CRYPTO.map((currency, index) => ({
+      id: index + 1,
+      code: currency.toLowerCase(),
+      name: currency,
+      enable: true,
+      wallet_regex: null,
+      priority: index + 1,
+      extra_id_exists: Boolean(constants.EXTRA_ID_RULES[currency]),
+      extra_id_regex: null,
+      network: ['USDT', 'USDC'].includes(currency) ? 'eth' : currency.toLowerCase(),
+      precision: utils.getCurrencyDecimals(currency)
+    }));
+  }
+
+  /**
+   * Converts amount between currencies using configured rates
+   * @private
+   * @param {number} amount - Amount in source currency
+   * @param {string} from - Source currency code
+   * @param {string} to - Target currency code
+   * @returns {number|null} Converted amount, or null for unknown currencies
+   */
+  _convert(amount, from, to) {
+    const fromRate = this.options.rates[String(from).toUpperCase()];
+    const toRate = this.options.rates[String(to).toUpperCase()];
+    if (!fromRate || !toRate) {
+      return null;
+    }
+    return Number(((Number(amount) * fromRate) / toRate).toFixed(8));
+  }
+
+  /**
+   * @private
+   * @param {Object} query - Query parameters
+   * @returns {Array} Status code and body
+   */
+  _estimate(query) {
+    const estimated = this._convert(query.amount, query.currency_from, query.currency_to);
+    if (estimated === null) {
+      return [400, { message: 'Currency is not supported' }];
+    }
+    return [
+      200,
+      {
+        currency_from: query.currency_from,
+        currency_to: query.currency_to,
+        amount_from: Number(query.amount),
+        estimated_amount: estimated,
+        rate: this._convert(1, query.currency_from, query.currency_to)
+      }
+    ];
+  }
+
+  /**
+   * @private
+   * @param {Object} query - Query parameters
+   * @returns {Array} Status code and body
+   */
+  _minAmount(query) {
+    return [200, { currency: query.currency, min_amount: this.options.minAmount }];
+  }
+
+  /**
+   * @private
+   * @param {Object} body - Payment creation parameters
+   * @returns {Array} Status code and body
+   */
+  _createPayment(body) {
+    const payAmount = this._convert(body.price_amount, body.price_currency, body.pay_currency);
+    if (payAmount === null) {
+      return [400, { message: 'Currency is not supported' }];
+    }
+
+    const now = new Date().toISOString();
+    const payment = {
+      payment_id: this._nextId(),
+      payment_status: PAYMENT_STATUSES.WAITING,
+      pay_address: crypto.randomBytes(20).toString('hex'),
+      price_amount: Number(body.price_amount),
+      price_currency: body.price_currency,
+      pay_amount: payAmount,
+      actually_paid: 0,
+      pay_currency: body.pay_currency,
+      order_id: body.order_id || '',
+      order_description: body.order_description || '',
+      purchase_id: body.purchase_id || this._nextId(),
+      invoice_id: body.invoice_id || null,
+      created_at: now,
+      updated_at: now,
+      outcome_amount: payAmount,
+      outcome_currency: body.payout_currency || body.pay_currency,
+      ...(body.is_fixed_rate && {
+        expiration_estimate_date: new Date(Date.now() + this.options.fixedRateTTL).toISOString()
+      })
+    };
+
+    this.payments.set(payment.payment_id, {
+      payment,
+      ipnCallbackUrl: body.ipn_callback_url,
+      history: [{ name: payment.payment_status, status: payment.payment_status, timestamp: now }]
+    });
+
+    return [201, { ...payment }];
+  }
+
+  /**
+   * @private
+   * @param {Object} query - Query parameters
+   * @returns {Array} Status code and body
+   */
+  _listPayments(query) {
+    const limit = Number(query.limit) || constants.DEFAULT_CONFIG.PAGINATION.DEFAULT_LIMIT;
+    const page = Number(query.page) || 1;
+    const from = query.dateFrom ? new Date(query.dateFrom).getTime() : -Infinity;
+    const to = query.dateTo ? new Date(query.dateTo).getTime() : Infinity;
+    const direction = query.orderBy === 'desc' ? -1 : 1;
+    const sortBy = query.sortBy || 'created_at';
+
+    const payments = [...this.payments.values()]
+      .map(record => record.payment)
+      .filter(payment => !query.status || payment.payment_status === query.status)
+      .filter(payment => !query.invoiceId || payment.invoice_id === String(query.invoiceId))
+      .filter(payment => {
+        const created = new Date(payment.created_at).getTime();
+        return created >= from && created <= to;
+      })
+      .sort((a, b) => (a[sortBy] < b[sortBy] ? -direction : a[sortBy] > b[sortBy] ? direction : 0));
+
+    return [
+      200,
+      {
+        data: payments.slice((page - 1) * limit, page * limit).map(payment => ({ ...payment })),
+        pagination: {
+          count: payments.length,
+          limit,
+          page,
+          totalPages: Math.ceil(payments.length / limit)
+        }
+      }
+    ];
+  }
+
+  /**
+   * @private
+   * @param {string} paymentId - Payment identifier
+   * @returns {Array} Status code and body
+   */
+  _paymentStatus(paymentId) {
+    const payment = this.getPayment(paymentId);
+    return payment ? [200, { ...payment }] : [404, { message: 'Payment not found' }];
+  }
+
+  /**
+   * Re-quotes a fixed-rate payment at current rates and extends its expiry
+   * @private
+   * @param {string} paymentId - Payment identifier
+   * @returns {Array} Status code and body
+   */
+  _updatePaymentEstimate(paymentId) {
+    const record = this.payments.get(paymentId);
+    if (!record) {
+      return [404, { message: 'Payment not found' }];
+    }
+    const { payment } = record;
+    if (!payment.expiration_estimate_date) {
+      return [400, { message: 'Payment is not fixed rate' }];
+    }
+
+    payment.pay_amount = this._convert(payment.price_amount, payment.price_currency, payment.pay_currency);
+    payment.expiration_estimate_date = new Date(Date.now() + this.options.fixedRateTTL).toISOString();
+    payment.updated_at = new Date().toISOString();
+    return [
+      200,
+      {
+        id: payment.payment_id,
+        token_id: crypto.randomBytes(6).toString('hex'),
+        pay_amount: payment.pay_amount,
+        expiration_estimate_date: payment.expiration_estimate_date
+      }
+    ];
+  }
+
+  /**
+   * @private
+   * @param {string} paymentId - Payment identifier
+   * @returns {Array} Status code and body
+   */
+  _paymentFlow(paymentId) {
+    const record = this.payments.get(paymentId);
+    if (!record) {
+      return [404, { message: 'Payment not found' }];
+    }
+    return [
+      200,
+      {
+        payment_id: paymentId,
+        status: record.payment.payment_status,
+        steps: record.history.map(step => ({ ...step }))
+      }
+    ];
+  }
+
+  /**
+   * @private
+   * @param {Object} body - Invoice creation parameters
+   * @returns {Array} Status code and body
+   */
+  _createInvoice(body) {
+    const now = new Date().toISOString();
+    const id = this._nextId();
+    const invoice = {
+      id,
+      token_id: crypto.randomBytes(6).toString('hex'),
+      order_id: body.order_id || '',
+      order_description: body.order_description || '',
+      price_amount: Number(body.price_amount),
+      price_currency: body.price_currency,
+      pay_currency: body.payment_currency || null,
+      ipn_callback_url: body.ipn_callback_url || '',
+      invoice_url: `${this.baseURL.replace(/\/v1$/, '')}/payment/?iid=${id}`,
+      success_url: body.success_url || '',
+      cancel_url: body.cancel_url || '',
+      created_at: now,
+      updated_at: now,
+      is_fixed_rate: Boolean(body.is_fixed_rate),
+      is_fee_paid_by_user: Boolean(body.is_fee_paid_by_user)
+    };
+    this.invoices.set(id, invoice);
+    return [200, { ...invoice }];
+  }
+
+  /**
+   * @private
+   * @param {string} invoiceId - Invoice identifier
+   * @returns {Array} Status code and body
+   */
+  _invoice(invoiceId) {
+    const invoice = this.invoices.get(invoiceId);
+    return invoice ? [200, { ...invoice }] : [404, { message: 'Invoice not found' }];
+  }
+
+  /**
+   * @private
+   * @param {Object} query - Query parameters
+   * @returns {Array} Status code and body
+   */
+  _listInvoices(query) {
+    const limit = Number(query.limit) || constants.DEFAULT_CONFIG.PAGINATION.DEFAULT_LIMIT;
+    const page = Number(query.page) || 1;
+    const from = query.dateFrom ? new Date(query.dateFrom).getTime() : -Infinity;
+    const to = query.dateTo ? new Date(query.dateTo).getTime() : Infinity;
+    const invoices = [...this.invoices.values()].filter(invoice => {
+      const created = new Date(invoice.created_at).getTime();
+      return created >= from && created <= to;
+    });
+    if (query.orderBy === 'desc') {
+      invoices.reverse();
+    }
+
+    return [
+      200,
+      {
+        data: invoices.slice((page - 1) * limit, page * limit).map(invoice => ({ ...invoice })),
+        pagination: {
+          count: invoices.length,
+          limit,
+          page,
+          totalPages: Math.ceil(invoices.length / limit)
+        }
+      }
+    ];
+  }
+
+  /**
+   * @private
+   * @param {Object} body - Invoice payment parameters
+   * @returns {Array} Status code and body
+   */
+  _createInvoicePayment(body) {
+    const invoice = this.invoices.get(String(body.iid));
+    if (!invoice) {
+      return [404, { message: 'Invoice not found' }];
+    }
+    return this._createPayment({
+      ...body,
+      price_amount: invoice.price_amount,
+      price_currency: invoice.price_currency,
+      order_id: invoice.order_id,
+      order_description: body.order_description || invoice.order_description,
+      ipn_callback_url: invoice.ipn_callback_url || undefined,
+      invoice_id: invoice.id
+    });
+  }
+
+  /**
+   * @private
+   * @param {Object} body - Payout parameters
+   * @param {string} [batchId] - Batch withdrawal identifier
+   * @returns {Object} Created payout
+   */
+  _createPayout(body, batchId) {
+    const now = new Date().toISOString();
+    const payout = {
+      id: this._nextId(),
+      status: constants.PAYOUT_STATUSES.PENDING,
+      address: body.address,
+      amount: Number(body.amount),
+      currency: body.currency,
+      ipn_callback_url: body.ipn_callback_url || '',
+      created_at: now,
+      updated_at: now,
+      batch_withdrawal_id: batchId || this._nextId()
+    };
+    this.payouts.set(payout.id, payout);
+    return { ...payout };
+  }
+
+  /**
+   * @private
+   * @param {Object} body - Batch payout parameters
+   * @returns {Array} Status code and the batch with its withdrawals, as the API returns it
+   */
+  _createBatchPayout(body) {
+    const batchId = this._nextId();
+    return [
+      200,
+      { id: batchId, withdrawals: (body.payouts || []).map(item => this._createPayout(item, batchId)) }
+    ];
+  }
+
+  /**
+   * @private
+   * @param {Object} query - Query parameters
+   * @returns {Array} Status code and body
+   */
+  _listPayouts(query) {
+    const limit = Number(query.limit) || constants.DEFAULT_CONFIG.PAGINATION.DEFAULT_LIMIT;
+    const page = Number(query.page) || 0;
+    const payouts = [...this.payouts.values()]
+      .filter(payout => !query.batch_id || payout.batch_withdrawal_id === query.batch_id)
+      .filter(payout => !query.status || payout.status === String(query.status).toLowerCase());
+
+    return [
+      200,
+      {
+        data: payouts.slice(page * limit, (page + 1) * limit).map(payout => ({ ...payout })),
+        pagination: {
+          count: payouts.length,
+          limit,
+          page,
+          totalPages: Math.ceil(payouts.length / limit)
+        }
+      }
+    ];
+  }
+
+  /**
+   * @private
+   * @param {string} payoutId - Payout identifier
+   * @returns {Array} Status code and body
+   */
+  _payoutStatus(payoutId) {
+    const payout = this.payouts.get(payoutId);
+    return payout ? [200, { ...payout }] : [404, { message: 'Payout not found' }];
+  }
+
+  /**
+   * @private
+   * @param {string} batchId - Batch withdrawal identifier
+   * @param {Object} body - Verification payload
+   * @returns {Array} Status code and body
+   */
+  _verifyPayout(batchId, body) {
+    const { verificationCode } = this.options;
+    if (verificationCode && body.verification_code !== verificationCode) {
+      return [400, { message: 'Invalid verification code' }];
+    }
+
+    const batch = [...this.payouts.values()].filter(payout => payout.batch_withdrawal_id === batchId);
+    if (batch.length === 0) {
+      return [404, { message: 'Batch not found' }];
+    }
+    batch.forEach(payout => this.setPayoutStatus(payout.id, constants.PAYOUT_STATUSES.PROCESSING));
+    return [200, { status: 'OK' }];
+  }
+
+  /**
+   * @private
+   * @param {string} payoutId - Payout identifier
+   * @returns {Array} Status code and body
+   */
+  _cancelPayout(payoutId) {
+    const payout = this.payouts.get(payoutId);
+    if (!payout) {
+      return [404, { message: 'Payout not found' }];
+    }
+    if (payout.status !== constants.PAYOUT_STATUSES.PENDING) {
+      return [400, { message: `Payout in status ${payout.status} cannot be cancelled` }];
+    }
+    this.setPayoutStatus(payoutId, constants.PAYOUT_STATUSES.FAILED, { error: 'Cancelled' });
+    return [200, { status: 'OK' }];
+  }
+
+  /**
+   * Advances every non-final payment by one lifecycle step
+   * @private
+   */
+  _advanceAll() {
+    for (const { payment } of this.payments.values()) {
+      if (!utils.isPaymentStatusFinal(payment)) {
+        this.advancePayment(payment.payment_id).catch(error => {
+          // An unhandled 'error' event would crash the process from inside the timer
+          if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Acknowledges subscribe and unsubscribe frames; updates are still broadcast to every client
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {WebSocket.RawData} data - Frame payload
+   */
+  _handleSocketMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(String(data));
+    } catch (error) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid JSON' }));
+      return;
+    }
+
+    const { SUBSCRIBE, UNSUBSCRIBE } = constants.WEBSOCKET_MESSAGES;
+    if (message.type === SUBSCRIBE || message.type === UNSUBSCRIBE) {
+      const { type, ...target } = message;
+      this.emit(type, target);
+      ws.send(JSON.stringify({ type: `${type}d`, ...target }));
+    }
+  }
+
+  /**
+   * Sends frame to every connected WebSocket client
+   * @private
+   * @param {Object} message - Message to send
+   */
+  _broadcast(message) {
+    if (!this.wss) {
+      return;
+    }
+    const frame = JSON.stringify(message);
+    this.wss.clients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(frame);
+      }
+    });
+  }
+
+  /**
+   * Posts signed IPN callback for a payment
+   * @private
+   * @param {PaymentStatus} payment - Payment status
+   * @param {string} [url] - IPN callback URL
+   * @returns {Promise<void>}
+   */
+  async _sendIPN(payment, url) {
+    if (!url) {
+      return;
+    }
+
+    const payload = { ...payment };
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.options.ipnSecret) {
+      headers['x-nowpayments-sig'] = utils.generateSignature(payload, this.options.ipnSecret);
+    }
+
+    try {
+      await axios.post(url, payload, { headers, timeout: constants.DEFAULT_CONFIG.TIMEOUT });
+      this.emit('ipn_sent', { url, payload });
+    } catch (error) {
+      this.emit('ipn_error', { url, payload, error });
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} paymentId - Payment identifier
+   * @returns {PaymentStatus} Payment
+   * @throws {Error} When payment does not exist
+   */
+  _requirePayment(paymentId) {
+    const payment = this.getPayment(paymentId);
+    if (!payment) {
+      throw new Error(`Payment ${paymentId} not found`);
+    }
+    return payment;
+  }
+
+  /**
+   * @private
+   * @returns {string} Next numeric identifier
+   */
+  _nextId() {
+    this.sequence += 1;
+    return String(this.sequence);
+  }
+
+  /**
+   * @private
+   * @returns {number} Listening port
+   * @throws {Error} When emulator is not started
+   */
+  _port() {
+    if (!this.server || !this.server.address()) {
+      throw new Error('Emulator is not started');
+    }
+    return this.server.address().port;
+  }
+}
+
+NOWPaymentsEmulator.DEFAULT_LIFECYCLE = DEFAULT_LIFECYCLE;
+
+module.exports = NOWPaymentsEmulator;
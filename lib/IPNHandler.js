@@ -0,0 +1,368 @@
+const { ValidationError } = require('./errors');
+const schemas = require('./validation');
+const utils = require('./utils');
+
+/**
+ * IPN (Instant Payment Notification) webhook handler with framework adapters
+ * @module IPNHandler
+ */
+
+/**
+ * @typedef {import('../types/ipn').IPNHandlerOptions} IPNHandlerOptions
+ * @typedef {import('../types/ipn').IPNResult} IPNResult
+ * @typedef {import('../types').PaymentStatus} PaymentStatus
+ * @typedef {import('../types/ipn').SubscriptionIPN} SubscriptionIPN
+ */
+
+/**
+ * Header carrying the IPN HMAC signature
+ * @type {string}
+ */
+const SIGNATURE_HEADER = 'x-nowpayments-sig';
+
+/**
+ * Frameworks with a dedicated adapter method
+ * @type {string[]}
+ */
+const FRAMEWORKS = ['express', 'fastify', 'koa', 'http'];
+
+/**
+ * Response body sent when reading the request or the error callback fails
+ * @type {{status: string, message: string}}
+ */
+const HANDLER_FAILED = { status: 'error', message: 'IPN handler failed' };
+
+/**
+ * Identifier fields the API may send as numbers, coerced to strings
+ * @type {string[]}
+ */
+const ID_FIELDS = ['payment_id', 'order_id', 'purchase_id', 'invoice_id'];
+
+/**
+ * Verifies, validates and dispatches NOWPayments IPN callbacks
+ * @class IPNHandler
+ */
+class IPNHandler {
+  /**
+   * Creates IPN handler instance
+   * @param {{verifyIPN: function(Object, string): boolean}} verifier - Object verifying signatures (usually a NowPaymentsAPI client)
+   * @param {IPNHandlerOptions} [options] - Handler options
+   */
+  constructor(verifier, options = {}) {
+    if (!verifier || typeof verifier.verifyIPN !== 'function') {
+      throw new ValidationError('IPN handler requires an object implementing verifyIPN()');
+    }
+
+    this.verifier = verifier;
+    this.onPaymentStatus = options.onPaymentStatus;
+    this.onSubscription = options.onSubscription;
+    this.onError = options.onError;
+    this.respond = options.respond !== false;
+  }
+
+  /**
+   * Processes an IPN request body independently of any HTTP framework
+   * @param {Object|string|Buffer} body - Parsed JSON payload or raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<IPNResult>} Processing result with HTTP status code
+   */
+  async handle(body, headers = {}) {
+    let data;
+    try {
+      data = this._parseBody(body);
+    } catch (error) {
+      return this._fail(400, 'Invalid JSON payload', error);
+    }
+
+    const signature = this._getSignature(headers);
+    if (!signature) {
+      return this._fail(401, 'Missing IPN signature');
+    }
+
+    let isValid;
+    try {
+      isValid = this.verifier.verifyIPN(data, signature);
+    } catch (error) {
+      return this._fail(500, error.message, error);
+    }
+    if (!isValid) {
+      return this._fail(401, 'Invalid IPN signature');
+    }
+
+    if (utils.isSubscriptionIPN(data) && (this.onSubscription || data.payment_id === undefined)) {
+      return this._handleSubscription(data);
+    }
+
+    let payment;
+    try {
+      payment = await this._normalize(data);
+    } catch (error) {
+      return this._fail(400, 'Invalid IPN payload', error);
+    }
+
+    try {
+      await this._dispatch(payment);
+    } catch (error) {
+      return this._fail(500, 'IPN handler failed', error, payment);
+    }
+
+    return { statusCode: 200, body: { status: 'ok' }, payment };
+  }
+
+  /**
+   * Creates Express middleware, also usable as a plain `http` request listener
+   * @returns {function(Object, Object, function=): Promise<void>} Middleware function
+   */
+  express() {
+    return async (req, res, next) => {
+      let result;
+      try {
+        const body = req.body !== undefined ? req.body : await this._readStream(req);
+        result = await this.handle(body, req.headers);
+      } catch (error) {
+        // Aborted or failed body reads and throwing onError callbacks
+        if (typeof next === 'function') {
+          next(error);
+        } else if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(HANDLER_FAILED));
+        }
+        return;
+      }
+      req.ipn = result.payment;
+
+      if (!this.respond && result.statusCode === 200 && typeof next === 'function') {
+        next();
+        return;
+      }
+
+      res.writeHead(result.statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result.body));
+    };
+  }
+
+  /**
+   * Creates plain Node.js `http` request listener
+   * @returns {function(Object, Object): Promise<void>} Request listener
+   */
+  http() {
+    const middleware = this.express();
+    return (req, res) => middleware(req, res);
+  }
+
+  /**
+   * Creates Fastify route handler
+   * @returns {function(Object, Object): Promise<Object>} Route handler
+   */
+  fastify() {
+    return async (request, reply) => {
+      let result;
+      try {
+        result = await this.handle(request.body, request.headers);
+      } catch (error) {
+        reply.code(500);
+        return HANDLER_FAILED;
+      }
+      request.ipn = result.payment;
+      reply.code(result.statusCode);
+      return result.body;
+    };
+  }
+
+  /**
+   * Creates Koa middleware
+   * @returns {function(Object, function): Promise<void>} Middleware function
+   */
+  koa() {
+    return async (ctx, next) => {
+      let result;
+      try {
+        const parsed = ctx.request && ctx.request.body;
+        const body = parsed !== undefined ? parsed : await this._readStream(ctx.req);
+        result = await this.handle(body, ctx.headers);
+      } catch (error) {
+        ctx.status = 500;
+        ctx.body = HANDLER_FAILED;
+        return;
+      }
+      ctx.state.ipn = result.payment;
+
+      if (!this.respond && result.statusCode === 200) {
+        await next();
+        return;
+      }
+
+      ctx.status = result.statusCode;
+      ctx.body = result.body;
+    };
+  }
+
+  /**
+   * Parses raw or pre-parsed request body
+   * @private
+   * @param {Object|string|Buffer} body - Request body
+   * @returns {Object} Parsed payload
+   * @throws {SyntaxError} When body is not valid JSON
+   */
+  _parseBody(body) {
+    if (Buffer.isBuffer(body)) {
+      body = body.toString('utf8');
+    }
+    const data = typeof body === 'string' ? JSON.parse(body) : body;
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      throw new SyntaxError('IPN payload must be a JSON object');
+    }
+    return data;
+  }
+
+  /**
+   * Reads signature header regardless of header name casing
+   * @private
+   * @param {Object} headers - Request headers
+   * @returns {string|undefined} Signature
+   */
+  _getSignature(headers) {
+    const key = Object.keys(headers).find(name => name.toLowerCase() === SIGNATURE_HEADER);
+    const value = key ? headers[key] : undefined;
+    return Array.isArray(value) ? value[0] : value;
+  }
+
+  /**
+   * Validates payload against IPN schema and normalizes field types
+   * @private
+   * @param {Object} data - Verified IPN payload
+   * @returns {Promise<PaymentStatus>} Normalized payment status
+   * @throws {ValidationError} When payload is invalid
+   */
+  async _normalize(data) {
+    const input = { ...data };
+    for (const field of ID_FIELDS) {
+      if (typeof input[field] === 'number') {
+        input[field] = String(input[field]);
+      }
+    }
+
+    try {
+      const payment = await schemas.ipnCallback.validateAsync(input, { allowUnknown: true });
+      payment.created_at = payment.created_at.toISOString();
+      payment.updated_at = payment.updated_at.toISOString();
+      return payment;
+    } catch (error) {
+      throw new ValidationError(error.message, error.details);
+    }
+  }
+
+  /**
+   * Validates subscription IPN and passes it to the subscription callback
+   * @private
+   * @param {Object} data - Verified IPN payload
+   * @returns {Promise<IPNResult>} Processing result
+   */
+  async _handleSubscription(data) {
+    let subscription;
+    try {
+      subscription = await this._normalizeSubscription(data);
+    } catch (error) {
+      return this._fail(400, 'Invalid subscription IPN payload', error);
+    }
+
+    try {
+      if (typeof this.onSubscription === 'function') {
+        await this.onSubscription(subscription);
+      }
+    } catch (error) {
+      return this._fail(500, 'IPN handler failed', error);
+    }
+
+    return { statusCode: 200, body: { status: 'ok' }, subscription };
+  }
+
+  /**
+   * Validates subscription payload and normalizes identifiers to strings
+   * @private
+   * @param {Object} data - Verified IPN payload
+   * @returns {Promise<SubscriptionIPN>} Normalized subscription event
+   * @throws {ValidationError} When payload is invalid
+   */
+  async _normalizeSubscription(data) {
+    const input = { ...data };
+    for (const field of ['id', 'subscription_id', 'subscription_plan_id', 'payment_id']) {
+      if (typeof input[field] === 'number') {
+        input[field] = String(input[field]);
+      }
+    }
+
+    try {
+      const subscription = await schemas.subscriptionIpnCallback.validateAsync(input, {
+        allowUnknown: true,
+      });
+      for (const field of ['created_at', 'updated_at']) {
+        if (subscription[field] instanceof Date) {
+          subscription[field] = subscription[field].toISOString();
+        }
+      }
+      subscription.is_recurring_payment = subscription.payment_id !== undefined;
+      return subscription;
+    } catch (error) {
+      throw new ValidationError(error.message, error.details);
+    }
+  }
+
+  /**
+   * Dispatches payment to configured status callbacks
+   * @private
+   * @param {PaymentStatus} payment - Normalized payment status
+   * @returns {Promise<void>}
+   */
+  async _dispatch(payment) {
+    const handlers = this.onPaymentStatus;
+    if (typeof handlers === 'function') {
+      await handlers(payment);
+    } else if (handlers && typeof handlers[payment.payment_status] === 'function') {
+      await handlers[payment.payment_status](payment);
+    } else if (handlers && typeof handlers['*'] === 'function') {
+      await handlers['*'](payment);
+    }
+  }
+
+  /**
+   * Builds failure result and notifies error callback
+   * @private
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Response message
+   * @param {Error} [error] - Underlying error
+   * @param {PaymentStatus} [payment] - Normalized payment, if any
+   * @returns {IPNResult} Failure result
+   */
+  _fail(statusCode, message, error, payment) {
+    if (typeof this.onError === 'function') {
+      this.onError(error || new ValidationError(message), { statusCode, payment });
+    }
+    return {
+      statusCode,
+      body: { status: 'error', message },
+      payment,
+      error,
+    };
+  }
+
+  /**
+   * Reads raw body from request stream
+   * @private
+   * @param {import('stream').Readable} stream - Incoming request stream
+   * @returns {Promise<Buffer>} Raw body
+   */
+  _readStream(stream) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    });
+  }
+}
+
+IPNHandler.SIGNATURE_HEADER = SIGNATURE_HEADER;
+IPNHandler.FRAMEWORKS = FRAMEWORKS;
+
+module.exports = IPNHandler;
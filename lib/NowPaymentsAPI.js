@@ -1,10 +1,34 @@
 const axios = require('axios');
 const crypto = require('crypto');
-const { RateLimiter } = require('limiter');
-const { ValidationError, APIError } = require('./errors');
+const {
+  ValidationError,
+  APIError,
+  NOWPaymentsError,
+  AbortError,
+  AuthenticationError,
+  RateLimitError,
+  NotFoundError,
+  AmountTooSmallError,
+  CurrencyUnavailableError,
+  NetworkError,
+  TimeoutError,
+} = require('./errors');
 const schemas = require('./validation');
 const constants = require('./constants');
 const utils = require('./utils');
+const Amount = require('./Amount');
+const IPNHandler = require('./IPNHandler');
+const PaymentTracker = require('./PaymentTracker');
+const PaymentEvents = require('./PaymentEvents');
+const NOWPaymentsWebSocket = require('./WebSocketClient');
+const PaymentIterator = require('./PaymentIterator');
+const CurrencyRegistry = require('./CurrencyRegistry');
+const Custody = require('./Custody');
+const { QuoteEngine } = require('./QuoteEngine');
+const { RateLimiter } = require('./RateLimiter');
+const { Payment, Invoice, Payout, PayoutBatch } = require('./models');
+const { BatchPayoutRunner } = require('./BatchPayoutRunner');
+const PayoutImporter = require('./PayoutImporter');
 
 /**
  * NOWPayments API Client for cryptocurrency payment processing
@@ -15,17 +39,47 @@ const utils = require('./utils');
  * @typedef {import('../types').PaymentStatus} PaymentStatus
  * @typedef {import('../types').Currency} Currency
  * @typedef {import('../types').EstimatePrice} EstimatePrice
- * @typedef {import('../types').Invoice} Invoice
- * @typedef {import('../types').Payout} Payout
+ * @typedef {import('../types').EstimatePriceParams} EstimatePriceParams
+ * @typedef {import('../types').PaymentEstimateUpdate} PaymentEstimateUpdate
  * @typedef {import('../types').CreatePaymentParams} CreatePaymentParams
  * @typedef {import('../types').CreateInvoiceParams} CreateInvoiceParams
+ * @typedef {import('../types').ListInvoicesParams} ListInvoicesParams
+ * @typedef {import('../types').CreateInvoicePaymentParams} CreateInvoicePaymentParams
  * @typedef {import('../types').CreatePayoutParams} CreatePayoutParams
  * @typedef {import('../types').GetPaymentsParams} GetPaymentsParams
  * @typedef {import('../types').PaginationResponse} PaginationResponse
+ * @typedef {import('../types').ListPayoutsParams} ListPayoutsParams
+ * @typedef {import('../types').PollOptions} PollOptions
+ * @typedef {import('../types').Balances} Balances
+ * @typedef {import('../types').Conversion} Conversion
+ * @typedef {import('../types').CreateConversionParams} CreateConversionParams
+ * @typedef {import('../types').ListConversionsParams} ListConversionsParams
+ * @typedef {import('../types').ConversionListResponse} ConversionListResponse
+ * @typedef {{result: Conversion}} ConversionResponse
+ * @typedef {import('../types').SubscriptionPlan} SubscriptionPlan
+ * @typedef {import('../types').Subscription} Subscription
+ * @typedef {import('../types').CreateSubscriptionPlanParams} CreateSubscriptionPlanParams
+ * @typedef {import('../types').UpdateSubscriptionPlanParams} UpdateSubscriptionPlanParams
+ * @typedef {import('../types').ListSubscriptionPlansParams} ListSubscriptionPlansParams
+ * @typedef {import('../types').CreateSubscriptionParams} CreateSubscriptionParams
+ * @typedef {import('../types').ListSubscriptionsParams} ListSubscriptionsParams
+ * @typedef {import('../types').SubscriptionListResponse} SubscriptionListResponse
+ * @typedef {{result: SubscriptionPlan}} SubscriptionPlanResponse
+ * @typedef {{result: Subscription}} SubscriptionResponse
+ * @typedef {import('../types').RequestOptions} RequestOptions
  * @typedef {import('../types').MinimumPaymentAmount} MinimumPaymentAmount
+ * @typedef {import('../types').MinimumPayoutAmount} MinimumPayoutAmount
+ * @typedef {import('../types/currency').FullCurrency} FullCurrency
  * @typedef {import('../types/advanced').PaymentStatusExtended} PaymentStatusExtended
  * @typedef {import('../types/advanced').BatchPayoutParams} BatchPayoutParams
  * @typedef {import('../types/advanced').PaymentFlow} PaymentFlow
+ * @typedef {import('../types/ipn').IPNHandlerOptions} IPNHandlerOptions
+ * @typedef {import('../types/ipn').IPNFramework} IPNFramework
+ * @typedef {import('../types/tracker').PaymentTrackerOptions} PaymentTrackerOptions
+ * @typedef {import('../types/websocket').WebSocketOptions} WebSocketOptions
+ * @typedef {import('../types/batch').BatchPayoutRunnerOptions} BatchPayoutRunnerOptions
+ * @typedef {import('../types/payoutImport').PayoutImporterOptions} PayoutImporterOptions
+ * @typedef {import('../types/pagination').IteratePaymentsParams} IteratePaymentsParams
  */
 class NowPaymentsAPI {
   /**
@@ -40,14 +94,30 @@ class NowPaymentsAPI {
 
     this.apiKey = config.apiKey;
     this.ipnSecret = config.ipnSecret;
-    this.baseURL = config.sandbox
-      ? constants.API_ENDPOINTS.SANDBOX
-      : constants.API_ENDPOINTS.PRODUCTION;
+    this.credentials = config.credentials;
+    this.decimalAmounts = Boolean(config.decimalAmounts);
+    this.validateCurrencies = Boolean(config.validateCurrencies);
+    this.validateAddresses = config.validateAddresses !== false;
+    this.idempotencyKeys = Boolean(config.idempotencyKeys);
+    this.raw = Boolean(config.raw);
+    this.currencies = new CurrencyRegistry(this, config.currencyRegistry);
+    this.custody = new Custody(this);
+    this.quotes = new QuoteEngine(this);
+    this.events = new PaymentEvents(this);
+    this.sandbox = Boolean(config.sandbox);
+    this._authToken = null;
+    this._authTokenExpiresAt = 0;
+    this._authPromise = null;
+    this.baseURL =
+      config.baseURL ||
+      (this.sandbox ? constants.API_ENDPOINTS.SANDBOX : constants.API_ENDPOINTS.PRODUCTION);
 
-    this.rateLimiter = new RateLimiter({
-      tokensPerInterval: 100,
-      interval: 'minute',
-    });
+    // Clients sharing a store and API key draw from one budget without exposing the key
+    const keyHash = crypto.createHash('sha256').update(this.apiKey).digest('hex').slice(0, 16);
+    this.rateLimiter =
+      config.rateLimit === false
+        ? null
+        : new RateLimiter({ key: `nowpayments:${keyHash}`, ...config.rateLimit });
 
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -56,6 +126,8 @@ class NowPaymentsAPI {
         'Content-Type': 'application/json',
       },
       timeout: constants.DEFAULT_CONFIG.TIMEOUT,
+      transformRequest: [data => this._serializeBody(data)],
+      ...(this.decimalAmounts && { transformResponse: [data => this._parseBody(data)] }),
     });
 
     this._setupInterceptors();
@@ -67,7 +139,12 @@ class NowPaymentsAPI {
    */
   _setupInterceptors() {
     this.client.interceptors.request.use(async config => {
-      await this.rateLimiter.removeTokens(1);
+      if (config.requiresAuth) {
+        config.headers.Authorization = `Bearer ${await this._getAuthToken(config.signal)}`;
+      }
+      if (this.rateLimiter) {
+        await this.rateLimiter.acquire(config.signal);
+      }
       config.metadata = { startTime: Date.now() };
       return config;
     });
@@ -78,19 +155,112 @@ class NowPaymentsAPI {
         this._logRequest(response.config, duration);
         return response;
       },
-      error => {
+      async error => {
+        if (error.response && error.response.status === 429 && this.rateLimiter) {
+          const delay =
+            RateLimiter.getRetryDelay(error.response.headers) ||
+            Math.ceil(60000 / this.rateLimiter.requestsPerMinute);
+          await this.rateLimiter.pause(delay);
+        }
         if (error.response) {
-          throw new APIError(
-            error.response.data.message,
-            error.response.status,
-            error.response.data
-          );
+          throw this._createAPIError(error.response);
+        }
+        if (axios.isAxiosError(error) && !axios.isCancel(error)) {
+          throw this._createNetworkError(error);
         }
         throw error;
       }
     );
   }
 
+  /**
+   * Maps an error response to the most specific APIError subclass, using the HTTP status,
+   * NOWPayments' `code` field and, for unlabelled 400s, the message
+   * @private
+   * @param {{status: number, data: *, headers: Object}} response - Axios error response
+   * @returns {APIError} API error
+   */
+  _createAPIError(response) {
+    const { status, headers } = response;
+    const data = response.data && typeof response.data === 'object' ? response.data : {};
+    const message = data.message || `Request failed with status code ${status}`;
+    const code = data.code ? String(data.code).toUpperCase() : '';
+    const { API_ERROR_CODES } = constants;
+
+    if (status === 401 || status === 403 || API_ERROR_CODES.AUTHENTICATION.includes(code)) {
+      return new AuthenticationError(message, status, data);
+    }
+    if (status === 429) {
+      return new RateLimitError(message, status, data, RateLimiter.getRetryDelay(headers));
+    }
+    if (status === 404 || API_ERROR_CODES.NOT_FOUND.includes(code)) {
+      return new NotFoundError(message, status, data);
+    }
+    if (
+      API_ERROR_CODES.AMOUNT_TOO_SMALL.includes(code) ||
+      (!code && status === 400 && /too small|less than (the )?minim/i.test(message))
+    ) {
+      const minimum = [data.min_amount, data.minAmount, data.minimum].find(value => value !== undefined);
+      const stated = /minim\w*\s+(?:amount\s+)?(?:is\s+)?([\d.]+)/i.exec(message);
+      return new AmountTooSmallError(
+        message,
+        status,
+        data,
+        minimum !== undefined ? Number(minimum) : stated ? Number(stated[1]) : undefined
+      );
+    }
+    if (
+      API_ERROR_CODES.CURRENCY_UNAVAILABLE.includes(code) ||
+      (!code && status === 400 && /currency .*(unavailable|not (found|supported|available))/i.test(message))
+    ) {
+      return new CurrencyUnavailableError(message, status, data, data.currency);
+    }
+    return new APIError(message, status, data);
+  }
+
+  /**
+   * Maps an axios failure without a response to NetworkError or TimeoutError
+   * @private
+   * @param {Error & {code?: string}} error - Axios error
+   * @returns {NetworkError} Network error
+   */
+  _createNetworkError(error) {
+    if (error.code === 'ETIMEDOUT' || (error.code === 'ECONNABORTED' && /timeout/i.test(error.message))) {
+      return new TimeoutError(error.message, error);
+    }
+    return new NetworkError(error.message, error.code, error);
+  }
+
+  /**
+   * Serializes request body, writing Amount values as exact JSON numbers
+   * @private
+   * @param {*} data - Request body
+   * @returns {*} Serialized body
+   */
+  _serializeBody(data) {
+    if (data === null || typeof data !== 'object') {
+      return data;
+    }
+    return utils.stringifyJSONWithAmounts(data);
+  }
+
+  /**
+   * Parses response body, converting amount fields to Amount without float rounding
+   * @private
+   * @param {*} data - Raw response body
+   * @returns {*} Parsed body
+   */
+  _parseBody(data) {
+    if (typeof data !== 'string' || data === '') {
+      return data;
+    }
+    try {
+      return utils.parseJSONWithAmounts(data);
+    } catch (error) {
+      return data;
+    }
+  }
+
   /**
    * Log API request details
    * @private
@@ -114,194 +284,991 @@ class NowPaymentsAPI {
       const response = await this.client.request(config);
       return response.data;
     } catch (error) {
-      if (error.response) {
-        throw new APIError(error.response.data.message, error.response.status, error.response.data);
+      if (axios.isCancel(error)) {
+        throw new AbortError('Request was aborted', { method: config.method, url: config.url });
+      }
+      // The response interceptor has already mapped failures to APIError or NetworkError
+      const isUnauthorized = error instanceof APIError && error.statusCode === 401;
+      if (isUnauthorized && config.requiresAuth && !config.authRetried) {
+        this._clearAuthToken();
+        return this._makeRequest({ ...config, authRetried: true });
       }
       throw error;
     }
   }
 
   /**
-   * Retries failed requests with exponential backoff
+   * Returns cached JWT, authenticating when missing or about to expire
    * @private
-   * @param {Object} config - Request configuration
-   * @param {number} [retries=3] - Maximum retry attempts
+   * @param {AbortSignal} [signal] - Signal giving up the wait; the shared authentication
+   *   continues for other requests
+   * @returns {Promise<string>} JWT token
+   * @throws {ValidationError} When payout credentials are not configured
+   * @throws {AbortError} When the signal aborts first
+   */
+  async _getAuthToken(signal) {
+    const margin = constants.DEFAULT_CONFIG.AUTH.REFRESH_MARGIN;
+    if (this._authToken && Date.now() < this._authTokenExpiresAt - margin) {
+      return this._authToken;
+    }
+
+    if (!this._authPromise) {
+      this._authPromise = this.authenticate().finally(() => {
+        this._authPromise = null;
+      });
+    }
+    if (!signal) {
+      return this._authPromise;
+    }
+
+    const authPromise = this._authPromise;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new AbortError('Waiting for authentication was aborted'));
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      authPromise
+        .finally(() => signal.removeEventListener('abort', onAbort))
+        .then(resolve, reject);
+    });
+  }
+
+  /**
+   * Drops cached JWT so the next authenticated request re-authenticates
+   * @private
+   */
+  _clearAuthToken() {
+    this._authToken = null;
+    this._authTokenExpiresAt = 0;
+  }
+
+  /**
+   * Reads expiry time from JWT payload
+   * @private
+   * @param {string} token - JWT token
+   * @returns {number} Expiry timestamp in ms
+   */
+  _getTokenExpiry(token) {
+    try {
+      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+      if (typeof payload.exp === 'number') {
+        return payload.exp * 1000;
+      }
+    } catch (error) {
+      // Opaque token, fall back to the documented lifetime
+    }
+    return Date.now() + constants.DEFAULT_CONFIG.AUTH.TOKEN_TTL;
+  }
+
+  /**
+   * Retries failed requests with exponential backoff when the request is safe to repeat
+   * @private
+   * @param {Object} config - Request configuration; `idempotent` marks mutations that are safe
+   *   to repeat and `lookup` finds an already created resource before a retry
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries and headers
    * @returns {Promise<any>} API response data
+   * @throws {AbortError} When the signal aborts
+   * @throws {NOWPaymentsError} Last error, with `retry` describing the attempts made
    */
-  async _retryRequest(config, retries = 3) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
+  async _retryRequest(config, options = {}) {
+    const { lookup, idempotent, ...request } = config;
+    const { signal, timeout, headers, retries = constants.DEFAULT_CONFIG.RETRY.MAX_RETRIES } = options;
+    request.headers = { ...request.headers, ...headers };
+    if (signal) {
+      request.signal = signal;
+    }
+    if (timeout) {
+      request.timeout = timeout;
+    }
+
+    const strategy = this._getRetryStrategy(config, request.headers);
+    const retry = { strategy, attempts: 0 };
+    const startedAt = Date.now();
+
+    if (strategy === constants.RETRY_STRATEGIES.IDEMPOTENCY_KEY) {
+      retry.idempotencyKey = request.headers[constants.IDEMPOTENCY_HEADER] || crypto.randomUUID();
+      request.headers[constants.IDEMPOTENCY_HEADER] = retry.idempotencyKey;
+    }
+
+    for (;;) {
+      if (signal && signal.aborted) {
+        throw new AbortError('Request was aborted', { method: request.method, url: request.url });
+      }
+      retry.attempts += 1;
       try {
-        return await this._makeRequest(config);
+        return await this._makeRequest(request);
       } catch (error) {
-        if (attempt === retries || !this._isRetryable(error)) {
+        error.retry = retry;
+        if (error instanceof AbortError || retry.attempts > retries || !this._isRetryable(error)) {
           throw error;
         }
-        await this._sleep(
-          constants.RETRY_CONFIG.INITIAL_DELAY *
-            Math.pow(constants.RETRY_CONFIG.BACKOFF_FACTOR, attempt - 1)
-        );
+        if (strategy === constants.RETRY_STRATEGIES.NONE) {
+          retry.reason =
+            `${request.method.toUpperCase()} ${request.url} is not retried ` +
+            'without an idempotency key or order_id';
+          throw error;
+        }
+        if (strategy === constants.RETRY_STRATEGIES.ORDER_ID_LOOKUP) {
+          const existing = await this._lookupBeforeRetry(lookup, startedAt, retry);
+          if (existing) {
+            return existing;
+          }
+        }
+
+        if (error.code === 429 && this.rateLimiter) {
+          // The limiter is paused until the server allows requests again
+          continue;
+        }
+        const backoff =
+          constants.DEFAULT_CONFIG.RETRY.INITIAL_DELAY *
+          Math.pow(constants.DEFAULT_CONFIG.RETRY.BACKOFF_FACTOR, retry.attempts - 1);
+        await this._sleep(Math.max(backoff, error.retryAfter || 0), signal);
+      }
+    }
+  }
+
+  /**
+   * Picks how a request can be retried without side effects
+   * @private
+   * @param {Object} config - Request configuration
+   * @param {Object} headers - Request headers, possibly carrying a caller's idempotency key
+   * @returns {string} One of RETRY_STRATEGIES
+   */
+  _getRetryStrategy(config, headers) {
+    if (config.method === constants.HTTP_METHODS.GET || config.idempotent) {
+      return constants.RETRY_STRATEGIES.IDEMPOTENT;
+    }
+    if (this.idempotencyKeys || headers[constants.IDEMPOTENCY_HEADER]) {
+      return constants.RETRY_STRATEGIES.IDEMPOTENCY_KEY;
+    }
+    if (config.lookup) {
+      return constants.RETRY_STRATEGIES.ORDER_ID_LOOKUP;
+    }
+    return constants.RETRY_STRATEGIES.NONE;
+  }
+
+  /**
+   * Checks whether a failed mutation already took effect before retrying it
+   * @private
+   * @param {{orderId: string, find: function(number): Promise<any>}} lookup - Lookup definition
+   * @param {number} startedAt - Time the first attempt started
+   * @param {Object} retry - Retry info, receives the lookup outcome
+   * @returns {Promise<any>} Existing resource, or undefined when nothing was created
+   * @throws {NOWPaymentsError} When the lookup itself fails, since a retry is then unsafe
+   */
+  async _lookupBeforeRetry(lookup, startedAt, retry) {
+    retry.lookups = retry.lookups || [];
+    try {
+      const existing = await lookup.find(startedAt);
+      retry.lookups.push({ orderId: lookup.orderId, found: Boolean(existing) });
+      return existing;
+    } catch (lookupError) {
+      retry.lookups.push({ orderId: lookup.orderId, found: false, error: lookupError.message });
+      retry.reason = `Could not confirm whether order ${lookup.orderId} was created`;
+      throw lookupError;
+    }
+  }
+
+  /**
+   * Finds a payment created for an order since the given time
+   * @private
+   * @param {string} orderId - Merchant order identifier
+   * @param {number} since - Unix time in milliseconds
+   * @param {RequestOptions} [options] - Request options for the lookup requests
+   * @returns {Promise<PaymentStatus|undefined>} Matching payment
+   */
+  async _findPaymentByOrderId(orderId, since, options) {
+    const margin = constants.DEFAULT_CONFIG.RETRY.LOOKUP_MARGIN;
+    const payments = this.iteratePayments(
+      {
+        dateFrom: new Date(since - margin).toISOString(),
+        dateTo: new Date(Date.now() + margin).toISOString(),
+        sortBy: 'created_at',
+        orderBy: 'desc',
+      },
+      options
+    );
+    for await (const payment of payments) {
+      if (String(payment.order_id) === String(orderId)) {
+        return payment;
       }
     }
+    return undefined;
+  }
+
+  /**
+   * Obtain JWT for payout and custody endpoints using configured credentials
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<string>} JWT token
+   * @throws {ValidationError} When payout credentials are not configured
+   * @throws {APIError} When authentication fails
+   */
+  async authenticate(options) {
+    if (!this.credentials || !this.credentials.email || !this.credentials.password) {
+      throw new ValidationError('Payout credentials (email and password) are required for this endpoint');
+    }
+
+    const { token } = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/auth',
+        idempotent: true,
+        data: {
+          email: this.credentials.email,
+          password: this.credentials.password,
+        },
+      },
+      options
+    );
+
+    this._authToken = token;
+    this._authTokenExpiresAt = this._getTokenExpiry(token);
+    return token;
   }
 
   /**
    * Get API status
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
    * @returns {Promise<{message: string}>} API status response
    * @throws {APIError} When API request fails
    */
-  async getStatus() {
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.GET,
-      url: '/status',
-    });
+  async getStatus(options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/status',
+      },
+      options
+    );
   }
 
   /**
    * Get list of available cryptocurrencies
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
    * @returns {Promise<Currency[]>} List of available currencies
    * @throws {APIError} When API request fails
    */
-  async getCurrencies() {
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.GET,
-      url: '/currencies',
-    });
+  async getCurrencies(options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/currencies',
+      },
+      options
+    );
+  }
+
+  /**
+   * Get every currency with its full metadata: precision, network, address regex and
+   * whether it takes an extra id
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<{currencies: FullCurrency[]}>} Currencies with metadata
+   * @throws {APIError} When API request fails
+   */
+  async getFullCurrencies(options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/full-currencies',
+      },
+      options
+    );
+  }
+
+  /**
+   * Format amount with the currency's precision from `currencies`, falling back to the
+   * built-in table while the registry is not loaded
+   * @param {number|string|Amount} amount - Amount to format
+   * @param {string} currency - Currency code
+   * @returns {string} Formatted amount
+   */
+  formatCurrencyAmount(amount, currency) {
+    return utils.formatCurrencyAmount(amount, currency, this.currencies);
   }
 
   /**
    * Get estimated price for currency conversion
-   * @param {Object} params - Estimation parameters
-   * @param {number} params.amount - Amount to convert
-   * @param {string} params.currency_from - Source currency code
-   * @param {string} params.currency_to - Target currency code
+   * @param {EstimatePriceParams} params - Amount, currency pair and optional networks
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
    * @returns {Promise<EstimatePrice>} Price estimation
+   * @throws {ValidationError} When parameters are invalid
    * @throws {APIError} When API request fails
    */
-  async getEstimatePrice(params) {
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.GET,
-      url: '/estimate',
-      params,
-    });
+  async getEstimatePrice(params, options) {
+    await this._validateSchema(params, schemas.estimatePrice, options);
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/estimate',
+        params: { ...params, amount: Amount.from(params.amount).toString() },
+      },
+      options
+    );
   }
 
   /**
    * Create new cryptocurrency payment
    * @param {CreatePaymentParams} payment - Payment creation parameters
-   * @returns {Promise<PaymentStatus>} Created payment details
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<Payment>} Created payment details
    * @throws {ValidationError} When parameters are invalid
    * @throws {APIError} When API request fails
    */
-  async createPayment(payment) {
-    await this._validateSchema(payment, schemas.createPayment);
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.POST,
-      url: '/payment',
-      data: payment,
-    });
+  async createPayment(payment, options = {}) {
+    await this._validateSchema(payment, schemas.createPayment, options);
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/payment',
+        data: payment,
+        ...(payment.order_id && {
+          lookup: {
+            orderId: payment.order_id,
+            find: since =>
+              this._findPaymentByOrderId(payment.order_id, since, {
+                signal: options.signal,
+                raw: true,
+              }),
+          },
+        }),
+      },
+      options
+    );
+    return this._toModel(Payment, response, options);
+  }
+
+  /**
+   * Refresh the pay amount and expiry of a fixed-rate payment
+   * @param {string} paymentId - Payment identifier
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<PaymentEstimateUpdate>} New pay amount and estimate expiration date
+   * @throws {APIError} When payment not found or API error
+   */
+  async updatePaymentEstimate(paymentId, options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: `/payment/${paymentId}/update-merchant-estimate`,
+        idempotent: true,
+      },
+      options
+    );
   }
 
   /**
    * Get payment status by ID
    * @param {string} paymentId - Payment identifier
-   * @returns {Promise<PaymentStatus>} Payment status details
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<Payment>} Payment status details
    * @throws {APIError} When payment not found or API error
    */
-  async getPaymentStatus(paymentId) {
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.GET,
-      url: `/payment/${paymentId}`,
-    });
+  async getPaymentStatus(paymentId, options) {
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: `/payment/${paymentId}`,
+      },
+      options
+    );
+    return this._toModel(Payment, response, options);
   }
 
   /**
    * Get minimum payment amount for currency
    * @param {string} currency - Currency code
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
    * @returns {Promise<MinimumPaymentAmount>} Minimum amount info
    * @throws {APIError} When API request fails
    */
-  async getMinimumPaymentAmount(currency) {
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.GET,
-      url: '/min-amount',
-      params: { currency },
-    });
+  async getMinimumPaymentAmount(currency, options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/min-amount',
+        params: { currency },
+      },
+      options
+    );
   }
 
   /**
    * Create payment invoice
    * @param {CreateInvoiceParams} invoice - Invoice creation parameters
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
    * @returns {Promise<Invoice>} Created invoice details
    * @throws {ValidationError} When parameters are invalid
    * @throws {APIError} When API request fails
    */
-  async createInvoice(invoice) {
-    await this._validateSchema(invoice, schemas.createInvoice);
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.POST,
-      url: '/invoice',
-      data: invoice,
-    });
+  async createInvoice(invoice, options) {
+    await this._validateSchema(invoice, schemas.createInvoice, options);
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/invoice',
+        data: invoice,
+      },
+      options
+    );
+    return this._toModel(Invoice, response, options);
+  }
+
+  /**
+   * Get invoice by ID
+   * @param {string} invoiceId - Invoice identifier
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<Invoice>} Invoice details
+   * @throws {APIError} When invoice not found or API error
+   */
+  async getInvoice(invoiceId, options) {
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: `/invoice/${invoiceId}`,
+      },
+      options
+    );
+    return this._toModel(Invoice, response, options);
+  }
+
+  /**
+   * Get invoices list with pagination
+   * @param {ListInvoicesParams} [params] - Query parameters
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<PaginationResponse<Invoice>>} Paginated invoices list
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async listInvoices(params = {}, options) {
+    await this._validateSchema(params, schemas.listInvoices, options);
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/invoice',
+        params,
+      },
+      options
+    );
+    return this._toModelList(Invoice, response, options);
+  }
+
+  /**
+   * Create payment for an existing invoice once the customer has picked a currency
+   * @param {string} invoiceId - Invoice identifier
+   * @param {CreateInvoicePaymentParams} params - Pay currency and optional payment details
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<Payment>} Created payment with pay_address and pay_amount
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async createInvoicePayment(invoiceId, params, options) {
+    const data = { ...params, iid: invoiceId };
+    await this._validateSchema(data, schemas.createInvoicePayment, options);
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/invoice-payment',
+        data,
+      },
+      options
+    );
+    return this._toModel(Payment, response, options);
+  }
+
+  /**
+   * Get payments made against an invoice
+   * @param {string} invoiceId - Invoice identifier
+   * @param {GetPaymentsParams} [params] - Additional query parameters
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<PaginationResponse<Payment>>} Paginated payments with their statuses
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async getInvoicePayments(invoiceId, params = {}, options) {
+    return this.getPayments({ ...params, invoiceId }, options);
   }
 
   /**
    * Get payments list with pagination
    * @param {GetPaymentsParams} [params] - Query parameters
-   * @returns {Promise<PaginationResponse<PaymentStatus>>} Paginated payments list
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<PaginationResponse<Payment>>} Paginated payments list
    * @throws {APIError} When API request fails
    */
-  async getPayments(params = {}) {
-    await this._validateSchema(params, schemas.getPayments);
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.GET,
-      url: '/payment',
-      params,
-    });
+  async getPayments(params = {}, options) {
+    await this._validateSchema(params, schemas.getPayments, options);
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/payment',
+        params,
+      },
+      options
+    );
+    return this._toModelList(Payment, response, options);
   }
 
   /**
-   * Create cryptocurrency payout
+   * Iterate over all payments across pages and optional date windows
+   * @param {IteratePaymentsParams} [params] - Query and scanning parameters
+   * @param {RequestOptions} [options] - Request options applied to every page request
+   * @returns {PaymentIterator} Async iterable of payments exposing a resumable cursor
+   */
+  iteratePayments(params = {}, options) {
+    return new PaymentIterator(this, params, options);
+  }
+
+  /**
+   * Get minimum payout amount for currency
+   * @param {string} currency - Currency code
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<MinimumPayoutAmount>} Minimum amount in `result`
+   * @throws {APIError} When API request fails
+   */
+  async getMinimumPayoutAmount(currency, options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: `/payout-withdrawal/min-amount/${encodeURIComponent(String(currency).toLowerCase())}`,
+      },
+      options
+    );
+  }
+
+  /**
+   * Create cryptocurrency payout (requires payout credentials)
    * @param {CreatePayoutParams} payout - Payout creation parameters
-   * @returns {Promise<Payout>} Created payout details
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<PayoutBatch>} Created batch with its withdrawals
    * @throws {ValidationError} When parameters are invalid
    * @throws {APIError} When API request fails
    */
-  async createPayout(payout) {
-    await this._validateSchema(payout, schemas.createPayout);
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.POST,
-      url: '/payout',
-      data: payout,
-    });
+  async createPayout(payout, options) {
+    await this._validateSchema(payout, schemas.createPayout, options);
+    this._validatePayoutAddresses([payout], options);
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/payout',
+        requiresAuth: true,
+        data: payout,
+      },
+      options
+    );
+    return this._toModel(PayoutBatch, response, options);
   }
 
   /**
-   * Create batch cryptocurrency payout
+   * Create batch cryptocurrency payout (requires payout credentials)
    * @param {BatchPayoutParams} params - Batch payout parameters
-   * @returns {Promise<Payout[]>} Created payouts details
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<PayoutBatch>} Created batch with its withdrawals
    * @throws {ValidationError} When parameters are invalid
    * @throws {APIError} When API request fails
    */
-  async createBatchPayout(params) {
-    await this._validateSchema(params, schemas.createBatchPayout);
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.POST,
-      url: '/batch-payout',
-      data: params,
-    });
+  async createBatchPayout(params, options) {
+    await this._validateSchema(params, schemas.createBatchPayout, options);
+    this._validatePayoutAddresses(params.payouts, options);
+    // Processing options are client-side only; see createBatchPayoutRunner
+    const { processingMode, failureMode, ...data } = params;
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/batch-payout',
+        requiresAuth: true,
+        data,
+      },
+      options
+    );
+    return this._toModel(PayoutBatch, response, options);
+  }
+
+  /**
+   * Get payout status by ID
+   * @param {string} payoutId - Payout identifier
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<Payout>} Payout details
+   * @throws {APIError} When payout not found or API error
+   */
+  async getPayoutStatus(payoutId, options) {
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: `/payout/${payoutId}`,
+      },
+      options
+    );
+    return this._toModel(Payout, response, options);
+  }
+
+  /**
+   * Get payouts list with pagination (requires payout credentials)
+   * @param {ListPayoutsParams} [params] - Query parameters
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<PaginationResponse<Payout>>} Paginated payouts list
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async listPayouts(params = {}, options) {
+    await this._validateSchema(params, schemas.listPayouts, options);
+    const response = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/payout',
+        requiresAuth: true,
+        params,
+      },
+      options
+    );
+    return this._toModelList(Payout, response, options);
+  }
+
+  /**
+   * Confirm payout batch with 2FA verification code (requires payout credentials)
+   * @param {string} batchId - Batch withdrawal identifier
+   * @param {string} code - 2FA verification code
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<any>} Verification result
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When verification fails
+   */
+  async verifyPayout(batchId, code, options) {
+    await this._validateSchema({ batchId, verification_code: code }, schemas.verifyPayout, options);
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: `/payout/${batchId}/verify`,
+        requiresAuth: true,
+        data: { verification_code: code },
+      },
+      options
+    );
+  }
+
+  /**
+   * Cancel payout that has not been processed yet (requires payout credentials)
+   * @param {string} payoutId - Payout identifier
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<any>} Cancellation result
+   * @throws {APIError} When payout cannot be cancelled
+   */
+  async cancelPayout(payoutId, options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: `/payout/${payoutId}/cancel`,
+        requiresAuth: true,
+      },
+      options
+    );
+  }
+
+  /**
+   * Poll payout status until it completes
+   * @param {string} payoutId - Payout identifier
+   * @param {PollOptions} [options] - Polling options
+   * @returns {Promise<Payout>} Completed payout
+   * @throws {NOWPaymentsError} When payout fails, the wait times out or is aborted
+   */
+  async waitForPayout(payoutId, options = {}) {
+    const payout = await this._pollUntil(
+      () => this.getPayoutStatus(payoutId, { signal: options.signal, raw: options.raw }),
+      result => utils.isPayoutStatusFinal(result),
+      options,
+      `Payout ${payoutId} did not reach a final status`
+    );
+
+    if (utils.normalizePayoutStatus(payout.status) === constants.PAYOUT_STATUSES.FAILED) {
+      throw new NOWPaymentsError(
+        `Payout ${payoutId} failed${payout.error ? `: ${payout.error}` : ''}`,
+        constants.ERROR_CODES.PAYOUT_FAILED,
+        payout
+      );
+    }
+    return payout;
+  }
+
+  /**
+   * Get merchant balances
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<Balances>} Exact available and pending amounts keyed by currency code
+   * @throws {APIError} When API request fails
+   */
+  async getBalance(options) {
+    const balances = await this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/balance',
+      },
+      options
+    );
+    return utils.normalizeBalances(balances);
+  }
+
+  /**
+   * Convert funds between currencies held on the merchant balance (requires payout credentials)
+   * @param {CreateConversionParams} params - Amount and currency pair
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<ConversionResponse>} Created conversion
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async createConversion(params, options) {
+    await this._validateSchema(params, schemas.createConversion, options);
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/conversion',
+        requiresAuth: true,
+        data: params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Get conversion by ID (requires payout credentials)
+   * @param {string} conversionId - Conversion identifier
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<ConversionResponse>} Conversion details
+   * @throws {APIError} When conversion not found or API error
+   */
+  async getConversion(conversionId, options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: `/conversion/${conversionId}`,
+        requiresAuth: true,
+      },
+      options
+    );
+  }
+
+  /**
+   * Get conversions list (requires payout credentials)
+   * @param {ListConversionsParams} [params] - Query parameters
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<ConversionListResponse>} Conversions page with total count
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async listConversions(params = {}, options) {
+    await this._validateSchema(params, schemas.listConversions, options);
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/conversion',
+        requiresAuth: true,
+        params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Poll conversion status until it finishes
+   * @param {string} conversionId - Conversion identifier
+   * @param {PollOptions} [options] - Polling options
+   * @returns {Promise<Conversion>} Finished conversion
+   * @throws {NOWPaymentsError} When conversion is rejected, the wait times out or is aborted
+   */
+  async waitForConversion(conversionId, options = {}) {
+    const conversion = await this._pollUntil(
+      () =>
+        this.getConversion(conversionId, { signal: options.signal }).then(
+          response => (response && response.result) || response
+        ),
+      result => utils.isConversionStatusFinal(result),
+      options,
+      `Conversion ${conversionId} did not reach a final status`
+    );
+
+    if (String(conversion.status).toUpperCase() === constants.CONVERSION_STATUSES.REJECTED) {
+      throw new NOWPaymentsError(
+        `Conversion ${conversionId} was rejected`,
+        constants.ERROR_CODES.CONVERSION_FAILED,
+        conversion
+      );
+    }
+    return conversion;
+  }
+
+  /**
+   * Create subscription plan for recurring payments (requires payout credentials)
+   * @param {CreateSubscriptionPlanParams} plan - Plan parameters
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<SubscriptionPlanResponse>} Created plan
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async createSubscriptionPlan(plan, options) {
+    await this._validateSchema(plan, schemas.createSubscriptionPlan, options);
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/subscriptions/plans',
+        requiresAuth: true,
+        data: plan,
+      },
+      options
+    );
+  }
+
+  /**
+   * Update subscription plan; existing subscriptions pick up the change on their next period
+   * @param {string} planId - Subscription plan identifier
+   * @param {UpdateSubscriptionPlanParams} changes - Fields to change
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<SubscriptionPlanResponse>} Updated plan
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async updateSubscriptionPlan(planId, changes, options) {
+    await this._validateSchema(changes, schemas.updateSubscriptionPlan, options);
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.PATCH,
+        url: `/subscriptions/plans/${planId}`,
+        requiresAuth: true,
+        idempotent: true,
+        data: changes,
+      },
+      options
+    );
+  }
+
+  /**
+   * Get subscription plan by ID
+   * @param {string} planId - Subscription plan identifier
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<SubscriptionPlanResponse>} Subscription plan
+   * @throws {APIError} When plan not found or API error
+   */
+  async getSubscriptionPlan(planId, options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: `/subscriptions/plans/${planId}`,
+      },
+      options
+    );
+  }
+
+  /**
+   * Get subscription plans list
+   * @param {ListSubscriptionPlansParams} [params] - Query parameters
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<SubscriptionListResponse<SubscriptionPlan>>} Subscription plans
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async listSubscriptionPlans(params = {}, options) {
+    await this._validateSchema(params, schemas.listSubscriptionPlans, options);
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/subscriptions/plans',
+        params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Subscribe a customer by email; NOWPayments emails a payment link every period
+   * (requires payout credentials)
+   * @param {CreateSubscriptionParams} params - Plan and subscriber email
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<SubscriptionResponse>} Created subscription
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async createSubscription(params, options) {
+    await this._validateSchema(params, schemas.createSubscription, options);
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.POST,
+        url: '/subscriptions',
+        requiresAuth: true,
+        data: params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Get subscriptions list (requires payout credentials)
+   * @param {ListSubscriptionsParams} [params] - Query parameters
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<SubscriptionListResponse<Subscription>>} Subscriptions
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async listSubscriptions(params = {}, options) {
+    await this._validateSchema(params, schemas.listSubscriptions, options);
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: '/subscriptions',
+        requiresAuth: true,
+        params,
+      },
+      options
+    );
+  }
+
+  /**
+   * Get subscription by ID
+   * @param {string} subscriptionId - Subscription identifier
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<SubscriptionResponse>} Subscription
+   * @throws {APIError} When subscription not found or API error
+   */
+  async getSubscription(subscriptionId, options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: `/subscriptions/${subscriptionId}`,
+      },
+      options
+    );
+  }
+
+  /**
+   * Cancel subscription (requires payout credentials)
+   * @param {string} subscriptionId - Subscription identifier
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
+   * @returns {Promise<{result: string}>} Deletion result
+   * @throws {APIError} When subscription not found or API error
+   */
+  async deleteSubscription(subscriptionId, options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.DELETE,
+        url: `/subscriptions/${subscriptionId}`,
+        requiresAuth: true,
+        idempotent: true,
+      },
+      options
+    );
   }
 
   /**
    * Get detailed payment flow
    * @param {string} paymentId - Payment identifier
+   * @param {RequestOptions} [options] - Per-call signal, timeout, retries, headers and validation
    * @returns {Promise<PaymentFlow>} Payment flow details
    * @throws {APIError} When payment not found or API error
    */
-  async getPaymentFlow(paymentId) {
-    return this._retryRequest({
-      method: constants.HTTP_METHODS.GET,
-      url: `/payment/${paymentId}/flow`,
-    });
+  async getPaymentFlow(paymentId, options) {
+    return this._retryRequest(
+      {
+        method: constants.HTTP_METHODS.GET,
+        url: `/payment/${paymentId}/flow`,
+      },
+      options
+    );
   }
 
   /**
@@ -318,14 +1285,142 @@ class NowPaymentsAPI {
     return utils.generateSignature(ipnData, this.ipnSecret) === signature;
   }
 
+  /**
+   * Create IPN handler bound to this client's IPN secret
+   * @param {IPNHandlerOptions} [options] - Handler options
+   * @returns {IPNHandler} IPN handler instance
+   */
+  createIPNHandler(options) {
+    return new IPNHandler(this, options);
+  }
+
+  /**
+   * Create IPN webhook middleware for a web framework
+   * @param {IPNHandlerOptions & {framework?: IPNFramework}} [options] - Handler options
+   * @returns {Function} Framework-specific middleware or route handler
+   * @throws {ValidationError} When framework is not supported
+   */
+  ipnMiddleware(options = {}) {
+    const { framework = 'express', ...handlerOptions } = options;
+    const handler = this.createIPNHandler(handlerOptions);
+
+    if (!IPNHandler.FRAMEWORKS.includes(framework)) {
+      throw new ValidationError(`Unsupported IPN middleware framework: ${framework}`);
+    }
+    return handler[framework]();
+  }
+
+  /**
+   * Create payment tracker using this client for status polling
+   * @param {PaymentTrackerOptions} [options] - Tracker options
+   * @returns {PaymentTracker} Payment tracker instance
+   */
+  createPaymentTracker(options) {
+    return new PaymentTracker(this, options);
+  }
+
+  /**
+   * Create batch payout runner that sends payout lists of any size through this client
+   * @param {BatchPayoutRunnerOptions} [options] - Checkpoint store and 2FA code provider
+   * @returns {BatchPayoutRunner} Batch payout runner instance
+   */
+  createBatchPayoutRunner(options) {
+    return new BatchPayoutRunner(this, options);
+  }
+
+  /**
+   * Create importer that reads payouts from CSV or TSV files and checks them before sending
+   * @param {PayoutImporterOptions} [options] - Column, warning and runner options
+   * @returns {PayoutImporter} Payout importer instance
+   */
+  createPayoutImporter(options) {
+    return new PayoutImporter(this, options);
+  }
+
+  /**
+   * Create WebSocket client for this client's API key and environment, using this client
+   * to backfill missed updates
+   * @param {WebSocketOptions} [options] - WebSocket options; `endpoint` overrides the environment
+   * @returns {NOWPaymentsWebSocket} WebSocket client instance
+   */
+  createWebSocketClient(options) {
+    return new NOWPaymentsWebSocket(this.apiKey, {
+      sandbox: this.sandbox,
+      restClient: this,
+      ...options,
+    });
+  }
+
+  /**
+   * Repeatedly fetches a resource with exponential backoff until a condition holds
+   * @private
+   * @param {function(): Promise<any>} fetch - Resource fetcher
+   * @param {function(any): boolean} isDone - Completion predicate
+   * @param {PollOptions} [options] - Polling options
+   * @param {string} [description] - Timeout message prefix
+   * @returns {Promise<any>} Last fetched resource
+   * @throws {NOWPaymentsError} When the timeout elapses or the signal aborts
+   */
+  async _pollUntil(fetch, isDone, options = {}, description = 'Polling condition was not met') {
+    const { POLLING } = constants.DEFAULT_CONFIG;
+    const { timeout, signal } = options;
+    const deadline = timeout ? Date.now() + timeout : Infinity;
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await fetch();
+      if (isDone(result)) {
+        return result;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new NOWPaymentsError(
+          `${description} within ${timeout}ms`,
+          constants.ERROR_CODES.TIMEOUT_ERROR,
+          result
+        );
+      }
+
+      const delay = utils.calculateBackoffDelay(attempt, {
+        initialDelay: options.interval || POLLING.INTERVAL,
+        factor: options.backoffFactor || POLLING.BACKOFF_FACTOR,
+        maxDelay: options.maxInterval || POLLING.MAX_INTERVAL,
+      });
+      await this._sleep(Math.min(delay, remaining), signal);
+    }
+  }
+
   /**
    * Sleep utility for retry delay
    * @private
    * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} [signal] - Signal interrupting the sleep
    * @returns {Promise<void>}
+   * @throws {NOWPaymentsError} When the signal aborts
    */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const abortError = () => new AbortError();
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
   }
 
   /**
@@ -335,23 +1430,113 @@ class NowPaymentsAPI {
    * @returns {boolean} Whether error is retryable
    */
   _isRetryable(error) {
+    if (typeof error.isRetryable === 'boolean') {
+      return error.isRetryable;
+    }
+    if (constants.RETRYABLE_NETWORK_ERRORS.includes(error.code)) {
+      return true;
+    }
     return error.code === 429 || (error.code >= 500 && error.code <= 599);
   }
 
+  /**
+   * Validates payout addresses and extra ids before they are sent
+   * @private
+   * @param {Array<{address: string, currency: string, extra_id?: string}>} payouts - Payouts
+   * @param {RequestOptions} [options] - Request options; `validate: false` skips validation and
+   *   `requireExtraId` rejects tag and memo currencies without an extra id
+   * @throws {ValidationError} When any address is invalid, with per-payout reasons in details
+   */
+  _validatePayoutAddresses(payouts, options = {}) {
+    if (!this.validateAddresses || options.validate === false) {
+      return;
+    }
+
+    const registry = this.currencies.isLoaded() ? this.currencies : undefined;
+    const failures = payouts
+      .map((payout, index) => ({
+        index,
+        address: payout.address,
+        currency: payout.currency,
+        ...utils.validateAddress(payout.address, payout.currency, {
+          extraId: payout.extra_id,
+          requireExtraId: Boolean(options.requireExtraId),
+          registry,
+        }),
+      }))
+      .filter(result => !result.valid)
+      .map(({ valid, ...failure }) => failure);
+
+    if (failures.length > 0) {
+      const summary = failures
+        .map(failure => (payouts.length > 1 ? `#${failure.index}: ${failure.reason}` : failure.reason))
+        .join('; ');
+      throw new ValidationError(`Invalid payout address: ${summary}`, failures);
+    }
+  }
+
   /**
    * Validates request data against schema
    * @private
    * @param {Object} data - Data to validate
    * @param {Object} schema - Validation schema
+   * @param {RequestOptions} [options] - Request options; `validate: false` skips validation
    * @throws {ValidationError} When validation fails
    */
-  async _validateSchema(data, schema) {
+  async _validateSchema(data, schema, options = {}) {
+    if (options.validate === false) {
+      return;
+    }
+
+    const context = {};
+    if (this.validateCurrencies) {
+      try {
+        context.currencies = await this.currencies.ensureLoaded();
+      } catch (error) {
+        // Currency list unavailable, leave currency checks to the API
+      }
+    }
+
     try {
-      await schema.validateAsync(data);
+      await schema.validateAsync(data, { context });
     } catch (error) {
       throw new ValidationError(error.message, error.details);
     }
   }
+
+  /**
+   * Wraps response data in a model unless raw data was requested
+   * @private
+   * @param {typeof Payment|typeof Invoice|typeof Payout|typeof PayoutBatch} Model - Model class
+   * @param {Object|Object[]} data - Response data
+   * @param {RequestOptions} [options] - Request options; `raw` overrides the client setting
+   * @returns {*} Model, array of models or the data unchanged
+   */
+  _toModel(Model, data, options = {}) {
+    const raw = options.raw === undefined ? this.raw : options.raw;
+    if (raw || data === null || typeof data !== 'object') {
+      return data;
+    }
+    if (Array.isArray(data)) {
+      return data.map(item => new Model(this, item, options));
+    }
+    return new Model(this, data, options);
+  }
+
+  /**
+   * Wraps the items of a paginated response in models
+   * @private
+   * @param {typeof Payment|typeof Invoice|typeof Payout|typeof PayoutBatch} Model - Model class
+   * @param {Object} response - Paginated response
+   * @param {RequestOptions} [options] - Request options; `raw` overrides the client setting
+   * @returns {*} Response with wrapped `data`
+   */
+  _toModelList(Model, response, options = {}) {
+    if (!response || !Array.isArray(response.data)) {
+      return response;
+    }
+    return { ...response, data: this._toModel(Model, response.data, options) };
+  }
 }
 
 module.exports = NowPaymentsAPI;
@@ -0,0 +1,210 @@
+const EventEmitter = require('events');
+const constants = require('./constants');
+const IPNHandler = require('./IPNHandler');
+
+const { IPN, WEBSOCKET, POLL } = constants.PAYMENT_EVENT_SOURCES;
+
+/**
+ * Parses an `updated_at` value
+ * @param {string|number|Date|undefined} value - ISO date, Unix time in milliseconds or Date
+ * @returns {number|null} Unix time in milliseconds
+ */
+const parseUpdatedAt = value => {
+  const time = typeof value === 'number' || value instanceof Date ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Merges IPN callbacks, WebSocket updates and status polls into one
+ * `payment.status_changed` stream, available as `client.events`
+ * @class PaymentEvents
+ * @extends EventEmitter
+ * @typedef {import('../types').RequestOptions} RequestOptions
+ * @typedef {import('../types').PaymentStatus} PaymentStatus
+ * @typedef {import('../types/ipn').IPNHandlerOptions} IPNHandlerOptions
+ * @typedef {import('../types/ipn').IPNResult} IPNResult
+ * @typedef {import('../types/websocket').WebSocketOptions} WebSocketOptions
+ * @typedef {import('../types/events').PaymentEventsOptions} PaymentEventsOptions
+ * @typedef {import('../types/events').PaymentEventSource} PaymentEventSource
+ * @typedef {import('../types/events').PaymentStatusChangedEvent} PaymentStatusChangedEvent
+ */
+class PaymentEvents extends EventEmitter {
+  /**
+   * Creates event hub
+   * @param {import('./NowPaymentsAPI')} client - API client used for polling and signature checks
+   * @param {PaymentEventsOptions} [options] - Hub options
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.maxPayments = options.maxPayments || constants.DEFAULT_CONFIG.EVENTS.MAX_PAYMENTS;
+    this.payments = new Map();
+    this.webSocket = null;
+    this._ownsWebSocket = false;
+    this._ipnHandler = null;
+    this._onPaymentUpdate = message => {
+      if (message && message.data) {
+        this.ingest(message.data, WEBSOCKET);
+      }
+    };
+  }
+
+  /**
+   * Records a payment observation and emits `payment.status_changed` when its status differs
+   * from the last one seen. Repeats of the current status and updates older than the last
+   * one seen are dropped, whichever source reports them.
+   * @param {PaymentStatus} payment - Payment in any of the IPN, WebSocket or REST shapes
+   * @param {PaymentEventSource} source - Where the observation came from
+   * @returns {PaymentStatusChangedEvent|null} Emitted event, or null for repeats and stale updates
+   * @fires PaymentEvents#payment.status_changed
+   */
+  ingest(payment, source) {
+    if (!payment || payment.payment_id === undefined || payment.payment_id === null) {
+      return null;
+    }
+    const paymentId = String(payment.payment_id);
+    const current = payment.payment_status;
+    const updatedAt = parseUpdatedAt(payment.updated_at);
+
+    const entry = this.payments.get(paymentId);
+    if (entry) {
+      if (updatedAt !== null && entry.updatedAt !== null && updatedAt < entry.updatedAt) {
+        return null;
+      }
+      if (entry.status === current) {
+        this._remember(paymentId, current, updatedAt === null ? entry.updatedAt : updatedAt);
+        return null;
+      }
+    }
+
+    const event = {
+      type: constants.PAYMENT_EVENTS.STATUS_CHANGED,
+      paymentId,
+      orderId: payment.order_id,
+      previous: entry ? entry.status : null,
+      current,
+      source,
+      updatedAt: updatedAt === null ? null : new Date(updatedAt).toISOString(),
+      payment
+    };
+    this._remember(paymentId, current, updatedAt === null && entry ? entry.updatedAt : updatedAt);
+    this.emit(constants.PAYMENT_EVENTS.STATUS_CHANGED, event);
+    return event;
+  }
+
+  /**
+   * Stores the latest observation, evicting the least recently updated payment past the limit
+   * @private
+   * @param {string} paymentId - Payment identifier
+   * @param {string} status - Observed status
+   * @param {number|null} updatedAt - Latest known update time
+   */
+  _remember(paymentId, status, updatedAt) {
+    this.payments.delete(paymentId);
+    this.payments.set(paymentId, { status, updatedAt });
+    if (this.payments.size > this.maxPayments) {
+      this.payments.delete(this.payments.keys().next().value);
+    }
+  }
+
+  /**
+   * Last status seen for a payment
+   * @param {string} paymentId - Payment identifier
+   * @returns {string|undefined} Payment status
+   */
+  getStatus(paymentId) {
+    const entry = this.payments.get(String(paymentId));
+    return entry ? entry.status : undefined;
+  }
+
+  /**
+   * Verifies and ingests an IPN callback
+   * @param {Object|string|Buffer} body - Parsed JSON payload or raw request body
+   * @param {Object} headers - Request headers carrying `x-nowpayments-sig`
+   * @returns {Promise<IPNResult>} Processing result with HTTP status code
+   */
+  async handleIPN(body, headers) {
+    if (!this._ipnHandler) {
+      this._ipnHandler = this.createIPNHandler();
+    }
+    return this._ipnHandler.handle(body, headers);
+  }
+
+  /**
+   * Creates an IPN handler that feeds verified payments into the hub before calling
+   * `options.onPaymentStatus`
+   * @param {IPNHandlerOptions} [options] - Handler options
+   * @returns {IPNHandler} IPN handler with framework adapters
+   */
+  createIPNHandler(options = {}) {
+    const handlers = new IPNHandler(this.client, options);
+    return new IPNHandler(this.client, {
+      ...options,
+      onPaymentStatus: async payment => {
+        this.ingest(payment, IPN);
+        await handlers._dispatch(payment);
+      }
+    });
+  }
+
+  /**
+   * Fetches the current status of a payment and ingests it
+   * @param {string} paymentId - Payment identifier
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<import('./models').Payment>} Payment, or plain data with `raw`
+   * @throws {APIError} When payment not found or API error
+   */
+  async poll(paymentId, options) {
+    const payment = await this.client.getPaymentStatus(paymentId, options);
+    this.ingest(payment, POLL);
+    return payment;
+  }
+
+  /**
+   * Listens to payment updates from a WebSocket client
+   * @param {import('./WebSocketClient')} webSocket - WebSocket client
+   */
+  attachWebSocket(webSocket) {
+    this.detachWebSocket();
+    this.webSocket = webSocket;
+    webSocket.on(constants.WEBSOCKET_EVENTS.PAYMENT_UPDATE, this._onPaymentUpdate);
+  }
+
+  /**
+   * Stops listening to the attached WebSocket client, closing it if the hub created it
+   */
+  detachWebSocket() {
+    if (!this.webSocket) {
+      return;
+    }
+    this.webSocket.removeListener(constants.WEBSOCKET_EVENTS.PAYMENT_UPDATE, this._onPaymentUpdate);
+    if (this._ownsWebSocket) {
+      this.webSocket.close();
+    }
+    this.webSocket = null;
+    this._ownsWebSocket = false;
+  }
+
+  /**
+   * Creates, attaches and connects a WebSocket client for this client's environment
+   * @param {WebSocketOptions} [options] - WebSocket options
+   * @returns {import('./WebSocketClient')} Connected WebSocket client
+   */
+  connectWebSocket(options) {
+    const webSocket = this.client.createWebSocketClient(options);
+    this.attachWebSocket(webSocket);
+    this._ownsWebSocket = true;
+    webSocket.connect();
+    return webSocket;
+  }
+
+  /**
+   * Detaches the WebSocket client and forgets seen updates
+   */
+  close() {
+    this.detachWebSocket();
+    this.payments.clear();
+  }
+}
+
+module.exports = PaymentEvents;
@@ -0,0 +1,191 @@
+const { ValidationError } = require('./errors');
+const schemas = require('./validation');
+
+/**
+ * Async iterator over every payment returned by getPayments
+ * @class PaymentIterator
+ * @typedef {import('../types').PaymentStatus} PaymentStatus
+ * @typedef {import('../types').GetPaymentsParams} GetPaymentsParams
+ * @typedef {import('../types/pagination').IteratePaymentsParams} IteratePaymentsParams
+ * @typedef {import('../types/pagination').PaymentCursor} PaymentCursor
+ * @typedef {import('../types').RequestOptions} RequestOptions
+ */
+class PaymentIterator {
+  /**
+   * Creates payment iterator
+   * @param {import('./NowPaymentsAPI')} client - API client
+   * @param {IteratePaymentsParams} [params] - Query and scanning parameters
+   * @param {RequestOptions} [options] - Request options passed to every getPayments call
+   */
+  constructor(client, params = {}, options) {
+    const { windowSize, concurrency = 1, cursor, ...query } = params;
+    this.client = client;
+    this.params = params;
+    this.query = query;
+    this.windowSize = windowSize;
+    this.concurrency = concurrency;
+    this.options = options;
+    this.windows = null;
+    this._cursor = cursor
+      ? { ...cursor }
+      : { windowIndex: 0, page: query.page || 1, offset: 0 };
+    this.done = false;
+  }
+
+  /**
+   * Position of the next payment to be yielded; persist it to resume after a crash
+   * @returns {PaymentCursor|null} Cursor, or null when iteration has completed
+   */
+  get cursor() {
+    return this.done ? null : { ...this._cursor };
+  }
+
+  /**
+   * Collects all remaining payments into an array
+   * @returns {Promise<PaymentStatus[]>} Payments
+   */
+  async toArray() {
+    const payments = [];
+    for await (const payment of this) {
+      payments.push(payment);
+    }
+    return payments;
+  }
+
+  /**
+   * Iterates over payments across windows and pages
+   * @returns {AsyncGenerator<PaymentStatus>} Payment generator
+   */
+  async *[Symbol.asyncIterator]() {
+    await this._validate();
+    this.windows = this._buildWindows();
+
+    while (this._cursor.windowIndex < this.windows.length) {
+      yield* this._iterateWindow(this.windows[this._cursor.windowIndex]);
+      this._cursor = { windowIndex: this._cursor.windowIndex + 1, page: 1, offset: 0 };
+    }
+    this.done = true;
+  }
+
+  /**
+   * Iterates over all pages of a single date window
+   * @private
+   * @param {{dateFrom?: string, dateTo?: string}} window - Date window
+   * @returns {AsyncGenerator<PaymentStatus>} Payment generator
+   */
+  async *_iterateWindow(window) {
+    const seen = new Set();
+    const pending = new Map();
+    let totalPages = Infinity;
+    let nextPage = this._cursor.page;
+
+    const schedule = () => {
+      while (pending.size < this.concurrency && nextPage <= totalPages) {
+        const request = this._fetchPage(window, nextPage);
+        request.catch(() => {});
+        pending.set(nextPage, request);
+        nextPage += 1;
+        if (totalPages === Infinity) {
+          break;
+        }
+      }
+    };
+
+    schedule();
+    while (pending.size > 0) {
+      const page = this._cursor.page;
+      const request = pending.get(page);
+      pending.delete(page);
+
+      const response = await request;
+      const items = Array.isArray(response && response.data) ? response.data : [];
+      const reportedPages = this._getTotalPages(response);
+      totalPages = reportedPages === undefined ? (items.length ? Infinity : page) : reportedPages;
+
+      if (items.length === 0) {
+        return;
+      }
+
+      for (let index = this._cursor.offset; index < items.length; index++) {
+        const payment = items[index];
+        this._cursor = { ...this._cursor, offset: index + 1 };
+        const id = String(payment.payment_id);
+        if (!seen.has(id)) {
+          seen.add(id);
+          yield payment;
+        }
+      }
+
+      this._cursor = { ...this._cursor, page: page + 1, offset: 0 };
+      schedule();
+    }
+  }
+
+  /**
+   * Requests one page of payments
+   * @private
+   * @param {{dateFrom?: string, dateTo?: string}} window - Date window
+   * @param {number} page - Page number
+   * @returns {Promise<Object>} Paginated response
+   */
+  _fetchPage(window, page) {
+    return this.client.getPayments({ ...this.query, ...window, page }, this.options);
+  }
+
+  /**
+   * Reads total page count from either pagination response format
+   * @private
+   * @param {Object} response - Paginated response
+   * @returns {number|undefined} Total pages
+   */
+  _getTotalPages(response) {
+    if (!response) {
+      return undefined;
+    }
+    if (response.pagination && response.pagination.totalPages !== undefined) {
+      return Number(response.pagination.totalPages);
+    }
+    if (response.pagesCount !== undefined) {
+      return Number(response.pagesCount);
+    }
+    return undefined;
+  }
+
+  /**
+   * Splits the requested date range into windows
+   * @private
+   * @returns {Array<{dateFrom?: string, dateTo?: string}>} Date windows
+   */
+  _buildWindows() {
+    const { dateFrom, dateTo, orderBy } = this.query;
+    if (!this.windowSize) {
+      return [{}];
+    }
+
+    const end = new Date(dateTo).getTime();
+    const windows = [];
+    for (let start = new Date(dateFrom).getTime(); start <= end; start += this.windowSize) {
+      windows.push({
+        dateFrom: new Date(start).toISOString(),
+        dateTo: new Date(Math.min(start + this.windowSize - 1, end)).toISOString()
+      });
+    }
+    return orderBy === 'desc' ? windows.reverse() : windows;
+  }
+
+  /**
+   * Validates scanning parameters
+   * @private
+   * @returns {Promise<void>}
+   * @throws {ValidationError} When parameters are invalid
+   */
+  async _validate() {
+    try {
+      await schemas.iteratePayments.validateAsync(this.params);
+    } catch (error) {
+      throw new ValidationError(error.message, error.details);
+    }
+  }
+}
+
+module.exports = PaymentIterator;
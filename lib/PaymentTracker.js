@@ -0,0 +1,300 @@
+const EventEmitter = require('events');
+const { NOWPaymentsError, AbortError } = require('./errors');
+const constants = require('./constants');
+const utils = require('./utils');
+
+/**
+ * Follows payments to a final status using WebSocket updates with polling fallback
+ * @class PaymentTracker
+ * @extends EventEmitter
+ * @typedef {import('../types').PaymentStatus} PaymentStatus
+ * @typedef {import('../types/tracker').PaymentTrackerOptions} PaymentTrackerOptions
+ * @typedef {import('../types/tracker').PaymentTransition} PaymentTransition
+ * @typedef {import('../types/tracker').WaitOptions} WaitOptions
+ */
+class PaymentTracker extends EventEmitter {
+  /**
+   * Creates payment tracker instance
+   * @param {import('./NowPaymentsAPI')} client - API client used for polling
+   * @param {PaymentTrackerOptions} [options] - Tracker options
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.options = {
+      pollInterval: options.pollInterval || constants.DEFAULT_CONFIG.POLLING.INTERVAL,
+      maxPollInterval: options.maxPollInterval || constants.DEFAULT_CONFIG.POLLING.MAX_INTERVAL,
+      backoffFactor: options.backoffFactor || constants.DEFAULT_CONFIG.POLLING.BACKOFF_FACTOR
+    };
+
+    this.payments = new Map();
+    this.webSocket = null;
+    this._onPaymentUpdate = message => {
+      if (message && message.data) {
+        this._handleUpdate(message.data, 'websocket');
+      }
+    };
+
+    if (options.webSocket) {
+      this.attachWebSocket(options.webSocket);
+    }
+  }
+
+  /**
+   * Listens to payment updates from a WebSocket client
+   * @param {import('./WebSocketClient')} webSocket - WebSocket client
+   */
+  attachWebSocket(webSocket) {
+    this.detachWebSocket();
+    this.webSocket = webSocket;
+    webSocket.on(constants.WEBSOCKET_EVENTS.PAYMENT_UPDATE, this._onPaymentUpdate);
+  }
+
+  /**
+   * Stops listening to the attached WebSocket client
+   */
+  detachWebSocket() {
+    if (this.webSocket) {
+      this.webSocket.removeListener(constants.WEBSOCKET_EVENTS.PAYMENT_UPDATE, this._onPaymentUpdate);
+      this.webSocket = null;
+    }
+  }
+
+  /**
+   * Starts tracking a payment
+   * @param {string} paymentId - Payment identifier
+   * @returns {PaymentStatus|undefined} Last known payment status
+   */
+  track(paymentId) {
+    const id = String(paymentId);
+    if (!this.payments.has(id)) {
+      this.payments.set(id, { payment: undefined, attempt: 0, timer: null });
+      this._poll(id);
+    }
+    return this.getStatus(id);
+  }
+
+  /**
+   * Stops tracking a payment
+   * @param {string} paymentId - Payment identifier
+   */
+  untrack(paymentId) {
+    const id = String(paymentId);
+    const entry = this.payments.get(id);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.payments.delete(id);
+    }
+  }
+
+  /**
+   * Gets last known status of a tracked payment
+   * @param {string} paymentId - Payment identifier
+   * @returns {PaymentStatus|undefined} Last known payment status
+   */
+  getStatus(paymentId) {
+    const entry = this.payments.get(String(paymentId));
+    return entry ? entry.payment : undefined;
+  }
+
+  /**
+   * Waits until payment reaches a final status
+   * @param {string} paymentId - Payment identifier
+   * @param {WaitOptions} [options] - Wait options
+   * @returns {Promise<PaymentStatus>} Payment in its final status
+   * @throws {NOWPaymentsError} When the wait times out
+   * @throws {AbortError} When the wait is aborted
+   */
+  waitForFinalStatus(paymentId, options = {}) {
+    const id = String(paymentId);
+    const { timeout, signal } = options;
+    const startedTracking = !this.payments.has(id);
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new AbortError('Waiting for payment status was aborted'));
+        return;
+      }
+
+      let timer = null;
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.removeListener('final', onFinal);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      const finish = () => {
+        cleanup();
+        if (startedTracking) {
+          this.untrack(id);
+        }
+      };
+      const fail = error => {
+        finish();
+        reject(error);
+      };
+      const onFinal = payment => {
+        if (String(payment.payment_id) === id) {
+          finish();
+          resolve(payment);
+        }
+      };
+      const onAbort = () => {
+        fail(new AbortError('Waiting for payment status was aborted'));
+      };
+
+      this.on('final', onFinal);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      if (timeout) {
+        timer = setTimeout(() => {
+          fail(
+            new NOWPaymentsError(
+              `Payment ${id} did not reach a final status within ${timeout}ms`,
+              constants.ERROR_CODES.TIMEOUT_ERROR,
+              { paymentId: id, payment: this.getStatus(id) }
+            )
+          );
+        }, timeout);
+      }
+
+      const current = this.track(id);
+      if (current && utils.isPaymentStatusFinal(current)) {
+        onFinal(current);
+      }
+    });
+  }
+
+  /**
+   * Stops all polling and detaches from the WebSocket client
+   */
+  stop() {
+    for (const id of [...this.payments.keys()]) {
+      this.untrack(id);
+    }
+    this.detachWebSocket();
+  }
+
+  /**
+   * Applies a payment update from any source
+   * @param {PaymentStatus} payment - Payment status
+   * @param {string} [source='manual'] - Update source (`websocket`, `poll` or `manual`)
+   * @returns {boolean} Whether the update produced a transition
+   * @fires PaymentTracker#transition
+   * @fires PaymentTracker#invalid_transition
+   * @fires PaymentTracker#final
+   */
+  update(payment, source = 'manual') {
+    return this._handleUpdate(payment, source);
+  }
+
+  /**
+   * Handles payment status observation
+   * @private
+   * @param {PaymentStatus} payment - Observed payment
+   * @param {string} source - Update source
+   * @returns {boolean} Whether the update produced a transition
+   */
+  _handleUpdate(payment, source) {
+    const id = String(payment.payment_id);
+    const entry = this.payments.get(id);
+    if (!entry) {
+      return false;
+    }
+
+    const previous = entry.payment;
+    const from = previous ? previous.payment_status : null;
+    const to = payment.payment_status;
+
+    if (from === to) {
+      return false;
+    }
+    if (previous && this._isStale(previous, payment)) {
+      return false;
+    }
+
+    /** @type {PaymentTransition} */
+    const transition = { paymentId: id, from, to, payment, source };
+
+    if (from && !utils.isValidStatusTransition(from, to)) {
+      this.emit('invalid_transition', transition);
+      return false;
+    }
+
+    entry.payment = payment;
+    entry.attempt = 0;
+
+    this.emit('transition', transition);
+    this.emit(to, payment, transition);
+
+    if (utils.isPaymentStatusFinal(payment)) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      this.emit('final', payment, transition);
+    } else if (source !== 'poll') {
+      this._schedulePoll(id);
+    }
+    return true;
+  }
+
+  /**
+   * Checks whether an update is older than the known state
+   * @private
+   * @param {PaymentStatus} current - Known payment state
+   * @param {PaymentStatus} next - Incoming payment state
+   * @returns {boolean} Whether incoming state is older
+   */
+  _isStale(current, next) {
+    const currentTime = Date.parse(current.updated_at);
+    const nextTime = Date.parse(next.updated_at);
+    return !Number.isNaN(currentTime) && !Number.isNaN(nextTime) && nextTime < currentTime;
+  }
+
+  /**
+   * Fetches payment status and schedules next poll
+   * @private
+   * @param {string} id - Payment identifier
+   * @returns {Promise<void>}
+   */
+  async _poll(id) {
+    let changed = false;
+    try {
+      const payment = await this.client.getPaymentStatus(id, { raw: true });
+      changed = this._handleUpdate(payment, 'poll');
+    } catch (error) {
+      this.emit('poll_error', error, id);
+    }
+
+    const entry = this.payments.get(id);
+    if (entry && !(entry.payment && utils.isPaymentStatusFinal(entry.payment))) {
+      if (!changed) {
+        entry.attempt += 1;
+      }
+      this._schedulePoll(id);
+    }
+  }
+
+  /**
+   * Schedules next poll with exponential backoff
+   * @private
+   * @param {string} id - Payment identifier
+   */
+  _schedulePoll(id) {
+    const entry = this.payments.get(id);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    const delay = utils.calculateBackoffDelay(entry.attempt + 1, {
+      initialDelay: this.options.pollInterval,
+      factor: this.options.backoffFactor,
+      maxDelay: this.options.maxPollInterval
+    });
+    entry.timer = setTimeout(() => this._poll(id), delay);
+  }
+}
+
+module.exports = PaymentTracker;
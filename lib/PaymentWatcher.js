@@ -0,0 +1,142 @@
+const EventEmitter = require('events');
+const utils = require('./utils');
+
+/**
+ * Updates for a single payment or order, created by NOWPaymentsWebSocket#watch.
+ * Listen for `update`, `final` and `close`, or iterate with `for await`. A payment watcher
+ * closes itself after the payment's final status, which also ends the iteration.
+ * @class PaymentWatcher
+ * @extends EventEmitter
+ * @typedef {import('../types/websocket').WatchTarget} WatchTarget
+ * @typedef {import('../types/websocket').PaymentUpdateEvent} PaymentUpdateEvent
+ */
+class PaymentWatcher extends EventEmitter {
+  /**
+   * Creates watcher; use NOWPaymentsWebSocket#watch instead
+   * @param {import('./WebSocketClient')} webSocket - WebSocket client delivering updates
+   * @param {{paymentId?: string, orderId?: string}} target - Normalized watch target
+   */
+  constructor(webSocket, target) {
+    super();
+    this.webSocket = webSocket;
+    this.paymentId = target.paymentId;
+    this.orderId = target.orderId;
+    this.key = PaymentWatcher.keyOf(target);
+    this.payment = undefined;
+    this.closed = false;
+  }
+
+  /**
+   * Normalizes a payment id or `{paymentId}` / `{orderId}` object
+   * @param {WatchTarget} target - Watch target
+   * @returns {{paymentId?: string, orderId?: string}} Normalized target
+   */
+  static normalizeTarget(target) {
+    if (target !== null && typeof target === 'object') {
+      if (target.orderId !== undefined && target.orderId !== null) {
+        return { orderId: String(target.orderId) };
+      }
+      if (target.paymentId !== undefined && target.paymentId !== null) {
+        return { paymentId: String(target.paymentId) };
+      }
+      return {};
+    }
+    return target === undefined || target === null || target === '' ? {} : { paymentId: String(target) };
+  }
+
+  /**
+   * Subscription key shared by all watchers of the same target
+   * @param {{paymentId?: string, orderId?: string}} target - Normalized target
+   * @returns {string} Subscription key
+   */
+  static keyOf(target) {
+    return target.orderId !== undefined ? `order:${target.orderId}` : `payment:${target.paymentId}`;
+  }
+
+  /**
+   * Delivers an update to listeners and iterators
+   * @param {PaymentUpdateEvent['data']} payment - Payment data
+   * @fires PaymentWatcher#update
+   * @fires PaymentWatcher#final
+   * @fires PaymentWatcher#close
+   */
+  push(payment) {
+    if (this.closed) {
+      return;
+    }
+    this.payment = payment;
+    this.emit('update', payment);
+    if (utils.isPaymentStatusFinal(payment)) {
+      this.emit('final', payment);
+      // An order can still get new payments; a single payment gets no further updates
+      if (this.orderId === undefined) {
+        this.close();
+      }
+    }
+  }
+
+  /**
+   * Stops watching; the subscription is dropped once no watcher needs it
+   * @fires PaymentWatcher#close
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.webSocket._removeWatcher(this);
+    this.emit('close');
+    this.removeAllListeners('update');
+    this.removeAllListeners('final');
+  }
+
+  /**
+   * Iterates over updates until the watcher is closed or the watched payment is final;
+   * breaking out of the loop closes it
+   * @returns {AsyncIterator<PaymentUpdateEvent['data']>} Update iterator
+   */
+  [Symbol.asyncIterator]() {
+    const queue = [];
+    const waiting = [];
+    const onUpdate = payment => {
+      if (waiting.length > 0) {
+        waiting.shift()({ value: payment, done: false });
+      } else {
+        queue.push(payment);
+      }
+    };
+    const onClose = () => {
+      waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+    };
+    const cleanup = () => {
+      this.removeListener('update', onUpdate);
+      this.removeListener('close', onClose);
+    };
+
+    this.on('update', onUpdate);
+    this.once('close', onClose);
+
+    return {
+      next: () => {
+        if (queue.length > 0) {
+          return Promise.resolve({ value: queue.shift(), done: false });
+        }
+        if (this.closed) {
+          cleanup();
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => waiting.push(resolve));
+      },
+      return: () => {
+        cleanup();
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+}
+
+module.exports = PaymentWatcher;
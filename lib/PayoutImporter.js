@@ -0,0 +1,432 @@
+const { ValidationError } = require('./errors');
+const schemas = require('./validation');
+const constants = require('./constants');
+const utils = require('./utils');
+const Amount = require('./Amount');
+
+/**
+ * Header names accepted for each payout field, after normalization
+ * @type {Object<string, string[]>}
+ */
+const COLUMN_ALIASES = {
+  address: ['address', 'wallet', 'wallet_address', 'recipient'],
+  amount: ['amount', 'value'],
+  currency: ['currency', 'coin', 'ticker', 'asset'],
+  extra_id: ['extra_id', 'memo', 'tag', 'destination_tag']
+};
+
+/**
+ * Normalizes a header name: lower case, runs of other characters become `_`
+ * @param {string} name - Header name
+ * @returns {string} Normalized name
+ */
+const normalizeHeader = name =>
+  String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+/**
+ * Picks the delimiter used in the header line
+ * @param {string} text - File contents
+ * @returns {string} Tab, semicolon or comma
+ */
+const detectDelimiter = text => {
+  const header = text.split(/\r?\n/, 1)[0];
+  if (header.includes('\t')) {
+    return '\t';
+  }
+  const count = char => header.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+};
+
+/**
+ * Splits delimited text into records following RFC 4180 quoting; blank lines are skipped
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<{line: number, values: string[]}>} Records with the line they start on
+ * @throws {ValidationError} When a quoted field is not closed
+ */
+const parseRecords = (text, delimiter) => {
+  const records = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endRecord = () => {
+    values.push(field);
+    if (values.some(value => value.trim() !== '')) {
+      records.push({ line: start, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        line += char === '\n' ? 1 : 0;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      endRecord();
+      line += 1;
+      start = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError(`Unterminated quoted field starting on line ${start}`);
+  }
+  endRecord();
+  return records;
+};
+
+/**
+ * Reads payouts from CSV or TSV exports and checks them before they are sent, available
+ * through NowPaymentsAPI#createPayoutImporter
+ * @class PayoutImporter
+ * @typedef {import('../types').RequestOptions} RequestOptions
+ * @typedef {import('../types/advanced').BatchPayoutParams} BatchPayoutParams
+ * @typedef {import('../types/payoutImport').PayoutImporterOptions} PayoutImporterOptions
+ * @typedef {import('../types/payoutImport').PayoutImportRow} PayoutImportRow
+ * @typedef {import('../types/payoutImport').PayoutImportReport} PayoutImportReport
+ * @typedef {import('../types/payoutImport').PayoutImportParams} PayoutImportParams
+ * @typedef {import('../types/payoutImport').PayoutImportResult} PayoutImportResult
+ */
+class PayoutImporter {
+  /**
+   * Creates payout importer
+   * @param {import('./NowPaymentsAPI')} client - API client used for currency data and submission
+   * @param {PayoutImporterOptions} [options] - Parsing, warning and runner options
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.delimiter = options.delimiter;
+    this.columns = options.columns || {};
+    this.largeAmounts = options.largeAmounts || {};
+    this.largeAmountFactor =
+      options.largeAmountFactor || constants.DEFAULT_CONFIG.PAYOUT_IMPORT.LARGE_AMOUNT_FACTOR;
+    this.runnerOptions = options.runner;
+  }
+
+  /**
+   * Parses CSV or TSV text into rows with a header line. Columns are matched by name:
+   * `address`, `amount`, `currency` and the optional `extra_id`, or their aliases.
+   * @param {string|Buffer} input - File contents
+   * @returns {Array<{line: number, fields: Object<string, string>, payout: Object}>} Parsed rows
+   * @throws {ValidationError} When the header lacks a required column or the file has no rows
+   */
+  parse(input) {
+    const text = String(input).replace(/^\uFEFF/, '');
+    const [header, ...records] = parseRecords(text, this.delimiter || detectDelimiter(text));
+    if (!header) {
+      throw new ValidationError('Payout file is empty');
+    }
+
+    const names = header.values.map(normalizeHeader);
+    const indexes = {};
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      const candidates = this.columns[field] ? [normalizeHeader(this.columns[field])] : aliases;
+      const index = names.findIndex(name => candidates.includes(name));
+      if (index !== -1) {
+        indexes[field] = index;
+      }
+    });
+
+    const missing = ['address', 'amount', 'currency'].filter(field => indexes[field] === undefined);
+    if (missing.length > 0) {
+      throw new ValidationError(`Payout file is missing columns: ${missing.join(', ')}`, {
+        missing,
+        columns: header.values
+      });
+    }
+    if (records.length === 0) {
+      throw new ValidationError('Payout file has no payout rows');
+    }
+
+    return records.map(({ line, values }) => {
+      const fields = {};
+      header.values.forEach((name, index) => {
+        fields[name.trim()] = values[index] === undefined ? '' : values[index].trim();
+      });
+      const value = field => (indexes[field] === undefined ? '' : (values[indexes[field]] || '').trim());
+      const payout = { address: value('address'), amount: value('amount'), currency: value('currency') };
+      if (value('extra_id') !== '') {
+        payout.extra_id = value('extra_id');
+      }
+      return { line, fields, payout };
+    });
+  }
+
+  /**
+   * Parses and checks a payout file without sending anything. Rows are checked against the
+   * batch payout schema, address formats and the currency's minimum payout amount.
+   * Duplicate recipients, amounts that are large for their currency and payouts in tag or
+   * memo currencies without an extra id are warnings.
+   * @param {string|Buffer} input - File contents
+   * @returns {Promise<PayoutImportReport>} Per-row errors and warnings, and totals per currency
+   * @throws {ValidationError} When the file cannot be parsed
+   */
+  async validate(input) {
+    const rows = this.parse(input).map(row => ({ ...row, errors: [], warnings: [] }));
+    const warnings = [];
+
+    let registry;
+    try {
+      registry = await this.client.currencies.ensureLoaded();
+    } catch (error) {
+      warnings.push(`Currency list unavailable, currency support was not checked: ${error.message}`);
+    }
+
+    const { error } = schemas.createBatchPayout.validate(
+      { payouts: rows.map(row => row.payout) },
+      { abortEarly: false, context: { currencies: registry }, errors: { label: 'key' } }
+    );
+    const invalidFields = rows.map(() => new Set());
+    (error ? error.details : [])
+      .filter(detail => detail.path[0] === 'payouts' && typeof detail.path[1] === 'number')
+      .forEach(detail => {
+        rows[detail.path[1]].errors.push(detail.message);
+        invalidFields[detail.path[1]].add(detail.path[2]);
+      });
+
+    const minimums = await this._loadMinimums(
+      rows.filter((row, index) => !invalidFields[index].has('currency')),
+      warnings
+    );
+    rows.forEach((row, index) => this._checkRow(row, invalidFields[index], registry, minimums));
+    this._checkDuplicates(rows);
+    this._checkLargeAmounts(rows);
+
+    const valid = rows.filter(row => row.errors.length === 0);
+    const totals = {};
+    valid.forEach(({ payout }) => {
+      const currency = payout.currency.toUpperCase();
+      const total = totals[currency] || { count: 0, amount: Amount.from(0, currency) };
+      totals[currency] = { count: total.count + 1, amount: total.amount.add(payout.amount) };
+    });
+
+    const batchSize = constants.DEFAULT_CONFIG.BATCH_PAYOUT.CHUNK_SIZE;
+    if (valid.length > batchSize) {
+      warnings.push(
+        `${valid.length} payouts need ${Math.ceil(valid.length / batchSize)} batches; ` +
+          'import them with a runId'
+      );
+    }
+
+    return {
+      valid: valid.length === rows.length,
+      rows,
+      payouts: valid.map(row => row.payout),
+      totals,
+      errorCount: rows.length - valid.length,
+      warningCount: rows.reduce((count, row) => count + row.warnings.length, 0),
+      warnings
+    };
+  }
+
+  /**
+   * Fetches the minimum payout amount of every currency in the file
+   * @private
+   * @param {PayoutImportRow[]} rows - Report rows with a valid currency
+   * @param {string[]} warnings - File-level warnings, receives currencies that could not be checked
+   * @returns {Promise<Map<string, Amount>>} Minimum amount per upper-case currency code
+   */
+  async _loadMinimums(rows, warnings) {
+    const codes = [...new Set(rows.map(row => row.payout.currency.toUpperCase()))];
+    const minimums = new Map();
+    await Promise.all(
+      codes.map(async code => {
+        try {
+          const response = await this.client.getMinimumPayoutAmount(code);
+          const minimum = response && response.result;
+          if (minimum !== undefined && minimum !== null) {
+            minimums.set(code, Amount.from(minimum, code));
+          }
+        } catch (error) {
+          warnings.push(`Minimum ${code} payout amount unavailable, not checked: ${error.message}`);
+        }
+      })
+    );
+    return minimums;
+  }
+
+  /**
+   * Checks address format and minimum amount of a row, skipping checks whose fields
+   * already failed the schema
+   * @private
+   * @param {PayoutImportRow} row - Report row
+   * @param {Set<string>} invalidFields - Fields with schema errors
+   * @param {import('./CurrencyRegistry')} [registry] - Loaded currency registry
+   * @param {Map<string, Amount>} minimums - Minimum payout amount per currency
+   */
+  _checkRow(row, invalidFields, registry, minimums) {
+    const { address, amount, currency, extra_id: extraId } = row.payout;
+    if (invalidFields.has('currency')) {
+      return;
+    }
+    if (this.client.validateAddresses && !invalidFields.has('address') && !invalidFields.has('extra_id')) {
+      const result = utils.validateAddress(address, currency, { extraId, registry });
+      if (!result.valid) {
+        row.errors.push(result.reason);
+      }
+    }
+
+    // Self-custody wallets take no tag or memo, but exchange deposit addresses do
+    const rule = constants.EXTRA_ID_RULES[currency.toUpperCase()];
+    if (rule && !extraId) {
+      row.warnings.push(`No ${rule.label}; exchange deposit addresses need one`);
+    }
+
+    const minimum = minimums.get(currency.toUpperCase());
+    if (minimum && !invalidFields.has('amount') && Amount.from(amount).lt(minimum)) {
+      row.errors.push(`Amount is below the minimum payout of ${minimum} ${minimum.currency}`);
+    }
+  }
+
+  /**
+   * Warns about rows paying the same recipient as an earlier row
+   * @private
+   * @param {PayoutImportRow[]} rows - Report rows
+   */
+  _checkDuplicates(rows) {
+    const seen = new Map();
+    rows.forEach(row => {
+      const { address, currency, extra_id: extraId = '' } = row.payout;
+      // Hex addresses are case-insensitive; other formats are not
+      const normalized = /^0x/i.test(address) ? address.toLowerCase() : address;
+      const key = [currency.toUpperCase(), normalized, extraId].join('|');
+      if (seen.has(key)) {
+        row.warnings.push(`Duplicate recipient of line ${seen.get(key)}`);
+      } else {
+        seen.set(key, row.line);
+      }
+    });
+  }
+
+  /**
+   * Warns about amounts above the configured threshold of their currency or, without one,
+   * far above the currency's median amount
+   * @private
+   * @param {PayoutImportRow[]} rows - Report rows
+   */
+  _checkLargeAmounts(rows) {
+    const byCurrency = new Map();
+    rows
+      .filter(row => row.errors.length === 0)
+      .forEach(row => {
+        const code = row.payout.currency.toUpperCase();
+        byCurrency.set(code, [...(byCurrency.get(code) || []), row]);
+      });
+
+    byCurrency.forEach((group, code) => {
+      const thresholds = Object.entries(this.largeAmounts);
+      const configured = thresholds.find(([currency]) => currency.toUpperCase() === code);
+      let limit;
+      let reason;
+      if (configured) {
+        limit = Amount.from(configured[1]);
+        reason = `above the large amount threshold of ${limit} ${code}`;
+      } else if (group.length >= constants.DEFAULT_CONFIG.PAYOUT_IMPORT.LARGE_AMOUNT_MIN_ROWS) {
+        const sorted = group.map(row => Amount.from(row.payout.amount)).sort((a, b) => a.cmp(b));
+        const median = sorted[Math.floor(sorted.length / 2)];
+        limit = median.mul(this.largeAmountFactor);
+        reason = `more than ${this.largeAmountFactor} times the median ${code} amount of ${median}`;
+      }
+      if (limit) {
+        group
+          .filter(row => Amount.from(row.payout.amount).gt(limit))
+          .forEach(row => row.warnings.push(`Amount is ${reason}`));
+      }
+    });
+  }
+
+  /**
+   * Checks a payout file and, unless `dryRun` is set, sends its payouts: as one batch, or
+   * through a BatchPayoutRunner when `runId` is given. Files with more payouts than fit in
+   * one batch need a `runId`.
+   * @param {string|Buffer} input - File contents
+   * @param {PayoutImportParams} [params] - Dry run, run id and batch processing options
+   * @param {RequestOptions} [options] - Per-call request options for the payout requests
+   * @returns {Promise<PayoutImportResult>} Report, and the submission result unless dry run
+   * @throws {ValidationError} When the file cannot be parsed, any row has errors or a file
+   *   larger than one batch has no `runId`
+   * @throws {APIError} When a payout request fails
+   */
+  async import(input, params = {}, options) {
+    const { dryRun = false, runId, ...runOptions } = params;
+    const report = await this.validate(input);
+    if (dryRun) {
+      return { report };
+    }
+
+    if (!report.valid) {
+      throw new ValidationError(
+        `Payout file has ${report.errorCount} invalid rows`,
+        report.rows.filter(row => row.errors.length > 0)
+      );
+    }
+
+    if (runId !== undefined) {
+      const result = await this.client
+        .createBatchPayoutRunner(this.runnerOptions)
+        .run({ runId, payouts: report.payouts, ...runOptions }, options);
+      return { report, result };
+    }
+
+    const batchSize = constants.DEFAULT_CONFIG.BATCH_PAYOUT.CHUNK_SIZE;
+    if (report.payouts.length > batchSize) {
+      throw new ValidationError(
+        `Payout file has ${report.payouts.length} payouts, more than one batch of ${batchSize}; ` +
+          'import it with a runId',
+        { count: report.payouts.length }
+      );
+    }
+    // Processing options only apply to runs
+    const result = await this.client.createBatchPayout({ payouts: report.payouts }, options);
+    return { report, result };
+  }
+
+  /**
+   * Formats a report as plain text, one line per problem followed by totals per currency
+   * @param {PayoutImportReport} report - Import report
+   * @returns {string} Readable report
+   */
+  static format(report) {
+    const lines = report.warnings.map(warning => `warning: ${warning}`);
+    report.rows.forEach(row => {
+      row.errors.forEach(message => lines.push(`line ${row.line}: error: ${message}`));
+      row.warnings.forEach(message => lines.push(`line ${row.line}: warning: ${message}`));
+    });
+    lines.push(
+      `${report.rows.length} rows, ${report.errorCount} invalid, ${report.warningCount} warnings`
+    );
+    Object.entries(report.totals).forEach(([currency, total]) => {
+      lines.push(`${currency}: ${total.amount} in ${total.count} payouts`);
+    });
+    return lines.join('\n');
+  }
+}
+
+module.exports = PayoutImporter;
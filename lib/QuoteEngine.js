@@ -0,0 +1,347 @@
+const constants = require('./constants');
+const utils = require('./utils');
+const Amount = require('./Amount');
+
+/**
+ * Expiring price quotes and pay currency ranking
+ * @module QuoteEngine
+ * @typedef {import('../types').RequestOptions} RequestOptions
+ * @typedef {import('../types').EstimatePrice} EstimatePrice
+ * @typedef {import('../types').EstimatePriceParams} EstimatePriceParams
+ * @typedef {import('../types').PaymentStatus} PaymentStatus
+ * @typedef {import('../types').CreatePaymentParams} CreatePaymentParams
+ * @typedef {import('../types/quote').AutoRefreshOptions} AutoRefreshOptions
+ * @typedef {import('../types/quote').RankCurrenciesParams} RankCurrenciesParams
+ * @typedef {import('../types/quote').RankedCurrency} RankedCurrency
+ */
+
+/**
+ * Longest delay setTimeout accepts without firing immediately
+ * @type {number}
+ */
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Parses an expiry date
+ * @param {string|number|Date|undefined} value - ISO date, Unix time in milliseconds or Date
+ * @returns {number|null} Unix time in milliseconds
+ */
+const parseExpiry = value => {
+  const time = typeof value === 'number' || value instanceof Date ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Converted amount that knows when it stops being valid
+ * @class Quote
+ */
+class Quote {
+  /**
+   * Creates quote; use Quote.fromEstimate or Quote.fromPayment instead
+   * @param {import('./NowPaymentsAPI')} client - API client used to refresh the quote
+   * @param {Object} fields - Quote fields
+   * @param {string} fields.currencyFrom - Currency the amount is priced in
+   * @param {string} fields.currencyTo - Currency the customer pays in
+   * @param {Amount} fields.amountFrom - Priced amount
+   * @param {Amount} fields.amount - Amount to pay
+   * @param {Amount} [fields.rate] - Units of currencyTo per unit of currencyFrom
+   * @param {number|null} fields.expiresAt - Unix time in milliseconds
+   * @param {string} [fields.paymentId] - Fixed-rate payment the quote belongs to
+   * @param {EstimatePriceParams} [fields.params] - Estimate parameters used to refresh
+   */
+  constructor(client, fields) {
+    this.client = client;
+    this.currencyFrom = fields.currencyFrom;
+    this.currencyTo = fields.currencyTo;
+    this.amountFrom = fields.amountFrom;
+    this.amount = fields.amount;
+    this.rate = fields.rate;
+    this.expiresAt = fields.expiresAt;
+    this.paymentId = fields.paymentId;
+    this.params = fields.params;
+    this.refreshedAt = Date.now();
+  }
+
+  /**
+   * Creates quote from a getEstimatePrice response
+   * @param {import('./NowPaymentsAPI')} client - API client
+   * @param {EstimatePriceParams} params - Estimate parameters
+   * @param {EstimatePrice} estimate - Estimate response
+   * @returns {Quote} Quote expiring at `valid_until`, or after the default TTL when absent
+   */
+  static fromEstimate(client, params, estimate) {
+    const currencyFrom = String(estimate.currency_from || params.currency_from).toUpperCase();
+    const currencyTo = String(estimate.currency_to || params.currency_to).toUpperCase();
+    return new Quote(client, {
+      currencyFrom,
+      currencyTo,
+      amountFrom: utils.toAmount(params.amount, currencyFrom),
+      amount: utils.toAmount(estimate.estimated_amount, currencyTo),
+      rate: estimate.rate === undefined || estimate.rate === null ? undefined : Amount.from(estimate.rate),
+      expiresAt:
+        parseExpiry(estimate.valid_until) || Date.now() + constants.DEFAULT_CONFIG.QUOTE.TTL,
+      params
+    });
+  }
+
+  /**
+   * Creates quote for a fixed-rate payment
+   * @param {import('./NowPaymentsAPI')} client - API client
+   * @param {PaymentStatus & {expiration_estimate_date?: string}} payment - Created payment
+   * @returns {Quote} Quote expiring at the payment's `expiration_estimate_date`
+   */
+  static fromPayment(client, payment) {
+    const currencyFrom = String(payment.price_currency).toUpperCase();
+    const currencyTo = String(payment.pay_currency).toUpperCase();
+    return new Quote(client, {
+      currencyFrom,
+      currencyTo,
+      amountFrom: utils.toAmount(payment.price_amount, currencyFrom),
+      amount: utils.toAmount(payment.pay_amount, currencyTo),
+      expiresAt: parseExpiry(payment.expiration_estimate_date),
+      paymentId: String(payment.payment_id)
+    });
+  }
+
+  /**
+   * Whether the quote locks the rate of a payment
+   * @returns {boolean} Is fixed-rate payment quote
+   */
+  get isFixedRate() {
+    return this.paymentId !== undefined;
+  }
+
+  /**
+   * Time left until the quote expires
+   * @param {number} [now] - Current Unix time in milliseconds
+   * @returns {number} Milliseconds, Infinity when the quote does not expire
+   */
+  expiresIn(now = Date.now()) {
+    return this.expiresAt === null ? Infinity : this.expiresAt - now;
+  }
+
+  /**
+   * @param {number} [now] - Current Unix time in milliseconds
+   * @returns {boolean} Whether the quote has expired
+   */
+  isExpired(now = Date.now()) {
+    return this.expiresIn(now) <= 0;
+  }
+
+  /**
+   * @param {number} [margin] - Milliseconds before expiry from which the quote counts as stale
+   * @returns {boolean} Whether the quote expires within the margin
+   */
+  isStale(margin = constants.DEFAULT_CONFIG.QUOTE.REFRESH_MARGIN) {
+    return this.expiresIn() <= margin;
+  }
+
+  /**
+   * Fetches a new amount and expiry: fixed-rate payments through the merchant estimate
+   * update endpoint, plain estimates by estimating again
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<Quote>} This quote
+   * @throws {APIError} When API request fails
+   */
+  async refresh(options) {
+    if (this.isFixedRate) {
+      const update = await this.client.updatePaymentEstimate(this.paymentId, options);
+      this.amount = utils.toAmount(update.pay_amount, this.currencyTo);
+      this.expiresAt = parseExpiry(update.expiration_estimate_date);
+    } else {
+      const estimate = await this.client.getEstimatePrice(this.params, options);
+      const next = Quote.fromEstimate(this.client, this.params, estimate);
+      this.amount = next.amount;
+      this.rate = next.rate;
+      this.expiresAt = next.expiresAt;
+    }
+    this.refreshedAt = Date.now();
+    return this;
+  }
+
+  /**
+   * Refreshes the quote when it is stale
+   * @param {number} [margin] - Refresh margin in milliseconds
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<Quote>} This quote
+   */
+  async ensureFresh(margin, options) {
+    return this.isStale(margin) ? this.refresh(options) : this;
+  }
+
+  /**
+   * Keeps the quote fresh by refreshing it `margin` ms before every expiry
+   * @param {AutoRefreshOptions} [options] - Margin, abort signal and callbacks
+   * @returns {function(): void} Stops refreshing
+   */
+  autoRefresh(options = {}) {
+    const { margin = constants.DEFAULT_CONFIG.QUOTE.REFRESH_MARGIN, signal, onRefresh, onError } =
+      options;
+    let timer = null;
+    let stopped = false;
+
+    const stop = () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', stop);
+      }
+    };
+
+    // After a refresh, wait at least one polling interval even if the new expiry is already close
+    const schedule = (minDelay = 0) => {
+      const delay = Math.max(minDelay, this.expiresIn() - margin);
+      if (stopped || delay === Infinity) {
+        return;
+      }
+      timer = setTimeout(async () => {
+        try {
+          await this.refresh({ signal });
+          if (!stopped && onRefresh) {
+            onRefresh(this);
+          }
+          schedule(constants.DEFAULT_CONFIG.POLLING.INTERVAL);
+        } catch (error) {
+          if (!stopped && onError) {
+            onError(error);
+          }
+          stop();
+        }
+      }, Math.min(delay, MAX_TIMER_DELAY));
+      if (timer.unref) {
+        timer.unref();
+      }
+    };
+
+    if (signal && signal.aborted) {
+      return stop;
+    }
+    if (signal) {
+      signal.addEventListener('abort', stop, { once: true });
+    }
+    schedule();
+    return stop;
+  }
+
+  /**
+   * Serializes quote with decimal string amounts
+   * @returns {Object} Plain quote
+   */
+  toJSON() {
+    return {
+      currency_from: this.currencyFrom,
+      currency_to: this.currencyTo,
+      amount_from: this.amountFrom.toString(),
+      amount: this.amount.toString(),
+      rate: this.rate === undefined ? undefined : this.rate.toString(),
+      payment_id: this.paymentId,
+      expires_at: this.expiresAt === null ? null : new Date(this.expiresAt).toISOString()
+    };
+  }
+}
+
+/**
+ * Quote factory and pay currency ranking, available as `client.quotes`
+ * @class QuoteEngine
+ */
+class QuoteEngine {
+  /**
+   * Creates quote engine
+   * @param {import('./NowPaymentsAPI')} client - API client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Estimates a conversion
+   * @param {EstimatePriceParams} params - Amount, currency pair and optional networks
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<Quote>} Expiring quote
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async estimate(params, options) {
+    const estimate = await this.client.getEstimatePrice(params, options);
+    return Quote.fromEstimate(this.client, params, estimate);
+  }
+
+  /**
+   * Wraps an existing fixed-rate payment in a refreshable quote
+   * @param {PaymentStatus & {expiration_estimate_date?: string}} payment - Created payment
+   * @returns {Quote} Payment quote
+   */
+  forPayment(payment) {
+    return Quote.fromPayment(this.client, payment);
+  }
+
+  /**
+   * Creates a fixed-rate payment and its quote
+   * @param {CreatePaymentParams} payment - Payment parameters; `is_fixed_rate` is forced on
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<{payment: PaymentStatus, quote: Quote}>} Created payment and quote
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async createFixedRatePayment(payment, options) {
+    const created = await this.client.createPayment({ ...payment, is_fixed_rate: true }, options);
+    return { payment: created, quote: this.forPayment(created) };
+  }
+
+  /**
+   * Ranks candidate pay currencies for a price. Currencies whose estimate reaches the minimum
+   * payment amount come first, ordered by how far they clear it; the rest follow with a reason.
+   * @param {RankCurrenciesParams} params - Price and candidate currencies
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<RankedCurrency[]>} Ranked candidates
+   */
+  async rankCurrencies(params, options) {
+    const { price_amount: amount, price_currency: priceCurrency, currencies } = params;
+    const registry = this.client.currencies.isLoaded() ? this.client.currencies : undefined;
+
+    const candidates = await Promise.all(
+      currencies.map(async (code, index) => {
+        const currency = String(code).toUpperCase();
+        if (registry && !registry.isAvailable(currency)) {
+          return { currency, index, payable: false, reason: 'Currency is unavailable' };
+        }
+
+        try {
+          const [quote, minimum] = await Promise.all([
+            this.estimate({ amount, currency_from: priceCurrency, currency_to: currency }, options),
+            this.client.getMinimumPaymentAmount(currency, options)
+          ]);
+          const minAmount = utils.toAmount(minimum.min_amount || 0, currency);
+          const payable = quote.amount.gte(minAmount);
+          return {
+            currency,
+            index,
+            payable,
+            quote,
+            minAmount,
+            headroom: minAmount.isZero() ? Infinity : quote.amount.toNumber() / minAmount.toNumber(),
+            ...(!payable && { reason: `Amount is below the minimum of ${minAmount} ${currency}` })
+          };
+        } catch (error) {
+          return { currency, index, payable: false, reason: error.message };
+        }
+      })
+    );
+
+    // Compared explicitly: Infinity - Infinity is NaN for two currencies without a minimum
+    const byHeadroom = (a, b) => (a === b ? 0 : a < b ? 1 : -1);
+    return candidates
+      .sort(
+        (a, b) =>
+          Number(b.payable) - Number(a.payable) ||
+          byHeadroom(a.headroom || 0, b.headroom || 0) ||
+          a.index - b.index
+      )
+      .map(({ index, ...candidate }) => candidate);
+  }
+}
+
+module.exports = {
+  Quote,
+  QuoteEngine
+};
@@ -0,0 +1,167 @@
+const constants = require('./constants');
+const { AbortError } = require('./errors');
+
+/**
+ * Token bucket rate limiting with pluggable, shareable state
+ * @module RateLimiter
+ * @typedef {import('../types/rateLimit').RateLimitStore} RateLimitStore
+ * @typedef {import('../types/rateLimit').RateLimitOptions} RateLimitOptions
+ * @typedef {import('../types/rateLimit').RateLimitBucket} RateLimitBucket
+ */
+
+/**
+ * Waits for the given time unless the signal aborts first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal interrupting the wait
+ * @returns {Promise<void>}
+ * @throws {AbortError} When the signal aborts
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError('Waiting for the rate limit was aborted'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+
+/**
+ * In-process token bucket store; implement the same interface on a shared backend
+ * (e.g. Redis) to let several processes draw from one budget
+ * @class MemoryRateLimitStore
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Takes one token from the bucket
+   * @param {string} key - Bucket key
+   * @param {RateLimitBucket} bucket - Bucket capacity and refill rate
+   * @returns {Promise<number>} 0 when a token was taken, otherwise milliseconds to wait
+   */
+  async consume(key, bucket) {
+    const now = Date.now();
+    const state = this.buckets.get(key) || { tokens: bucket.capacity, updatedAt: now, pausedUntil: 0 };
+    this.buckets.set(key, state);
+
+    if (state.pausedUntil > now) {
+      return state.pausedUntil - now;
+    }
+
+    state.tokens = Math.min(
+      bucket.capacity,
+      state.tokens + (now - state.updatedAt) * bucket.refillPerMs
+    );
+    state.updatedAt = now;
+
+    if (state.tokens >= 1) {
+      state.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - state.tokens) / bucket.refillPerMs);
+  }
+
+  /**
+   * Blocks the bucket until the given time, dropping any remaining tokens
+   * @param {string} key - Bucket key
+   * @param {number} until - Unix time in milliseconds
+   * @returns {Promise<void>}
+   */
+  async pause(key, until) {
+    const state = this.buckets.get(key) || { tokens: 0, updatedAt: until, pausedUntil: 0 };
+    state.pausedUntil = Math.max(state.pausedUntil, until);
+    state.tokens = 0;
+    state.updatedAt = Math.max(state.updatedAt, until);
+    this.buckets.set(key, state);
+  }
+}
+
+/**
+ * Client-side request limiter that waits for tokens before each request
+ * @class RateLimiter
+ */
+class RateLimiter {
+  /**
+   * Creates rate limiter
+   * @param {RateLimitOptions} [options] - Limit, burst size, store and bucket key
+   */
+  constructor(options = {}) {
+    const defaults = constants.DEFAULT_CONFIG.RATE_LIMIT;
+    this.requestsPerMinute = options.requestsPerMinute || defaults.REQUESTS_PER_MINUTE;
+    this.burst = options.burst || defaults.BURST;
+    this.store = options.store || new MemoryRateLimitStore();
+    this.key = options.key || 'nowpayments';
+  }
+
+  /**
+   * Waits until a request may be sent
+   * @param {AbortSignal} [signal] - Signal giving up the wait
+   * @returns {Promise<void>}
+   * @throws {AbortError} When the signal aborts before a token is available
+   */
+  async acquire(signal) {
+    const bucket = { capacity: this.burst, refillPerMs: this.requestsPerMinute / 60000 };
+    for (;;) {
+      if (signal && signal.aborted) {
+        throw new AbortError('Waiting for the rate limit was aborted');
+      }
+      const wait = await this.store.consume(this.key, bucket);
+      if (wait <= 0) {
+        return;
+      }
+      await sleep(wait, signal);
+    }
+  }
+
+  /**
+   * Holds back all requests sharing this bucket
+   * @param {number} ms - Pause duration in milliseconds
+   * @returns {Promise<void>}
+   */
+  async pause(ms) {
+    await this.store.pause(this.key, Date.now() + ms);
+  }
+
+  /**
+   * Reads how long to back off from Retry-After or rate-limit reset headers
+   * @param {Object} [headers] - Response headers
+   * @returns {number|undefined} Delay in milliseconds
+   */
+  static getRetryDelay(headers = {}) {
+    const header = name => {
+      const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+      return value === undefined || value === null || value === '' ? undefined : String(value);
+    };
+
+    const retryAfter = header('retry-after');
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) {
+        return Math.max(0, delay);
+      }
+    }
+
+    const reset = Number(header('x-ratelimit-reset') || header('ratelimit-reset'));
+    if (Number.isFinite(reset) && reset > 0) {
+      // Large values are Unix timestamps in seconds, small ones are seconds from now
+      return Math.max(0, reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000);
+    }
+    return undefined;
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  MemoryRateLimitStore
+};
@@ -1,6 +1,10 @@
 const WebSocket = require('ws');
 const EventEmitter = require('events');
 const constants = require('./constants');
+const utils = require('./utils');
+const PaymentWatcher = require('./PaymentWatcher');
+const Amount = require('./Amount');
+const { ValidationError, WebSocketError } = require('./errors');
 
 /**
  * NOWPayments WebSocket client for real-time payment updates
@@ -10,6 +14,8 @@ const constants = require('./constants');
  * @typedef {import('../types/websocket').PaymentUpdateEvent} PaymentUpdateEvent
  * @typedef {import('../types/websocket').WebSocketError} WebSocketError
  * @typedef {import('../types/websocket').ConnectionState} ConnectionState
+ * @typedef {import('../types/websocket').ConnectionStateName} ConnectionStateName
+ * @typedef {import('../types/websocket').WatchTarget} WatchTarget
  */
 class NOWPaymentsWebSocket extends EventEmitter {
   /**
@@ -19,100 +25,218 @@ class NOWPaymentsWebSocket extends EventEmitter {
    */
   constructor(apiKey, options = {}) {
     super();
+    const defaults = constants.DEFAULT_CONFIG.WEBSOCKET;
     this.apiKey = apiKey;
     this.options = {
-      maxReconnectAttempts: options.maxReconnectAttempts || 5,
-      reconnectDelay: options.reconnectDelay || 1000,
-      pingInterval: options.pingInterval || 30000,
-      pongTimeout: options.pongTimeout || 5000,
-      endpoint: options.endpoint || constants.WEBSOCKET_ENDPOINTS.PRODUCTION
+      maxReconnectAttempts:
+        options.maxReconnectAttempts === undefined
+          ? defaults.MAX_RECONNECT_ATTEMPTS
+          : options.maxReconnectAttempts,
+      reconnectDelay: options.reconnectDelay || defaults.RECONNECT_DELAY,
+      maxReconnectDelay: options.maxReconnectDelay || defaults.MAX_RECONNECT_DELAY,
+      reconnectJitter:
+        options.reconnectJitter === undefined ? defaults.RECONNECT_JITTER : options.reconnectJitter,
+      pingInterval: options.pingInterval || defaults.PING_INTERVAL,
+      pongTimeout: options.pongTimeout || defaults.PONG_TIMEOUT,
+      endpoint:
+        options.endpoint ||
+        (options.sandbox ? constants.WEBSOCKET_ENDPOINTS.SANDBOX : constants.WEBSOCKET_ENDPOINTS.PRODUCTION)
     };
+    this.restClient = options.restClient || null;
 
+    this.ws = null;
+    this.state = constants.WEBSOCKET_STATES.IDLE;
     this.reconnectAttempts = 0;
-    this.isConnected = false;
+    this.lastConnected = null;
     this.lastPing = null;
     this.pongTimeout = null;
     this.pingInterval = null;
     this.reconnectTimer = null;
+    this.subscriptions = new Map();
+    this.disconnectedAt = null;
   }
 
   /**
-   * Establishes WebSocket connection
+   * Whether the socket is open
+   * @returns {boolean} Is connected
+   */
+  get isConnected() {
+    return this.state === constants.WEBSOCKET_STATES.OPEN;
+  }
+
+  /**
+   * Establishes WebSocket connection, replacing any current one
+   * @fires NOWPaymentsWebSocket#stateChange
    * @fires NOWPaymentsWebSocket#connected
    * @fires NOWPaymentsWebSocket#disconnected
    * @fires NOWPaymentsWebSocket#payment_update
    * @fires NOWPaymentsWebSocket#error
    */
   connect() {
-    if (this.ws) {
-      this.close();
-    }
+    this._stopTimers();
+    this._teardownSocket();
+    this.reconnectAttempts = 0;
+    this._open();
+  }
 
+  /**
+   * Opens a new socket
+   * @private
+   */
+  _open() {
+    this._setState(constants.WEBSOCKET_STATES.CONNECTING);
     this.ws = new WebSocket(this.options.endpoint, {
       headers: {
         'x-api-key': this.apiKey
       },
       handshakeTimeout: 10000
     });
+    this._setupEventHandlers(this.ws);
+  }
 
-    this._setupEventHandlers();
-    this._startPingPong();
+  /**
+   * Moves to a new connection state
+   * @private
+   * @param {ConnectionStateName} state - Next state
+   * @fires NOWPaymentsWebSocket#stateChange
+   */
+  _setState(state) {
+    const previous = this.state;
+    if (previous === state) {
+      return;
+    }
+    this.state = state;
+    this.emit(constants.WEBSOCKET_EVENTS.STATE_CHANGE, { from: previous, to: state });
   }
 
   /**
    * Setup WebSocket event handlers
    * @private
+   * @param {WebSocket} ws - Socket to listen to
    */
-  _setupEventHandlers() {
-    this.ws.on('open', () => {
-      this.isConnected = true;
+  _setupEventHandlers(ws) {
+    ws.on('open', () => {
       this.reconnectAttempts = 0;
+      this.lastConnected = new Date();
+      this._setState(constants.WEBSOCKET_STATES.OPEN);
+      this._startPingPong();
+      // Runs after every (re)connect, so subscriptions survive _handleDisconnect
+      this.subscriptions.forEach(subscription => this._sendSubscription(subscription, true));
       this.emit('connected');
+
+      if (this.disconnectedAt !== null) {
+        this.disconnectedAt = null;
+        this._backfill().catch(error => {
+          // Without a listener EventEmitter would throw here and reject unhandled
+          if (this.listenerCount('error') > 0) {
+            this.emit('error', this._createError('GapFillError', error.message));
+          }
+        });
+      }
     });
 
-    this.ws.on('message', data => {
+    ws.on('message', data => {
+      let message;
       try {
-        const message = JSON.parse(data);
-        if (message.type === 'payment_update') {
-          this.emit('payment_update', message);
-        }
+        message = JSON.parse(data);
       } catch (error) {
         this.emit('error', this._createError('MessageParseError', error.message));
+        return;
+      }
+
+      if (message && message.type === constants.WEBSOCKET_EVENTS.PAYMENT_UPDATE) {
+        this.emit(constants.WEBSOCKET_EVENTS.PAYMENT_UPDATE, message);
+        this._routeUpdate(message.data);
+      } else {
+        this.emit(constants.WEBSOCKET_EVENTS.MESSAGE, message);
       }
     });
 
-    this.ws.on('pong', () => {
+    ws.on('pong', () => {
       clearTimeout(this.pongTimeout);
+      this.pongTimeout = null;
       const latency = Date.now() - this.lastPing;
       this.emit('pong', latency);
     });
 
-    this.ws.on('close', (code, reason) => {
+    ws.on('close', (code, reason) => {
       this._handleDisconnect(code, reason.toString());
     });
 
-    this.ws.on('error', error => {
+    ws.on('error', error => {
       this.emit('error', this._createError('WebSocketError', error.message));
     });
   }
 
   /**
-   * Starts ping/pong heartbeat
+   * Starts ping/pong heartbeat, replacing any running one
    * @private
    */
   _startPingPong() {
-    this.pingInterval = setInterval(() => {
-      if (this.isConnected) {
-        this.lastPing = Date.now();
-        this.ws.ping();
+    clearInterval(this.pingInterval);
+    clearTimeout(this.pongTimeout);
+    this.pongTimeout = null;
 
-        this.pongTimeout = setTimeout(() => {
-          this._handleDisconnect(1001, 'Pong timeout');
-        }, this.options.pongTimeout);
+    this.pingInterval = setInterval(() => {
+      if (!this.isConnected || this.pongTimeout) {
+        return;
       }
+      this.lastPing = Date.now();
+      this.ws.ping();
+
+      this.pongTimeout = setTimeout(() => {
+        this._handleDisconnect(1001, 'Pong timeout');
+      }, this.options.pongTimeout);
     }, this.options.pingInterval);
   }
 
+  /**
+   * Clears heartbeat and reconnect timers
+   * @private
+   */
+  _stopTimers() {
+    clearInterval(this.pingInterval);
+    clearTimeout(this.pongTimeout);
+    clearTimeout(this.reconnectTimer);
+    this.pingInterval = null;
+    this.pongTimeout = null;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Detaches and drops the current socket without waiting for a close handshake
+   * @private
+   */
+  _teardownSocket() {
+    if (!this.ws) {
+      return;
+    }
+    const ws = this.ws;
+    this.ws = null;
+    ws.removeAllListeners();
+    // Late handshake errors of a discarded socket must not become unhandled 'error' events
+    ws.on('error', () => {});
+    if ([WebSocket.OPEN, WebSocket.CONNECTING].includes(ws.readyState)) {
+      ws.terminate();
+    }
+  }
+
+  /**
+   * Delay before the given reconnect attempt: exponential, capped and jittered
+   * @private
+   * @param {number} attempt - Reconnect attempt, starting at 1
+   * @returns {number} Delay in milliseconds
+   */
+  _getReconnectDelay(attempt) {
+    const { reconnectDelay, maxReconnectDelay, reconnectJitter } = this.options;
+    const delay = utils.calculateBackoffDelay(attempt, {
+      initialDelay: reconnectDelay,
+      factor: 2,
+      maxDelay: maxReconnectDelay
+    });
+    return Math.round(delay * (1 - reconnectJitter * Math.random()));
+  }
+
   /**
    * Handles WebSocket disconnection
    * @private
@@ -120,26 +244,30 @@ class NOWPaymentsWebSocket extends EventEmitter {
    * @param {string} reason - Close reason
    */
   _handleDisconnect(code, reason) {
-    this.isConnected = false;
-    clearInterval(this.pingInterval);
-    clearTimeout(this.pongTimeout);
+    const { CLOSING, CLOSED, RECONNECTING } = constants.WEBSOCKET_STATES;
+    if (this.state === CLOSING || this.state === CLOSED) {
+      return;
+    }
+    if (this.disconnectedAt === null) {
+      this.disconnectedAt = Date.now();
+    }
+    this._stopTimers();
+    this._teardownSocket();
 
     this.emit('disconnected', reason);
 
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
-    }
-
     if (this.reconnectAttempts < this.options.maxReconnectAttempts) {
       this.reconnectAttempts++;
-      const delay = this.options.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
-
-      this.emit('reconnecting', this.reconnectAttempts);
+      const delay = this._getReconnectDelay(this.reconnectAttempts);
+      this._setState(RECONNECTING);
+      this.emit('reconnecting', this.reconnectAttempts, delay);
 
       this.reconnectTimer = setTimeout(() => {
-        this.connect();
+        this.reconnectTimer = null;
+        this._open();
       }, delay);
     } else {
+      this._setState(CLOSED);
       this.emit(
         'error',
         this._createError('MaxReconnectError', 'Maximum reconnection attempts reached')
@@ -147,6 +275,196 @@ class NOWPaymentsWebSocket extends EventEmitter {
     }
   }
 
+  /**
+   * Watches a single payment, or every payment of an order, and subscribes to it on the server
+   * @param {WatchTarget} target - Payment id, `{paymentId}` or `{orderId}`
+   * @returns {PaymentWatcher} Emitter and async iterator of the target's payment updates
+   * @throws {ValidationError} When no payment id or order id is given
+   */
+  watch(target) {
+    const normalized = PaymentWatcher.normalizeTarget(target);
+    if (normalized.paymentId === undefined && normalized.orderId === undefined) {
+      throw new ValidationError('watch() requires a payment id or { orderId }');
+    }
+
+    const watcher = new PaymentWatcher(this, normalized);
+    let subscription = this.subscriptions.get(watcher.key);
+    if (!subscription) {
+      subscription = {
+        ...normalized,
+        key: watcher.key,
+        watchers: new Set(),
+        since: Date.now(),
+        lastEventAt: null,
+        delivered: new Map()
+      };
+      this.subscriptions.set(watcher.key, subscription);
+      this._sendSubscription(subscription, true);
+    }
+    subscription.watchers.add(watcher);
+    return watcher;
+  }
+
+  /**
+   * Removes a closed watcher and unsubscribes once its target has no watchers left
+   * @private
+   * @param {PaymentWatcher} watcher - Watcher to remove
+   */
+  _removeWatcher(watcher) {
+    const subscription = this.subscriptions.get(watcher.key);
+    if (!subscription) {
+      return;
+    }
+    subscription.watchers.delete(watcher);
+    if (subscription.watchers.size === 0) {
+      this.subscriptions.delete(watcher.key);
+      this._sendSubscription(subscription, false);
+    }
+  }
+
+  /**
+   * Sends a subscribe or unsubscribe frame when the socket is open
+   * @private
+   * @param {{paymentId?: string, orderId?: string}} subscription - Subscription target
+   * @param {boolean} subscribe - Subscribe or unsubscribe
+   */
+  _sendSubscription(subscription, subscribe) {
+    if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    const { SUBSCRIBE, UNSUBSCRIBE } = constants.WEBSOCKET_MESSAGES;
+    this.ws.send(
+      JSON.stringify({
+        type: subscribe ? SUBSCRIBE : UNSUBSCRIBE,
+        ...(subscription.orderId !== undefined
+          ? { order_id: subscription.orderId }
+          : { payment_id: subscription.paymentId })
+      })
+    );
+  }
+
+  /**
+   * Delivers a payment update to watchers of its payment id and order id, skipping watchers
+   * that already received the same status and paid amount
+   * @private
+   * @param {PaymentUpdateEvent['data']} payment - Payment data
+   * @param {boolean} [replayed] - Whether the update was fetched through REST after a reconnect
+   * @returns {boolean} Whether any watcher received the update
+   */
+  _routeUpdate(payment, replayed = false) {
+    if (!payment) {
+      return false;
+    }
+    const paymentId = String(payment.payment_id);
+    const paid = payment.actually_paid;
+    const signature = `${payment.payment_status}|${Amount.isValid(paid) ? Amount.from(paid) : paid}`;
+    const updatedAt = Date.parse(payment.updated_at) || Date.now();
+    const data = replayed ? { ...payment, replayed: true } : payment;
+
+    const keys = [PaymentWatcher.keyOf({ paymentId })];
+    if (payment.order_id) {
+      keys.push(PaymentWatcher.keyOf({ orderId: String(payment.order_id) }));
+    }
+
+    let delivered = false;
+    keys.forEach(key => {
+      const subscription = this.subscriptions.get(key);
+      if (!subscription) {
+        return;
+      }
+      const last = subscription.delivered.get(paymentId);
+      // A replay must not override a newer live update that arrived during the backfill
+      if (last && (last.signature === signature || (replayed && updatedAt < last.updatedAt))) {
+        return;
+      }
+      const final = utils.isPaymentStatusFinal(payment);
+      subscription.delivered.set(paymentId, { signature, updatedAt, final });
+      subscription.lastEventAt = Math.max(subscription.lastEventAt || 0, updatedAt);
+      this._pruneDelivered(subscription);
+      [...subscription.watchers].forEach(watcher => watcher.push(data));
+      delivered = true;
+    });
+    return delivered;
+  }
+
+  /**
+   * Forgets payments that were final before the backfill window, so a long-lived order
+   * subscription only keeps the last status of its recent payments
+   * @private
+   * @param {Object} subscription - Subscription whose delivered statuses to prune
+   */
+  _pruneDelivered(subscription) {
+    const horizon = subscription.lastEventAt - constants.DEFAULT_CONFIG.WEBSOCKET.GAP_FILL_MARGIN;
+    subscription.delivered.forEach((entry, paymentId) => {
+      if (entry.final && entry.updatedAt < horizon) {
+        subscription.delivered.delete(paymentId);
+      }
+    });
+  }
+
+  /**
+   * Fetches watched payments through the REST client after a reconnect and replays changes
+   * missed while disconnected, oldest first
+   * @private
+   * @returns {Promise<void>}
+   * @throws {Error} When a REST request fails
+   * @fires NOWPaymentsWebSocket#payment_update
+   * @fires NOWPaymentsWebSocket#backfilled
+   */
+  async _backfill() {
+    if (!this.restClient || this.subscriptions.size === 0) {
+      return;
+    }
+
+    const subscriptions = [...this.subscriptions.values()];
+    const paymentIds = new Set();
+    subscriptions.forEach(subscription => {
+      if (subscription.paymentId !== undefined) {
+        paymentIds.add(subscription.paymentId);
+      }
+      subscription.delivered.forEach((entry, paymentId) => paymentIds.add(paymentId));
+    });
+
+    // Replays must look like WebSocket frames, so ask for plain response data
+    const options = { raw: true };
+    const payments = new Map();
+    const fetched = await Promise.all(
+      [...paymentIds].map(paymentId => this.restClient.getPaymentStatus(paymentId, options))
+    );
+    fetched.forEach(payment => payments.set(String(payment.payment_id), payment));
+
+    // Order watchers may have missed payments created while disconnected
+    const orders = subscriptions.filter(subscription => subscription.orderId !== undefined);
+    if (orders.length > 0) {
+      const orderIds = new Set(orders.map(subscription => subscription.orderId));
+      const since =
+        Math.min(...orders.map(subscription => subscription.lastEventAt || subscription.since)) -
+        constants.DEFAULT_CONFIG.WEBSOCKET.GAP_FILL_MARGIN;
+      const recent = this.restClient.iteratePayments({ dateFrom: new Date(since).toISOString() }, options);
+      for await (const payment of recent) {
+        if (orderIds.has(String(payment.order_id))) {
+          payments.set(String(payment.payment_id), payment);
+        }
+      }
+    }
+
+    const ordered = [...payments.values()].sort(
+      (a, b) => (Date.parse(a.updated_at) || 0) - (Date.parse(b.updated_at) || 0)
+    );
+    let replayed = 0;
+    ordered.forEach(payment => {
+      if (this._routeUpdate(payment, true)) {
+        replayed++;
+        this.emit(constants.WEBSOCKET_EVENTS.PAYMENT_UPDATE, {
+          type: constants.WEBSOCKET_EVENTS.PAYMENT_UPDATE,
+          data: { ...payment, replayed: true },
+          replayed: true
+        });
+      }
+    });
+    this.emit(constants.WEBSOCKET_EVENTS.BACKFILLED, replayed);
+  }
+
   /**
    * Creates WebSocket error object
    * @private
@@ -155,28 +473,36 @@ class NOWPaymentsWebSocket extends EventEmitter {
    * @returns {WebSocketError} WebSocket error
    */
   _createError(code, message) {
-    const error = new Error(message);
-    error.code = code;
-    return error;
+    return new WebSocketError(message, code);
   }
 
   /**
-   * Closes WebSocket connection
+   * Closes WebSocket connection and stops reconnecting until connect() is called again
+   * @fires NOWPaymentsWebSocket#stateChange
    */
   close() {
-    clearInterval(this.pingInterval);
-    clearTimeout(this.pongTimeout);
-    clearTimeout(this.reconnectTimer);
+    const { CLOSING, CLOSED } = constants.WEBSOCKET_STATES;
+    this._stopTimers();
 
-    if (this.ws) {
-      this.ws.removeAllListeners();
-      if ([WebSocket.OPEN, WebSocket.CONNECTING].includes(this.ws.readyState)) {
-        this.ws.close(1000, 'Client closed connection');
-      }
+    const ws = this.ws;
+    if (ws && ws.readyState === WebSocket.OPEN) {
       this.ws = null;
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      ws.once('close', () => {
+        if (this.state === CLOSING) {
+          this._setState(CLOSED);
+        }
+      });
+      this._setState(CLOSING);
+      ws.close(1000, 'Client closed connection');
+      return;
     }
 
-    this.isConnected = false;
+    this._teardownSocket();
+    if (this.state !== constants.WEBSOCKET_STATES.IDLE) {
+      this._setState(CLOSED);
+    }
   }
 
   /**
@@ -185,8 +511,10 @@ class NOWPaymentsWebSocket extends EventEmitter {
    */
   getState() {
     return {
+      state: this.state,
       isConnected: this.isConnected,
-      lastConnected: this.lastPing ? new Date(this.lastPing) : undefined,
+      lastConnected: this.lastConnected || undefined,
+      lastPing: this.lastPing ? new Date(this.lastPing) : undefined,
       reconnectAttempts: this.reconnectAttempts
     };
   }
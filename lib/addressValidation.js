@@ -0,0 +1,457 @@
+const crypto = require('crypto');
+const constants = require('./constants');
+
+/**
+ * Checksum-aware cryptocurrency address and extra id validation
+ * @module addressValidation
+ * @typedef {import('./CurrencyRegistry')} CurrencyRegistry
+ * @typedef {import('../types/address').AddressValidationResult} AddressValidationResult
+ * @typedef {import('../types/address').AddressValidationOptions} AddressValidationOptions
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const RIPPLE_ALPHABET = 'rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32_CONSTANT = 1;
+const BECH32M_CONSTANT = 0x2bc830a3;
+
+const KECCAK_MASK = (1n << 64n) - 1n;
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14
+];
+const KECCAK_ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+/**
+ * Decodes a base58 string
+ * @param {string} text - Encoded string
+ * @param {string} [alphabet] - Base58 alphabet
+ * @returns {Buffer|null} Decoded bytes, or null on invalid characters
+ */
+function decodeBase58(text, alphabet = BASE58_ALPHABET) {
+  const bytes = [];
+  for (const char of text) {
+    let carry = alphabet.indexOf(char);
+    if (carry < 0) {
+      return null;
+    }
+    for (let index = 0; index < bytes.length; index++) {
+      carry += bytes[index] * 58;
+      bytes[index] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (let index = 0; index < text.length && text[index] === alphabet[0]; index++) {
+    bytes.push(0);
+  }
+  return Buffer.from(bytes.reverse());
+}
+
+/**
+ * Decodes a base58check string and verifies its double-SHA256 checksum
+ * @param {string} text - Encoded string
+ * @param {string} [alphabet] - Base58 alphabet
+ * @returns {{payload?: Buffer, reason?: string}} Payload including version byte(s), or reason
+ */
+function decodeBase58Check(text, alphabet = BASE58_ALPHABET) {
+  const bytes = decodeBase58(text, alphabet);
+  if (!bytes) {
+    return { reason: 'contains characters outside the base58 alphabet' };
+  }
+  if (bytes.length < 5) {
+    return { reason: 'is too short' };
+  }
+  const payload = bytes.subarray(0, -4);
+  const sha = data => crypto.createHash('sha256').update(data).digest();
+  if (!sha(sha(payload)).subarray(0, 4).equals(bytes.subarray(-4))) {
+    return { reason: 'has an invalid base58check checksum' };
+  }
+  return { payload };
+}
+
+/**
+ * Computes bech32 checksum polymod
+ * @param {number[]} values - 5-bit values
+ * @returns {number} Polymod
+ */
+function bech32Polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    BECH32_GENERATORS.forEach((generator, bit) => {
+      if ((top >>> bit) & 1) {
+        checksum ^= generator;
+      }
+    });
+  }
+  return checksum >>> 0;
+}
+
+/**
+ * Decodes a bech32 or bech32m string
+ * @param {string} text - Encoded string
+ * @returns {{hrp?: string, data?: number[], encoding?: string, reason?: string}} Decoded parts
+ */
+function decodeBech32(text) {
+  if (text.length > 90) {
+    return { reason: 'is too long for bech32' };
+  }
+  if (text !== text.toLowerCase() && text !== text.toUpperCase()) {
+    return { reason: 'mixes upper and lower case' };
+  }
+  const lower = text.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length) {
+    return { reason: 'is not a valid bech32 string' };
+  }
+
+  const hrp = lower.slice(0, separator);
+  const data = [];
+  for (const char of lower.slice(separator + 1)) {
+    const value = BECH32_CHARSET.indexOf(char);
+    if (value < 0) {
+      return { reason: 'contains characters outside the bech32 alphabet' };
+    }
+    data.push(value);
+  }
+
+  const expanded = [
+    ...[...hrp].map(char => char.charCodeAt(0) >> 5),
+    0,
+    ...[...hrp].map(char => char.charCodeAt(0) & 31)
+  ];
+  const polymod = bech32Polymod([...expanded, ...data]);
+  const encoding =
+    polymod === BECH32_CONSTANT ? 'bech32' : polymod === BECH32M_CONSTANT ? 'bech32m' : null;
+  if (!encoding) {
+    return { reason: 'has an invalid bech32 checksum' };
+  }
+  return { hrp, data: data.slice(0, -6), encoding };
+}
+
+/**
+ * Regroups bits without padding
+ * @param {number[]} data - Input values
+ * @param {number} fromBits - Input bit width
+ * @param {number} toBits - Output bit width
+ * @returns {number[]|null} Regrouped values, or null on invalid padding
+ */
+function convertBits(data, fromBits, toBits) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((accumulator >> bits) & maxValue);
+    }
+  }
+  if (bits >= fromBits || (accumulator << (toBits - bits)) & maxValue) {
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Computes Keccak-256 (the pre-standard SHA-3 used by Ethereum)
+ * @param {Buffer} input - Input bytes
+ * @returns {Buffer} 32-byte digest
+ */
+function keccak256(input) {
+  const rate = 136;
+  const padded = Buffer.alloc((Math.floor(input.length / rate) + 1) * rate);
+  input.copy(padded);
+  padded[input.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const rotate = (value, shift) =>
+    shift === 0 ? value : ((value << BigInt(shift)) | (value >> BigInt(64 - shift))) & KECCAK_MASK;
+  const state = new Array(25).fill(0n);
+
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let lane = 0; lane < rate / 8; lane++) {
+      state[lane] ^= padded.readBigUInt64LE(offset + lane * 8);
+    }
+
+    for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+      const columns = [0, 1, 2, 3, 4].map(
+        x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]
+      );
+      for (let x = 0; x < 5; x++) {
+        const delta = columns[(x + 4) % 5] ^ rotate(columns[(x + 1) % 5], 1);
+        for (let y = 0; y < 25; y += 5) {
+          state[x + y] ^= delta;
+        }
+      }
+
+      const moved = new Array(25);
+      for (let x = 0; x < 5; x++) {
+        for (let y = 0; y < 5; y++) {
+          moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotate(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+        }
+      }
+
+      for (let y = 0; y < 25; y += 5) {
+        for (let x = 0; x < 5; x++) {
+          state[x + y] =
+            moved[x + y] ^ ((moved[((x + 1) % 5) + y] ^ KECCAK_MASK) & moved[((x + 2) % 5) + y]);
+        }
+      }
+      state[0] ^= roundConstant;
+    }
+  }
+
+  const output = Buffer.alloc(32);
+  for (let lane = 0; lane < 4; lane++) {
+    output.writeBigUInt64LE(state[lane], lane * 8);
+  }
+  return output;
+}
+
+/**
+ * Builds a validator for Bitcoin-style base58check and segwit addresses
+ * @param {number[]} versions - Accepted base58check version bytes
+ * @param {string} [hrp] - Segwit human-readable part
+ * @returns {function(string): (string|null)} Validator returning a failure reason
+ */
+function bitcoinLike(versions, hrp) {
+  return address => {
+    if (hrp && address.toLowerCase().startsWith(`${hrp}1`)) {
+      const decoded = decodeBech32(address);
+      if (decoded.reason) {
+        return decoded.reason;
+      }
+      if (decoded.hrp !== hrp || decoded.data.length === 0) {
+        return 'is not a valid segwit address';
+      }
+      const [version, ...words] = decoded.data;
+      const program = convertBits(words, 5, 8);
+      if (version > 16 || !program || program.length < 2 || program.length > 40) {
+        return 'has an invalid witness program';
+      }
+      if (version === 0 && program.length !== 20 && program.length !== 32) {
+        return 'has an invalid witness program length';
+      }
+      if (decoded.encoding !== (version === 0 ? 'bech32' : 'bech32m')) {
+        return `must use ${version === 0 ? 'bech32' : 'bech32m'} for witness version ${version}`;
+      }
+      return null;
+    }
+
+    const { payload, reason } = decodeBase58Check(address);
+    if (reason) {
+      return reason;
+    }
+    if (payload.length !== 21 || !versions.includes(payload[0])) {
+      return 'has an unexpected address version';
+    }
+    return null;
+  };
+}
+
+/**
+ * Validates EVM address and its EIP-55 checksum when mixed case
+ * @param {string} address - Address
+ * @returns {string|null} Failure reason
+ */
+function validateEthereum(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return 'must be 0x followed by 40 hex characters';
+  }
+  const body = address.slice(2);
+  if (body === body.toLowerCase() || body === body.toUpperCase()) {
+    return null;
+  }
+  const hash = keccak256(Buffer.from(body.toLowerCase())).toString('hex');
+  for (let index = 0; index < body.length; index++) {
+    const upper = parseInt(hash[index], 16) >= 8;
+    if (/[a-f]/i.test(body[index]) && (body[index] === body[index].toUpperCase()) !== upper) {
+      return 'has an invalid EIP-55 checksum';
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates TRON base58check address
+ * @param {string} address - Address
+ * @returns {string|null} Failure reason
+ */
+function validateTron(address) {
+  if (!address.startsWith('T')) {
+    return 'must start with T';
+  }
+  const { payload, reason } = decodeBase58Check(address);
+  if (reason) {
+    return reason;
+  }
+  return payload.length === 21 && payload[0] === 0x41 ? null : 'has an unexpected address version';
+}
+
+/**
+ * Validates Solana base58 public key
+ * @param {string} address - Address
+ * @returns {string|null} Failure reason
+ */
+function validateSolana(address) {
+  const bytes = decodeBase58(address);
+  if (!bytes) {
+    return 'contains characters outside the base58 alphabet';
+  }
+  return bytes.length === 32 ? null : 'must decode to a 32-byte public key';
+}
+
+/**
+ * Validates XRP classic (r...) or X-address
+ * @param {string} address - Address
+ * @returns {string|null} Failure reason
+ */
+function validateRipple(address) {
+  if (!/^[rX]/.test(address)) {
+    return 'must start with r or X';
+  }
+  const { payload, reason } = decodeBase58Check(address, RIPPLE_ALPHABET);
+  if (reason) {
+    return reason;
+  }
+  if (address[0] === 'r') {
+    return payload.length === 21 && payload[0] === 0x00 ? null : 'has an unexpected address version';
+  }
+  return payload.length === 31 && payload[0] === 0x05 && payload[1] === 0x44
+    ? null
+    : 'is not a valid mainnet X-address';
+}
+
+/**
+ * Validators keyed by address format
+ * @type {Object<string, function(string): (string|null)>}
+ */
+const VALIDATORS = {
+  bitcoin: bitcoinLike([0x00, 0x05], 'bc'),
+  litecoin: bitcoinLike([0x30, 0x32, 0x05], 'ltc'),
+  dogecoin: bitcoinLike([0x1e, 0x16]),
+  ethereum: validateEthereum,
+  tron: validateTron,
+  solana: validateSolana,
+  ripple: validateRipple
+};
+
+/**
+ * Resolves the address format of a currency from its code or its registry network
+ * @param {string} currency - Currency code
+ * @param {CurrencyRegistry} [registry] - Live currency registry
+ * @returns {string|undefined} Address format name, undefined when unknown
+ */
+function getAddressFormat(currency, registry) {
+  const code = String(currency || '').toUpperCase();
+  const known = constants.ADDRESS_FORMATS[code] || constants.TOKEN_ADDRESS_FORMATS[code];
+  if (known) {
+    return known;
+  }
+
+  const info = registry ? registry.get(code) : undefined;
+  const network = info && info.network ? String(info.network).toLowerCase() : undefined;
+  return network ? constants.NETWORK_ADDRESS_FORMATS[network] : undefined;
+}
+
+/**
+ * Validates extra id (destination tag, memo) for a currency
+ * @param {string|number|undefined} extraId - Extra id
+ * @param {string} currency - Currency code
+ * @param {AddressValidationOptions} [options] - Validation options
+ * @returns {AddressValidationResult} Validation result
+ */
+function validateExtraId(extraId, currency, options = {}) {
+  const code = String(currency || '').toUpperCase();
+  const rule = constants.EXTRA_ID_RULES[code];
+  const info = options.registry ? options.registry.get(code) : undefined;
+  const supported = Boolean(rule || (info && info.hasExternalId));
+  const missing = extraId === undefined || extraId === null || extraId === '';
+
+  if (missing) {
+    return options.requireExtraId && supported
+      ? { valid: false, reason: `${code} ${rule ? rule.label : 'extra_id'} is required` }
+      : { valid: true };
+  }
+  if (!supported) {
+    const known = info || getAddressFormat(code);
+    return known
+      ? { valid: false, reason: `${code} does not support extra_id` }
+      : { valid: true };
+  }
+  if (!rule) {
+    return { valid: true };
+  }
+
+  const value = String(extraId);
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return { valid: false, reason: `${code} ${rule.label} has an invalid format` };
+  }
+  if (rule.max !== undefined && Number(value) > rule.max) {
+    return { valid: false, reason: `${code} ${rule.label} must not exceed ${rule.max}` };
+  }
+  if (rule.maxLength !== undefined && Buffer.byteLength(value) > rule.maxLength) {
+    return { valid: false, reason: `${code} ${rule.label} must be at most ${rule.maxLength} bytes` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates cryptocurrency address, including checksums where the format has one
+ * @param {string} address - Cryptocurrency address
+ * @param {string} currency - Currency code
+ * @param {AddressValidationOptions} [options] - Validation options
+ * @returns {AddressValidationResult} Validation result
+ */
+function validateAddress(address, currency, options = {}) {
+  const code = String(currency || '').toUpperCase();
+  if (typeof address !== 'string' || address.length === 0) {
+    return { valid: false, reason: 'Address is required' };
+  }
+  if (/\s/.test(address)) {
+    return { valid: false, reason: `${code} address contains whitespace` };
+  }
+
+  const format = getAddressFormat(code, options.registry);
+  if (format) {
+    const reason = VALIDATORS[format](address);
+    if (reason) {
+      return { valid: false, reason: `${code} address ${reason}` };
+    }
+  } else {
+    const info = options.registry ? options.registry.get(code) : undefined;
+    let pattern;
+    try {
+      pattern = info && info.validation_regex ? new RegExp(info.validation_regex) : undefined;
+    } catch (error) {
+      pattern = undefined;
+    }
+    if (pattern && !pattern.test(address)) {
+      return { valid: false, reason: `${code} address does not match the expected format` };
+    }
+  }
+
+  return validateExtraId(options.extraId, code, options);
+}
+
+module.exports = {
+  validateAddress,
+  validateExtraId,
+  getAddressFormat,
+  keccak256
+};
@@ -33,6 +33,52 @@ const PAYMENT_STATUSES = {
   EXPIRED: 'expired'
 };
 
+/**
+ * Allowed payment status transitions; anything else is reported as invalid
+ */
+const PAYMENT_STATUS_TRANSITIONS = {
+  [PAYMENT_STATUSES.WAITING]: [
+    PAYMENT_STATUSES.CONFIRMING,
+    PAYMENT_STATUSES.CONFIRMED,
+    PAYMENT_STATUSES.SENDING,
+    PAYMENT_STATUSES.PARTIALLY_PAID,
+    PAYMENT_STATUSES.FINISHED,
+    PAYMENT_STATUSES.FAILED,
+    PAYMENT_STATUSES.EXPIRED
+  ],
+  [PAYMENT_STATUSES.CONFIRMING]: [
+    PAYMENT_STATUSES.CONFIRMED,
+    PAYMENT_STATUSES.SENDING,
+    PAYMENT_STATUSES.PARTIALLY_PAID,
+    PAYMENT_STATUSES.FINISHED,
+    PAYMENT_STATUSES.FAILED
+  ],
+  [PAYMENT_STATUSES.CONFIRMED]: [
+    PAYMENT_STATUSES.SENDING,
+    PAYMENT_STATUSES.PARTIALLY_PAID,
+    PAYMENT_STATUSES.FINISHED,
+    PAYMENT_STATUSES.FAILED
+  ],
+  [PAYMENT_STATUSES.SENDING]: [
+    PAYMENT_STATUSES.PARTIALLY_PAID,
+    PAYMENT_STATUSES.FINISHED,
+    PAYMENT_STATUSES.FAILED
+  ],
+  [PAYMENT_STATUSES.PARTIALLY_PAID]: [
+    PAYMENT_STATUSES.CONFIRMING,
+    PAYMENT_STATUSES.CONFIRMED,
+    PAYMENT_STATUSES.SENDING,
+    PAYMENT_STATUSES.FINISHED,
+    PAYMENT_STATUSES.FAILED,
+    PAYMENT_STATUSES.REFUNDED,
+    PAYMENT_STATUSES.EXPIRED
+  ],
+  [PAYMENT_STATUSES.FINISHED]: [PAYMENT_STATUSES.REFUNDED],
+  [PAYMENT_STATUSES.FAILED]: [PAYMENT_STATUSES.REFUNDED],
+  [PAYMENT_STATUSES.REFUNDED]: [],
+  [PAYMENT_STATUSES.EXPIRED]: []
+};
+
 const PAYOUT_STATUSES = {
   PENDING: 'pending',
   PROCESSING: 'processing',
@@ -40,13 +86,91 @@ const PAYOUT_STATUSES = {
   FAILED: 'failed'
 };
 
+/**
+ * Maps raw payout statuses returned by the API onto PAYOUT_STATUSES
+ */
+const PAYOUT_STATUS_ALIASES = {
+  waiting: PAYOUT_STATUSES.PENDING,
+  creating: PAYOUT_STATUSES.PENDING,
+  pending: PAYOUT_STATUSES.PENDING,
+  processing: PAYOUT_STATUSES.PROCESSING,
+  sending: PAYOUT_STATUSES.PROCESSING,
+  finished: PAYOUT_STATUSES.COMPLETED,
+  completed: PAYOUT_STATUSES.COMPLETED,
+  failed: PAYOUT_STATUSES.FAILED,
+  rejected: PAYOUT_STATUSES.FAILED
+};
+
+const SUBSCRIPTION_STATUSES = {
+  WAITING_PAY: 'WAITING_PAY',
+  PAID: 'PAID',
+  PARTIALLY_PAID: 'PARTIALLY_PAID',
+  EXPIRED: 'EXPIRED'
+};
+
+const CUSTODY_TRANSFER_STATUSES = {
+  CREATED: 'CREATED',
+  WAITING: 'WAITING',
+  FINISHED: 'FINISHED',
+  REJECTED: 'REJECTED'
+};
+
+const CONVERSION_STATUSES = {
+  WAITING: 'WAITING',
+  PROCESSING: 'PROCESSING',
+  FINISHED: 'FINISHED',
+  REJECTED: 'REJECTED'
+};
+
 const WEBSOCKET_EVENTS = {
   CONNECTED: 'connected',
   DISCONNECTED: 'disconnected',
   PAYMENT_UPDATE: 'payment_update',
   ERROR: 'error',
   RECONNECTING: 'reconnecting',
-  PONG: 'pong'
+  PONG: 'pong',
+  MESSAGE: 'message',
+  BACKFILLED: 'backfilled',
+  STATE_CHANGE: 'stateChange'
+};
+
+/**
+ * Checkpointed state of a BatchPayoutRunner chunk
+ */
+const BATCH_PAYOUT_CHUNK_STATES = {
+  PENDING: 'pending',
+  SUBMITTING: 'submitting',
+  SUBMITTED: 'submitted',
+  VERIFIED: 'verified',
+  FAILED: 'failed',
+  UNCERTAIN: 'uncertain'
+};
+
+const PAYMENT_EVENTS = {
+  STATUS_CHANGED: 'payment.status_changed'
+};
+
+const PAYMENT_EVENT_SOURCES = {
+  IPN: 'ipn',
+  WEBSOCKET: 'websocket',
+  POLL: 'poll'
+};
+
+const WEBSOCKET_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSING: 'closing',
+  CLOSED: 'closed'
+};
+
+/**
+ * Frame types sent by the client to manage subscriptions
+ */
+const WEBSOCKET_MESSAGES = {
+  SUBSCRIBE: 'subscribe',
+  UNSUBSCRIBE: 'unsubscribe'
 };
 
 const DEFAULT_CONFIG = {
@@ -58,33 +182,198 @@ const DEFAULT_CONFIG = {
   RETRY: {
     MAX_RETRIES: 3,
     BACKOFF_FACTOR: 2,
-    INITIAL_DELAY: 1000
+    INITIAL_DELAY: 1000,
+    LOOKUP_MARGIN: 300000
   },
   WEBSOCKET: {
     MAX_RECONNECT_ATTEMPTS: 5,
     RECONNECT_DELAY: 1000,
+    MAX_RECONNECT_DELAY: 30000,
+    RECONNECT_JITTER: 0.5,
     PING_INTERVAL: 30000,
-    PONG_TIMEOUT: 5000
+    PONG_TIMEOUT: 5000,
+    GAP_FILL_MARGIN: 60000
   },
   PAGINATION: {
     DEFAULT_LIMIT: 50,
     MAX_LIMIT: 500
+  },
+  AUTH: {
+    TOKEN_TTL: 300000,
+    REFRESH_MARGIN: 30000
+  },
+  CURRENCY_REGISTRY: {
+    TTL: 3600000
+  },
+  QUOTE: {
+    TTL: 60000,
+    REFRESH_MARGIN: 30000
+  },
+  EVENTS: {
+    MAX_PAYMENTS: 10000
+  },
+  BATCH_PAYOUT: {
+    CHUNK_SIZE: 100,
+    CONCURRENCY: 3
+  },
+  PAYOUT_IMPORT: {
+    LARGE_AMOUNT_FACTOR: 10,
+    LARGE_AMOUNT_MIN_ROWS: 3
+  },
+  POLLING: {
+    INTERVAL: 5000,
+    MAX_INTERVAL: 60000,
+    BACKOFF_FACTOR: 1.5
   }
 };
 
+/**
+ * Network error codes that are safe to retry for idempotent requests
+ */
+const RETRYABLE_NETWORK_ERRORS = [
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+];
+
+/**
+ * How a request is made safe to retry
+ */
+const RETRY_STRATEGIES = {
+  IDEMPOTENT: 'idempotent',
+  IDEMPOTENCY_KEY: 'idempotency_key',
+  ORDER_ID_LOOKUP: 'order_id_lookup',
+  NONE: 'none'
+};
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
 const ERROR_CODES = {
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   API_ERROR: 'API_ERROR',
   WEBSOCKET_ERROR: 'WEBSOCKET_ERROR',
   MAX_RECONNECT_ERROR: 'MAX_RECONNECT_ERROR',
-  MESSAGE_PARSE_ERROR: 'MESSAGE_PARSE_ERROR'
+  MESSAGE_PARSE_ERROR: 'MESSAGE_PARSE_ERROR',
+  TIMEOUT_ERROR: 'TIMEOUT_ERROR',
+  ABORT_ERROR: 'ABORT_ERROR',
+  PAYOUT_FAILED: 'PAYOUT_FAILED',
+  CONVERSION_FAILED: 'CONVERSION_FAILED',
+  NETWORK_ERROR: 'NETWORK_ERROR'
+};
+
+/**
+ * NOWPayments `code` values in error responses, grouped by the error class they map to
+ */
+const API_ERROR_CODES = {
+  AUTHENTICATION: ['INVALID_API_KEY', 'AUTH_REQUIRED', 'INVALID_TOKEN', 'UNAUTHORIZED', 'FORBIDDEN'],
+  NOT_FOUND: ['NOT_FOUND', 'PAYMENT_NOT_FOUND', 'INVOICE_NOT_FOUND', 'PAYOUT_NOT_FOUND'],
+  AMOUNT_TOO_SMALL: ['AMOUNT_MINIMAL_ERROR', 'AMOUNT_TOO_SMALL'],
+  CURRENCY_UNAVAILABLE: ['CURRENCY_UNAVAILABLE', 'CURRENCY_NOT_FOUND', 'CURRENCY_NOT_SUPPORTED']
 };
 
+/**
+ * Static fallback list; use CurrencyRegistry for the live set of currencies
+ * @deprecated
+ */
 const SUPPORTED_CURRENCIES = {
   FIAT: ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CNY', 'INR'],
   CRYPTO: ['BTC', 'ETH', 'USDT', 'BNB', 'USDC', 'XRP', 'ADA', 'DOGE', 'SOL']
 };
 
+/**
+ * Response amount fields parsed into Amount, mapped to the field holding their currency
+ */
+const DECIMAL_AMOUNT_FIELDS = {
+  price_amount: 'price_currency',
+  pay_amount: 'pay_currency',
+  actually_paid: 'pay_currency',
+  outcome_amount: 'outcome_currency',
+  estimated_amount: 'currency_to',
+  amount: 'currency'
+};
+
+/**
+ * Address format used by each native coin
+ */
+const ADDRESS_FORMATS = {
+  BTC: 'bitcoin',
+  LTC: 'litecoin',
+  DOGE: 'dogecoin',
+  ETH: 'ethereum',
+  BNBBSC: 'ethereum',
+  MATIC: 'ethereum',
+  MATICMAINNET: 'ethereum',
+  AVAXC: 'ethereum',
+  ARB: 'ethereum',
+  OP: 'ethereum',
+  TRX: 'tron',
+  SOL: 'solana',
+  XRP: 'ripple'
+};
+
+/**
+ * Address format of tokens, keyed by their full currency code. Codes are listed explicitly:
+ * guessing the network from a code's ending misreads unrelated tickers.
+ */
+const TOKEN_ADDRESS_FORMATS = {
+  USDTTRC20: 'tron',
+  USDCTRC20: 'tron',
+  USDTERC20: 'ethereum',
+  USDC: 'ethereum',
+  DAI: 'ethereum',
+  USDTBSC: 'ethereum',
+  USDCBSC: 'ethereum',
+  BUSDBSC: 'ethereum',
+  USDTMATIC: 'ethereum',
+  USDCMATIC: 'ethereum',
+  USDTARB: 'ethereum',
+  USDCARB: 'ethereum',
+  USDTOP: 'ethereum',
+  USDCOP: 'ethereum',
+  USDCBASE: 'ethereum',
+  USDTAVAXC: 'ethereum',
+  USDCAVAXC: 'ethereum',
+  USDTSOL: 'solana',
+  USDCSOL: 'solana'
+};
+
+/**
+ * Address format for each network reported by the currency registry
+ */
+const NETWORK_ADDRESS_FORMATS = {
+  btc: 'bitcoin',
+  ltc: 'litecoin',
+  doge: 'dogecoin',
+  eth: 'ethereum',
+  bsc: 'ethereum',
+  matic: 'ethereum',
+  arbitrum: 'ethereum',
+  op: 'ethereum',
+  base: 'ethereum',
+  avaxc: 'ethereum',
+  trx: 'tron',
+  sol: 'solana',
+  xrp: 'ripple'
+};
+
+/**
+ * Currencies that take an extra id (destination tag or memo) alongside the address
+ */
+const EXTRA_ID_RULES = {
+  XRP: { label: 'destination tag', pattern: /^\d{1,10}$/, max: 4294967295 },
+  XLM: { label: 'memo', maxLength: 28 },
+  EOS: { label: 'memo', maxLength: 256 },
+  BNBMAINNET: { label: 'memo', maxLength: 128 },
+  ATOM: { label: 'memo', maxLength: 256 },
+  HBAR: { label: 'memo', maxLength: 100 },
+  TON: { label: 'comment', maxLength: 120 }
+};
+
 const NETWORK_TYPES = {
   MAINNET: 'mainnet',
   TESTNET: 'testnet'
@@ -95,10 +384,29 @@ module.exports = {
   WEBSOCKET_ENDPOINTS,
   HTTP_METHODS,
   PAYMENT_STATUSES,
+  PAYMENT_STATUS_TRANSITIONS,
   PAYOUT_STATUSES,
+  PAYOUT_STATUS_ALIASES,
+  SUBSCRIPTION_STATUSES,
+  CUSTODY_TRANSFER_STATUSES,
+  CONVERSION_STATUSES,
   WEBSOCKET_EVENTS,
+  WEBSOCKET_MESSAGES,
+  WEBSOCKET_STATES,
+  PAYMENT_EVENTS,
+  PAYMENT_EVENT_SOURCES,
+  BATCH_PAYOUT_CHUNK_STATES,
   DEFAULT_CONFIG,
   ERROR_CODES,
+  API_ERROR_CODES,
+  RETRYABLE_NETWORK_ERRORS,
+  RETRY_STRATEGIES,
+  IDEMPOTENCY_HEADER,
   SUPPORTED_CURRENCIES,
+  DECIMAL_AMOUNT_FIELDS,
+  ADDRESS_FORMATS,
+  TOKEN_ADDRESS_FORMATS,
+  NETWORK_ADDRESS_FORMATS,
+  EXTRA_ID_RULES,
   NETWORK_TYPES
 };
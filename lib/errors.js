@@ -1,3 +1,5 @@
+const { ERROR_CODES, RETRYABLE_NETWORK_ERRORS } = require('./constants');
+
 /**
  * Custom error classes for NOWPayments API
  * @module errors
@@ -20,6 +22,7 @@ class NOWPaymentsError extends Error {
     this.name = 'NOWPaymentsError';
     this.code = code;
     this.data = data;
+    this.isRetryable = false;
     Error.captureStackTrace(this, this.constructor);
   }
 
@@ -62,6 +65,130 @@ class APIError extends NOWPaymentsError {
     this.name = 'APIError';
     this.statusCode = statusCode;
     this.responseData = responseData;
+    this.apiCode = responseData && responseData.code ? String(responseData.code) : undefined;
+    this.isRetryable = statusCode === 429 || (statusCode >= 500 && statusCode <= 599);
+  }
+}
+
+/**
+ * Invalid API key, missing or expired JWT, or insufficient permissions (401, 403)
+ * @class AuthenticationError
+ * @extends APIError
+ */
+class AuthenticationError extends APIError {
+  constructor(message, statusCode, responseData) {
+    super(message, statusCode, responseData);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Too many requests (429)
+ * @class RateLimitError
+ * @extends APIError
+ */
+class RateLimitError extends APIError {
+  /**
+   * Creates a rate limit error instance
+   * @param {string} message - API error message
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} [responseData] - API response data
+   * @param {number} [retryAfter] - Milliseconds until requests are allowed again, when announced
+   */
+  constructor(message, statusCode, responseData, retryAfter) {
+    super(message, statusCode, responseData);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Requested payment, invoice, payout or other resource does not exist (404)
+ * @class NotFoundError
+ * @extends APIError
+ */
+class NotFoundError extends APIError {
+  constructor(message, statusCode, responseData) {
+    super(message, statusCode, responseData);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Amount is below the minimum NOWPayments accepts for the currency pair
+ * @class AmountTooSmallError
+ * @extends APIError
+ */
+class AmountTooSmallError extends APIError {
+  /**
+   * Creates an amount error instance
+   * @param {string} message - API error message
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} [responseData] - API response data
+   * @param {number} [minimum] - Minimum amount, when the API reports it
+   */
+  constructor(message, statusCode, responseData, minimum) {
+    super(message, statusCode, responseData);
+    this.name = 'AmountTooSmallError';
+    this.minimum = minimum;
+  }
+}
+
+/**
+ * Currency is unknown, disabled or temporarily unavailable
+ * @class CurrencyUnavailableError
+ * @extends APIError
+ */
+class CurrencyUnavailableError extends APIError {
+  /**
+   * Creates a currency error instance
+   * @param {string} message - API error message
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} [responseData] - API response data
+   * @param {string} [currency] - Currency code, when the API reports it
+   */
+  constructor(message, statusCode, responseData, currency) {
+    super(message, statusCode, responseData);
+    this.name = 'CurrencyUnavailableError';
+    this.currency = currency;
+  }
+}
+
+/**
+ * Request failed before a response arrived
+ * @class NetworkError
+ * @extends NOWPaymentsError
+ */
+class NetworkError extends NOWPaymentsError {
+  /**
+   * Creates a network error instance
+   * @param {string} message - Error message
+   * @param {string} [code] - System error code such as ECONNRESET
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(message, code = ERROR_CODES.NETWORK_ERROR, cause) {
+    super(message, code, cause && { method: cause.config?.method, url: cause.config?.url });
+    this.name = 'NetworkError';
+    this.cause = cause;
+    this.isRetryable = RETRYABLE_NETWORK_ERRORS.includes(code);
+  }
+}
+
+/**
+ * Request did not complete within its timeout
+ * @class TimeoutError
+ * @extends NetworkError
+ */
+class TimeoutError extends NetworkError {
+  /**
+   * Creates a timeout error instance
+   * @param {string} message - Error message
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(message, cause) {
+    super(message, ERROR_CODES.TIMEOUT_ERROR, cause);
+    this.name = 'TimeoutError';
+    this.isRetryable = true;
   }
 }
 
@@ -101,9 +228,34 @@ class WebSocketError extends NOWPaymentsError {
   }
 }
 
+/**
+ * Abort error class for operations cancelled through an AbortSignal
+ * @class AbortError
+ * @extends NOWPaymentsError
+ */
+class AbortError extends NOWPaymentsError {
+  /**
+   * Creates an abort error instance
+   * @param {string} [message] - Abort error message
+   * @param {Object} [details] - Additional error details
+   */
+  constructor(message = 'Operation was aborted', details) {
+    super(message, 'ABORT_ERROR', details);
+    this.name = 'AbortError';
+  }
+}
+
 module.exports = {
   NOWPaymentsError,
   APIError,
+  AuthenticationError,
+  RateLimitError,
+  NotFoundError,
+  AmountTooSmallError,
+  CurrencyUnavailableError,
+  NetworkError,
+  TimeoutError,
   ValidationError,
-  WebSocketError
+  WebSocketError,
+  AbortError
 };
@@ -0,0 +1,292 @@
+const { ValidationError } = require('./errors');
+const schemas = require('./validation');
+const utils = require('./utils');
+
+/**
+ * Model objects wrapping payment, invoice and payout responses
+ * @module models
+ * @typedef {import('../types').RequestOptions} RequestOptions
+ * @typedef {import('../types').PollOptions} PollOptions
+ * @typedef {import('../types').GetPaymentsParams} GetPaymentsParams
+ * @typedef {import('../types').CreateInvoicePaymentParams} CreateInvoicePaymentParams
+ * @typedef {import('../types').PaginationResponse<Payment>} PaymentListResponse
+ * @typedef {import('../types/advanced').PaymentFlow} PaymentFlow
+ * @typedef {import('../types/advanced').PaymentStatusExtended} PaymentStatusExtended
+ */
+
+/**
+ * Response data with coerced fields and a reference to the client that fetched it
+ * @class Model
+ */
+class Model {
+  /**
+   * Creates model from response data
+   * @param {import('./NowPaymentsAPI')} client - API client used by model methods
+   * @param {Object} data - Response data
+   * @param {RequestOptions} [options] - `validate: false` skips the response check and coercion
+   */
+  constructor(client, data, options) {
+    Object.defineProperty(this, 'client', { value: client, writable: true });
+    Object.defineProperty(this, '_data', { value: undefined, writable: true });
+    Object.defineProperty(this, 'validationError', { value: undefined, writable: true });
+    this._assign(data, options);
+  }
+
+  /**
+   * Response schema; overridden by every model
+   * @type {import('joi').ObjectSchema}
+   */
+  static get schema() {
+    throw new Error(`${this.name} does not define a response schema`);
+  }
+
+  /**
+   * Checks and coerces response data and replaces the model fields with it. A response that
+   * does not match the schema is kept as received and flagged in `validationError`, since
+   * the request it answers has already succeeded.
+   * @protected
+   * @param {Object} data - Response data
+   * @param {RequestOptions} [options] - Per-call request options
+   */
+  _assign(data, options = {}) {
+    let value = data;
+    this.validationError = undefined;
+    if (options.validate !== false) {
+      const result = /** @type {typeof Model} */ (this.constructor).schema.validate(data);
+      if (result.error) {
+        this.validationError = new ValidationError(
+          `Unexpected ${this.constructor.name.toLowerCase()} response: ${result.error.message}`,
+          result.error.details
+        );
+      } else {
+        value = result.value;
+      }
+    }
+    this._data = data;
+    Object.keys(this).forEach(key => delete this[key]);
+    Object.assign(this, value);
+  }
+
+  /**
+   * Response data as received, before coercion
+   * @returns {Object} Raw response data
+   */
+  toJSON() {
+    return this._data;
+  }
+}
+
+/**
+ * Payment returned by payment and invoice payment methods
+ * @class Payment
+ * @extends Model
+ */
+class Payment extends Model {
+  static get schema() {
+    return schemas.paymentResponse;
+  }
+
+  /**
+   * Reloads the payment status
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<Payment>} This payment
+   * @throws {APIError} When API request fails
+   */
+  async refresh(options = {}) {
+    this._assign(await this.client.getPaymentStatus(this.payment_id, { ...options, raw: true }), options);
+    return this;
+  }
+
+  /**
+   * @returns {boolean} Whether the payment reached a final status
+   */
+  isFinal() {
+    return utils.isPaymentStatusFinal(this);
+  }
+
+  /**
+   * @returns {boolean} Whether at least the pay amount was received
+   */
+  isFullyPaid() {
+    return utils.isFullyPaid(this);
+  }
+
+  /**
+   * @returns {boolean} Whether the payment window has passed
+   */
+  isExpired() {
+    return utils.isPaymentExpired(this);
+  }
+
+  /**
+   * Time left in the payment window
+   * @returns {number} Milliseconds, 0 once expired
+   */
+  remainingTime() {
+    return utils.calculateRemainingTime(this);
+  }
+
+  /**
+   * Amount still missing from the pay amount
+   * @returns {import('./Amount')} Exact amount in the pay currency, zero when fully paid
+   */
+  shortfall() {
+    const due = utils.toAmount(this.pay_amount || 0, this.pay_currency);
+    const missing = due.sub(utils.toAmount(this.actually_paid || 0, this.pay_currency));
+    return missing.isPositive() ? missing : utils.toAmount(0, this.pay_currency);
+  }
+
+  /**
+   * Fetches the payment flow
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<PaymentFlow>} Payment flow details
+   * @throws {APIError} When API request fails
+   */
+  async flow(options) {
+    return this.client.getPaymentFlow(this.payment_id, options);
+  }
+
+  /**
+   * @returns {PaymentStatusExtended} Raw payment with risk score and timing data
+   */
+  toExtended() {
+    return utils.toExtendedPaymentStatus(this.toJSON());
+  }
+}
+
+/**
+ * Invoice returned by invoice methods
+ * @class Invoice
+ * @extends Model
+ */
+class Invoice extends Model {
+  static get schema() {
+    return schemas.invoiceResponse;
+  }
+
+  /**
+   * Reloads the invoice
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<Invoice>} This invoice
+   * @throws {APIError} When API request fails
+   */
+  async refresh(options = {}) {
+    this._assign(await this.client.getInvoice(this.id, { ...options, raw: true }), options);
+    return this;
+  }
+
+  /**
+   * Creates a payment for the invoice
+   * @param {CreateInvoicePaymentParams} params - Pay currency and optional payment details
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<Payment>} Created payment
+   * @throws {ValidationError} When parameters are invalid
+   * @throws {APIError} When API request fails
+   */
+  async createPayment(params, options) {
+    return this.client.createInvoicePayment(this.id, params, options);
+  }
+
+  /**
+   * Lists payments made against the invoice
+   * @param {GetPaymentsParams} [params] - Additional query parameters
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<PaymentListResponse>} Paginated payments
+   * @throws {APIError} When API request fails
+   */
+  async payments(params, options) {
+    return this.client.getInvoicePayments(this.id, params, options);
+  }
+}
+
+/**
+ * Payout returned by payout methods
+ * @class Payout
+ * @extends Model
+ */
+class Payout extends Model {
+  static get schema() {
+    return schemas.payoutResponse;
+  }
+
+  /**
+   * Reloads the payout status
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<Payout>} This payout
+   * @throws {APIError} When API request fails
+   */
+  async refresh(options = {}) {
+    this._assign(await this.client.getPayoutStatus(this.id, { ...options, raw: true }), options);
+    return this;
+  }
+
+  /**
+   * @returns {boolean} Whether the payout completed or failed
+   */
+  isFinal() {
+    return utils.isPayoutStatusFinal(this);
+  }
+
+  /**
+   * Polls until the payout completes
+   * @param {PollOptions} [options] - Polling options
+   * @returns {Promise<Payout>} This payout
+   * @throws {NOWPaymentsError} When payout fails, the wait times out or is aborted
+   */
+  async wait(options = {}) {
+    this._assign(await this.client.waitForPayout(this.id, { ...options, raw: true }));
+    return this;
+  }
+
+  /**
+   * Cancels the payout while it is still pending
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<any>} Cancellation result
+   * @throws {APIError} When payout cannot be cancelled
+   */
+  async cancel(options) {
+    return this.client.cancelPayout(this.id, options);
+  }
+}
+
+/**
+ * Payout batch returned by createPayout and createBatchPayout
+ * @class PayoutBatch
+ * @extends Model
+ */
+class PayoutBatch extends Model {
+  static get schema() {
+    return schemas.payoutBatchResponse;
+  }
+
+  /**
+   * Copies the batch onto the model, wrapping each withdrawal in a Payout
+   * @protected
+   * @param {Object} data - Response data
+   * @param {RequestOptions} [options] - Per-call request options
+   */
+  _assign(data, options = {}) {
+    super._assign(data, options);
+    const withdrawals = data && Array.isArray(data.withdrawals) ? data.withdrawals : [];
+    this.withdrawals = withdrawals.map(payout => new Payout(this.client, payout, options));
+  }
+
+  /**
+   * Confirms the batch with the 2FA code
+   * @param {string} code - Verification code
+   * @param {RequestOptions} [options] - Per-call request options
+   * @returns {Promise<any>} Verification result
+   * @throws {APIError} When the code is rejected
+   */
+  async verify(code, options) {
+    return this.client.verifyPayout(this.id, code, options);
+  }
+}
+
+module.exports = {
+  Model,
+  Payment,
+  Invoice,
+  Payout,
+  PayoutBatch
+};
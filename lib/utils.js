@@ -1,5 +1,15 @@
 const crypto = require('crypto');
-const { ERROR_CODES, PAYMENT_STATUSES } = require('./constants');
+const Amount = require('./Amount');
+const addressValidation = require('./addressValidation');
+const {
+  ERROR_CODES,
+  PAYMENT_STATUSES,
+  PAYMENT_STATUS_TRANSITIONS,
+  PAYOUT_STATUSES,
+  PAYOUT_STATUS_ALIASES,
+  CONVERSION_STATUSES,
+  DECIMAL_AMOUNT_FIELDS
+} = require('./constants');
 
 /**
  * Utility functions for NOWPayments API
@@ -9,6 +19,10 @@ const { ERROR_CODES, PAYMENT_STATUSES } = require('./constants');
 /**
  * @typedef {import('../types').PaymentStatus} PaymentStatus
  * @typedef {import('../types/advanced').PaymentStatusExtended} PaymentStatusExtended
+ * @typedef {import('./CurrencyRegistry')} CurrencyRegistry
+ * @typedef {import('../types/address').AddressValidationResult} AddressValidationResult
+ * @typedef {import('../types/address').AddressValidationOptions} AddressValidationOptions
+ * @typedef {import('../types').Balance} Balance
  */
 
 const utils = {
@@ -48,21 +62,130 @@ const utils = {
 
   /**
    * Format currency amount with proper decimals
-   * @param {number} amount - Amount to format
+   * @param {number|string|Amount} amount - Amount to format
    * @param {string} currency - Currency code
+   * @param {CurrencyRegistry} [registry] - Live currency registry to read precision from
    * @returns {string} Formatted amount
    */
-  formatCurrencyAmount(amount, currency) {
-    const decimals = this.getCurrencyDecimals(currency);
-    return amount.toFixed(decimals);
+  formatCurrencyAmount(amount, currency, registry) {
+    const decimals = this.getCurrencyDecimals(currency, registry);
+    return Amount.from(amount, currency).toFixed(decimals);
+  },
+
+  /**
+   * Convert value to Amount using the currency's precision
+   * @param {number|string|Amount} value - Amount value
+   * @param {string} [currency] - Currency code
+   * @returns {Amount} Exact amount
+   */
+  toAmount(value, currency) {
+    const code = currency || (value instanceof Amount ? value.currency : undefined);
+    return Amount.from(value, code, code ? this.getCurrencyDecimals(String(code).toUpperCase()) : 0);
+  },
+
+  /**
+   * Convert raw balances keyed by currency into exact amounts keyed by upper-case code
+   * @param {Object<string, {amount: number|string, pendingAmount?: number|string}>} balances - Raw balances
+   * @returns {Object<string, Balance>} Balance per currency
+   */
+  normalizeBalances(balances) {
+    const result = {};
+    for (const [key, entry] of Object.entries(balances || {})) {
+      const currency = key.toUpperCase();
+      const { amount = 0, pendingAmount = 0 } = entry || {};
+      result[currency] = {
+        currency,
+        amount: this.toAmount(amount, currency),
+        pendingAmount: this.toAmount(pendingAmount, currency)
+      };
+    }
+    return result;
+  },
+
+  /**
+   * Check if payment received at least the requested pay amount, compared exactly
+   * @param {PaymentStatus} payment - Payment object
+   * @returns {boolean} Is payment fully paid
+   */
+  isFullyPaid(payment) {
+    const missing = value => value === undefined || value === null;
+    if (missing(payment.actually_paid) || missing(payment.pay_amount)) {
+      return false;
+    }
+    return Amount.from(payment.actually_paid).gte(Amount.from(payment.pay_amount));
+  },
+
+  /**
+   * Parse JSON keeping amount fields exact and converting them to Amount
+   * @param {string} text - JSON text
+   * @returns {*} Parsed data
+   */
+  parseJSONWithAmounts(text) {
+    const fields = Object.keys(DECIMAL_AMOUNT_FIELDS).join('|');
+    const pattern = new RegExp(`"(${fields})"(\\s*):(\\s*)(-?\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)`, 'g');
+    const data = JSON.parse(text.replace(pattern, '"$1"$2:$3"$4"'));
+    return this._convertAmountFields(data);
+  },
+
+  /**
+   * Serialize JSON writing Amount values and decimal strings in amount fields as exact numbers
+   * @param {*} data - Data to serialize
+   * @returns {string} JSON text
+   */
+  stringifyJSONWithAmounts(data) {
+    const marker = '__NOWPAYMENTS_DECIMAL__';
+    const json = JSON.stringify(data, function (key, value) {
+      const original = this[key];
+      const isDecimalField =
+        Object.prototype.hasOwnProperty.call(DECIMAL_AMOUNT_FIELDS, key) &&
+        typeof original === 'string' &&
+        Amount.isValid(original);
+      if (original instanceof Amount || isDecimalField) {
+        return `${marker}${Amount.from(original).toString()}`;
+      }
+      return value;
+    });
+    return json === undefined ? json : json.replace(new RegExp(`"${marker}([^"]+)"`, 'g'), '$1');
+  },
+
+  /**
+   * Convert amount fields of parsed response data to Amount recursively
+   * @private
+   * @param {*} data - Parsed data
+   * @returns {*} Data with Amount fields
+   */
+  _convertAmountFields(data) {
+    if (Array.isArray(data)) {
+      return data.map(item => this._convertAmountFields(item));
+    }
+    if (typeof data !== 'object' || data === null) {
+      return data;
+    }
+
+    for (const key of Object.keys(data)) {
+      const value = data[key];
+      const currencyField = DECIMAL_AMOUNT_FIELDS[key];
+      if (currencyField && (typeof value === 'string' || typeof value === 'number') && Amount.isValid(value)) {
+        data[key] = this.toAmount(value, data[currencyField] || undefined);
+      } else {
+        data[key] = this._convertAmountFields(value);
+      }
+    }
+    return data;
   },
 
   /**
    * Get currency decimals
    * @param {string} currency - Currency code
+   * @param {CurrencyRegistry} [registry] - Live currency registry, consulted before the built-in table
    * @returns {number} Number of decimal places
    */
-  getCurrencyDecimals(currency) {
+  getCurrencyDecimals(currency, registry) {
+    const precision = registry ? registry.getPrecision(currency) : undefined;
+    if (Number.isInteger(precision)) {
+      return precision;
+    }
+
     const currencyDecimals = {
       BTC: 8,
       ETH: 18,
@@ -88,6 +211,76 @@ const utils = {
     return finalStatuses.includes(payment.payment_status);
   },
 
+  /**
+   * Check if IPN payload belongs to a subscription (status change or recurring payment)
+   * @param {Object} payload - Verified IPN payload
+   * @returns {boolean} Is subscription IPN
+   */
+  isSubscriptionIPN(payload) {
+    return Boolean(
+      payload &&
+        ((payload.subscription_id !== undefined && payload.subscription_id !== null) ||
+          (payload.subscription_plan_id !== undefined && payload.subscription_plan_id !== null))
+    );
+  },
+
+  /**
+   * Normalize raw payout status to one of PAYOUT_STATUSES
+   * @param {string} status - Payout status as returned by the API
+   * @returns {string} Normalized payout status
+   */
+  normalizePayoutStatus(status) {
+    const key = String(status || '').toLowerCase();
+    return PAYOUT_STATUS_ALIASES[key] || key;
+  },
+
+  /**
+   * Check if payout status is final
+   * @param {{status: string}} payout - Payout object
+   * @returns {boolean} Is status final
+   */
+  isPayoutStatusFinal(payout) {
+    const status = this.normalizePayoutStatus(payout.status);
+    return status === PAYOUT_STATUSES.COMPLETED || status === PAYOUT_STATUSES.FAILED;
+  },
+
+  /**
+   * Check if conversion status is final
+   * @param {{status: string}} conversion - Conversion object
+   * @returns {boolean} Is status final
+   */
+  isConversionStatusFinal(conversion) {
+    const status = String(conversion.status || '').toUpperCase();
+    return status === CONVERSION_STATUSES.FINISHED || status === CONVERSION_STATUSES.REJECTED;
+  },
+
+  /**
+   * Check if payment may move from one status to another
+   * @param {string} from - Current payment status
+   * @param {string} to - Next payment status
+   * @returns {boolean} Is transition allowed
+   */
+  isValidStatusTransition(from, to) {
+    if (from === to) {
+      return true;
+    }
+    const allowed = PAYMENT_STATUS_TRANSITIONS[from];
+    return Array.isArray(allowed) && allowed.includes(to);
+  },
+
+  /**
+   * Calculate exponential backoff delay
+   * @param {number} attempt - Attempt number, starting at 1
+   * @param {Object} options - Backoff options
+   * @param {number} options.initialDelay - Delay for the first attempt in ms
+   * @param {number} options.factor - Multiplier applied per attempt
+   * @param {number} [options.maxDelay=Infinity] - Upper bound in ms
+   * @returns {number} Delay in milliseconds
+   */
+  calculateBackoffDelay(attempt, { initialDelay, factor, maxDelay = Infinity }) {
+    return Math.min(initialDelay * Math.pow(factor, Math.max(0, attempt - 1)), maxDelay);
+  },
+
   /**
    * Parse API error response
    * @param {Object} error - Error object
@@ -105,16 +298,22 @@ const utils = {
    * Validate cryptocurrency address format
    * @param {string} address - Cryptocurrency address
    * @param {string} currency - Currency code
+   * @param {CurrencyRegistry} [registry] - Live currency registry providing validation regexes
    * @returns {boolean} Is address valid
    */
-  isValidCryptoAddress(address, currency) {
-    const addressPatterns = {
-      BTC: /^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$|^bc1[ac-hj-np-z02-9]{11,71}$/,
-      ETH: /^0x[a-fA-F0-9]{40}$/,
-      default: /.+/
-    };
-    const pattern = addressPatterns[currency] || addressPatterns.default;
-    return pattern.test(address);
+  isValidCryptoAddress(address, currency, registry) {
+    return addressValidation.validateAddress(address, currency, { registry }).valid;
+  },
+
+  /**
+   * Validate cryptocurrency address checksum and extra id, explaining any failure
+   * @param {string} address - Cryptocurrency address
+   * @param {string} currency - Currency code
+   * @param {AddressValidationOptions} [options] - Extra id and registry options
+   * @returns {AddressValidationResult} Validation result with failure reason
+   */
+  validateAddress(address, currency, options) {
+    return addressValidation.validateAddress(address, currency, options);
   },
 
   /**
@@ -167,7 +366,7 @@ const utils = {
   calculatePaymentRiskScore(payment) {
     let score = 0;
 
-    if (payment.actually_paid >= payment.pay_amount) {
+    if (this.isFullyPaid(payment)) {
       score += 50;
     }
 
@@ -1,18 +1,125 @@
 const Joi = require('joi');
+const Amount = require('./Amount');
 
 /**
  * Validation schemas for API requests
  * @module validation
  */
 
+/**
+ * Positive amount given as number, decimal string or Amount
+ */
+const decimalAmount = Joi.any()
+  .custom((value, helpers) => {
+    if (!Amount.isValid(value)) {
+      return helpers.error('amount.base');
+    }
+    if (!Amount.from(value).isPositive()) {
+      return helpers.error('amount.positive');
+    }
+    return value;
+  }, 'decimal amount')
+  .messages({
+    'amount.base': '{{#label}} must be a number, decimal string or Amount',
+    'amount.positive': '{{#label}} must be a positive number'
+  });
+
+/**
+ * Cryptocurrency code, checked against the live currency registry when one is passed as
+ * `context.currencies`
+ */
+const cryptoCurrency = Joi.string()
+  .uppercase()
+  .min(2)
+  .max(10)
+  .custom((value, helpers) => {
+    const registry = helpers.prefs.context && helpers.prefs.context.currencies;
+    if (!registry || !registry.isLoaded()) {
+      return value;
+    }
+    if (!registry.has(value)) {
+      return helpers.error('currency.unsupported');
+    }
+    if (!registry.isAvailable(value)) {
+      return helpers.error('currency.unavailable');
+    }
+    return value;
+  }, 'currency registry lookup')
+  .messages({
+    'currency.unsupported': '{{#label}} is not a supported currency',
+    'currency.unavailable': '{{#label}} is temporarily unavailable'
+  });
+
+/**
+ * Response identifier sent as string or number, coerced to string
+ */
+const responseId = Joi.alternatives()
+  .try(Joi.string(), Joi.number())
+  .custom(value => String(value), 'identifier string');
+
+/**
+ * Response amount sent as number or decimal string, or already parsed to Amount. Decimal
+ * strings become Amount so digits beyond float precision are kept.
+ */
+const responseAmount = Joi.alternatives()
+  .try(
+    Joi.object().instance(Amount),
+    Joi.string()
+      .trim()
+      .custom((value, helpers) => (Amount.isValid(value) ? Amount.from(value) : helpers.error('amount.base')))
+      .messages({ 'amount.base': '{{#label}} must be a decimal string' }),
+    Joi.number().unsafe()
+  )
+  .allow(null);
+
+/**
+ * Nullable response text
+ */
+const responseText = Joi.string().allow('', null);
+
+/**
+ * Response date sent as ISO string or Unix time in milliseconds, coerced to Date
+ */
+const responseDate = Joi.date().allow(null);
+
+/**
+ * Single payout of a batch
+ */
+const batchPayoutItem = Joi.object({
+  address: Joi.string().required().max(256),
+  amount: decimalAmount.required(),
+  currency: cryptoCurrency.required(),
+  extra_id: Joi.string().max(256).optional()
+});
+
+/**
+ * Single payout as returned by payout status and creation endpoints
+ */
+const payoutResponse = Joi.object({
+  id: responseId.required(),
+  status: Joi.string().required(),
+  address: responseText,
+  amount: responseAmount,
+  currency: responseText,
+  extra_id: responseText,
+  ipn_callback_url: responseText,
+  batch_withdrawal_id: responseId.allow(null),
+  error: responseText,
+  hash: responseText,
+  created_at: responseDate,
+  updated_at: responseDate
+})
+  .unknown()
+  .required();
+
 const schemas = {
   /**
    * Payment creation validation schema
    */
   createPayment: Joi.object({
-    price_amount: Joi.number().required().positive(),
+    price_amount: decimalAmount.required(),
     price_currency: Joi.string().required().uppercase().min(2).max(10),
-    pay_currency: Joi.string().required().uppercase().min(2).max(10),
+    pay_currency: cryptoCurrency.required(),
     ipn_callback_url: Joi.string().uri().optional(),
     order_id: Joi.string().max(256).optional(),
     order_description: Joi.string().max(1024).optional(),
@@ -20,7 +127,7 @@ const schemas = {
     is_fee_paid_by_user: Joi.boolean().optional(),
     purchase_id: Joi.string().max(256).optional(),
     payout_address: Joi.string().max(256).optional(),
-    payout_currency: Joi.string().uppercase().min(2).max(10).optional(),
+    payout_currency: cryptoCurrency.optional(),
     payout_extra_id: Joi.string().max(256).optional(),
     fixed_rate: Joi.boolean().optional()
   }).required(),
@@ -29,7 +136,7 @@ const schemas = {
    * Invoice creation validation schema
    */
   createInvoice: Joi.object({
-    price_amount: Joi.number().required().positive(),
+    price_amount: decimalAmount.required(),
     price_currency: Joi.string().required().uppercase().min(2).max(10),
     order_id: Joi.string().max(256).optional(),
     order_description: Joi.string().max(1024).optional(),
@@ -38,7 +145,32 @@ const schemas = {
     cancel_url: Joi.string().uri().optional(),
     is_fixed_rate: Joi.boolean().optional(),
     is_fee_paid_by_user: Joi.boolean().optional(),
-    payment_currency: Joi.string().uppercase().min(2).max(10).optional()
+    payment_currency: cryptoCurrency.optional()
+  }).required(),
+
+  /**
+   * Invoice list query parameters validation schema
+   */
+  listInvoices: Joi.object({
+    limit: Joi.number().integer().min(1).max(500).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    orderBy: Joi.string().valid('asc', 'desc').optional(),
+    dateFrom: Joi.date().iso().optional(),
+    dateTo: Joi.date().iso().optional()
+  }).optional(),
+
+  /**
+   * Payment for an existing invoice validation schema
+   */
+  createInvoicePayment: Joi.object({
+    iid: Joi.alternatives(Joi.string(), Joi.number().integer()).required(),
+    pay_currency: cryptoCurrency.required(),
+    purchase_id: Joi.string().optional(),
+    order_description: Joi.string().max(1024).optional(),
+    customer_email: Joi.string().email({ tlds: { allow: false } }).optional(),
+    payout_address: Joi.string().max(256).optional(),
+    payout_extra_id: Joi.string().max(256).optional(),
+    payout_currency: cryptoCurrency.optional()
   }).required(),
 
   /**
@@ -46,8 +178,8 @@ const schemas = {
    */
   createPayout: Joi.object({
     address: Joi.string().required().max(256),
-    amount: Joi.number().required().positive(),
-    currency: Joi.string().required().uppercase().min(2).max(10),
+    amount: decimalAmount.required(),
+    currency: cryptoCurrency.required(),
     ipn_callback_url: Joi.string().uri().optional(),
     extra_id: Joi.string().max(256).optional(),
     fee_payer: Joi.string().valid('sender', 'receiver').optional()
@@ -57,22 +189,47 @@ const schemas = {
    * Batch payout validation schema
    */
   createBatchPayout: Joi.object({
-    payouts: Joi.array()
-      .items(
-        Joi.object({
-          address: Joi.string().required().max(256),
-          amount: Joi.number().required().positive(),
-          currency: Joi.string().required().uppercase().min(2).max(10),
-          extra_id: Joi.string().max(256).optional()
-        })
-      )
-      .min(1)
-      .max(100)
-      .required(),
+    payouts: Joi.array().items(batchPayoutItem).min(1).max(100).required(),
     processingMode: Joi.string().valid('sequential', 'parallel').default('sequential'),
     failureMode: Joi.string().valid('continue', 'stop').default('stop')
   }).required(),
 
+  /**
+   * Batch payout run validation schema; payouts are split into API-sized chunks
+   */
+  batchPayoutRun: Joi.object({
+    runId: Joi.string().min(1).max(256).required(),
+    payouts: Joi.array().items(batchPayoutItem).min(1).required(),
+    chunkSize: Joi.number().integer().min(1).max(100).optional(),
+    concurrency: Joi.number().integer().min(1).optional(),
+    processingMode: Joi.string().valid('sequential', 'parallel').optional(),
+    failureMode: Joi.string().valid('continue', 'stop').optional()
+  }).required(),
+
+  /**
+   * Payout list query parameters validation schema
+   */
+  listPayouts: Joi.object({
+    batch_id: Joi.string().optional(),
+    status: Joi.string().optional(),
+    order_by: Joi.string()
+      .valid('id', 'batchId', 'dateCreated', 'dateRequested', 'dateUpdated', 'currency', 'status')
+      .optional(),
+    order: Joi.string().valid('asc', 'desc').optional(),
+    date_from: Joi.date().iso().optional(),
+    date_to: Joi.date().iso().optional(),
+    limit: Joi.number().integer().min(1).max(500).optional(),
+    page: Joi.number().integer().min(0).optional()
+  }).optional(),
+
+  /**
+   * Payout 2FA verification validation schema
+   */
+  verifyPayout: Joi.object({
+    batchId: Joi.string().required(),
+    verification_code: Joi.string().required().min(4).max(16)
+  }).required(),
+
   /**
    * Payment list query parameters validation schema
    */
@@ -83,6 +240,7 @@ const schemas = {
     orderBy: Joi.string().valid('asc', 'desc').optional(),
     dateFrom: Joi.date().iso().optional(),
     dateTo: Joi.date().iso().optional(),
+    invoiceId: Joi.alternatives(Joi.string(), Joi.number().integer()).optional(),
     status: Joi.string()
       .valid(
         'waiting',
@@ -98,11 +256,191 @@ const schemas = {
       .optional()
   }).optional(),
 
+  /**
+   * Payment iteration parameters validation schema
+   */
+  iteratePayments: Joi.object({
+    limit: Joi.number().integer().min(1).max(500).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    sortBy: Joi.string().valid('created_at', 'payment_status').optional(),
+    orderBy: Joi.string().valid('asc', 'desc').optional(),
+    dateFrom: Joi.date().iso().optional(),
+    dateTo: Joi.date().iso().min(Joi.ref('dateFrom')).optional(),
+    invoiceId: Joi.alternatives(Joi.string(), Joi.number().integer()).optional(),
+    status: Joi.string()
+      .valid(
+        'waiting',
+        'confirming',
+        'confirmed',
+        'sending',
+        'partially_paid',
+        'finished',
+        'failed',
+        'refunded',
+        'expired'
+      )
+      .optional(),
+    windowSize: Joi.number().integer().min(1).optional(),
+    concurrency: Joi.number().integer().min(1).max(10).optional(),
+    cursor: Joi.object({
+      windowIndex: Joi.number().integer().min(0).required(),
+      page: Joi.number().integer().min(1).required(),
+      offset: Joi.number().integer().min(0).required()
+    }).optional()
+  })
+    .with('windowSize', ['dateFrom', 'dateTo'])
+    .optional(),
+
+  /**
+   * Subscription plan creation validation schema
+   */
+  createSubscriptionPlan: Joi.object({
+    title: Joi.string().required().max(255),
+    interval_day: Joi.number().integer().min(1).required(),
+    amount: decimalAmount.required(),
+    currency: Joi.string().required().uppercase().min(2).max(10),
+    ipn_callback_url: Joi.string().uri().optional(),
+    success_url: Joi.string().uri().optional(),
+    cancel_url: Joi.string().uri().optional(),
+    partially_paid_url: Joi.string().uri().optional()
+  }).required(),
+
+  /**
+   * Subscription plan update validation schema
+   */
+  updateSubscriptionPlan: Joi.object({
+    title: Joi.string().max(255).optional(),
+    interval_day: Joi.number().integer().min(1).optional(),
+    amount: decimalAmount.optional(),
+    currency: Joi.string().uppercase().min(2).max(10).optional(),
+    ipn_callback_url: Joi.string().uri().optional(),
+    success_url: Joi.string().uri().optional(),
+    cancel_url: Joi.string().uri().optional(),
+    partially_paid_url: Joi.string().uri().optional()
+  })
+    .min(1)
+    .required(),
+
+  /**
+   * Subscription plan list query parameters validation schema
+   */
+  listSubscriptionPlans: Joi.object({
+    limit: Joi.number().integer().min(1).max(500).optional(),
+    offset: Joi.number().integer().min(0).optional()
+  }).optional(),
+
+  /**
+   * Email subscription creation validation schema
+   */
+  createSubscription: Joi.object({
+    subscription_plan_id: Joi.alternatives(Joi.string(), Joi.number().integer()).required(),
+    email: Joi.string().email({ tlds: { allow: false } }).required()
+  }).required(),
+
+  /**
+   * Subscription list query parameters validation schema
+   */
+  listSubscriptions: Joi.object({
+    status: Joi.string().valid('WAITING_PAY', 'PAID', 'PARTIALLY_PAID', 'EXPIRED').optional(),
+    subscription_plan_id: Joi.alternatives(Joi.string(), Joi.number().integer()).optional(),
+    is_active: Joi.boolean().optional(),
+    limit: Joi.number().integer().min(1).max(500).optional(),
+    offset: Joi.number().integer().min(0).optional()
+  }).optional(),
+
+  /**
+   * Sub-partner account creation validation schema
+   */
+  createSubPartner: Joi.object({
+    name: Joi.string().required().max(30)
+  }).required(),
+
+  /**
+   * Sub-partner list query parameters validation schema
+   */
+  listSubPartners: Joi.object({
+    id: Joi.alternatives(Joi.string(), Joi.number().integer()).optional(),
+    limit: Joi.number().integer().min(1).max(500).optional(),
+    offset: Joi.number().integer().min(0).optional(),
+    order: Joi.string().valid('ASC', 'DESC').insensitive().optional()
+  }).optional(),
+
+  /**
+   * Custody deposit payment validation schema
+   */
+  createCustodyDeposit: Joi.object({
+    sub_partner_id: Joi.alternatives(Joi.string(), Joi.number().integer()).required(),
+    currency: cryptoCurrency.required(),
+    amount: decimalAmount.required(),
+    fixed_rate: Joi.boolean().optional(),
+    ipn_callback_url: Joi.string().uri().optional()
+  }).required(),
+
+  /**
+   * Transfer between master and sub-partner account validation schema
+   */
+  custodyAmount: Joi.object({
+    sub_partner_id: Joi.alternatives(Joi.string(), Joi.number().integer()).required(),
+    currency: cryptoCurrency.required(),
+    amount: decimalAmount.required()
+  }).required(),
+
+  /**
+   * Transfer between sub-partner accounts validation schema
+   */
+  custodyTransfer: Joi.object({
+    from_id: Joi.alternatives(Joi.string(), Joi.number().integer()).required(),
+    to_id: Joi.alternatives(Joi.string(), Joi.number().integer())
+      .required()
+      .invalid(Joi.ref('from_id'))
+      .messages({ 'any.invalid': '"to_id" must differ from "from_id"' }),
+    currency: cryptoCurrency.required(),
+    amount: decimalAmount.required()
+  }).required(),
+
+  /**
+   * Custody transfer list query parameters validation schema
+   */
+  listTransfers: Joi.object({
+    id: Joi.alternatives(Joi.string(), Joi.number().integer()).optional(),
+    status: Joi.string().valid('CREATED', 'WAITING', 'FINISHED', 'REJECTED').insensitive().optional(),
+    limit: Joi.number().integer().min(1).max(500).optional(),
+    offset: Joi.number().integer().min(0).optional(),
+    order: Joi.string().valid('ASC', 'DESC').insensitive().optional()
+  }).optional(),
+
+  /**
+   * Balance conversion validation schema
+   */
+  createConversion: Joi.object({
+    amount: decimalAmount.required(),
+    from_currency: cryptoCurrency.required(),
+    to_currency: cryptoCurrency
+      .required()
+      .invalid(Joi.ref('from_currency'))
+      .messages({ 'any.invalid': '"to_currency" must differ from "from_currency"' })
+  }).required(),
+
+  /**
+   * Conversion list query parameters validation schema
+   */
+  listConversions: Joi.object({
+    id: Joi.alternatives(Joi.string(), Joi.number().integer()).optional(),
+    status: Joi.string().valid('WAITING', 'PROCESSING', 'FINISHED', 'REJECTED').insensitive().optional(),
+    from_currency: Joi.string().optional(),
+    to_currency: Joi.string().optional(),
+    created_at_from: Joi.date().iso().optional(),
+    created_at_to: Joi.date().iso().optional(),
+    limit: Joi.number().integer().min(1).max(500).optional(),
+    offset: Joi.number().integer().min(0).optional(),
+    order: Joi.string().valid('ASC', 'DESC').insensitive().optional()
+  }).optional(),
+
   /**
    * Estimate price validation schema
    */
   estimatePrice: Joi.object({
-    amount: Joi.number().required().positive(),
+    amount: decimalAmount.required(),
     currency_from: Joi.string().required().uppercase().min(2).max(10),
     currency_to: Joi.string().required().uppercase().min(2).max(10),
     from_network: Joi.string().optional(),
@@ -121,14 +459,98 @@ const schemas = {
     pay_amount: Joi.number().required(),
     actually_paid: Joi.number().required(),
     pay_currency: Joi.string().required(),
-    order_id: Joi.string().allow('').optional(),
-    order_description: Joi.string().allow('').optional(),
-    purchase_id: Joi.string().allow('').optional(),
+    order_id: Joi.string().allow('', null).optional(),
+    order_description: Joi.string().allow('', null).optional(),
+    purchase_id: Joi.string().allow('', null).optional(),
     created_at: Joi.date().iso().required(),
     updated_at: Joi.date().iso().required(),
     outcome_amount: Joi.number().optional(),
     outcome_currency: Joi.string().optional()
-  }).required()
+  }).required(),
+
+  /**
+   * Subscription and recurring payment IPN validation schema
+   */
+  subscriptionIpnCallback: Joi.object({
+    id: Joi.string().optional(),
+    subscription_id: Joi.string().optional(),
+    subscription_plan_id: Joi.string().optional(),
+    status: Joi.string().optional(),
+    is_active: Joi.boolean().optional(),
+    payment_id: Joi.string().optional(),
+    payment_status: Joi.string().optional(),
+    created_at: Joi.date().iso().optional(),
+    updated_at: Joi.date().iso().optional()
+  })
+    .or('subscription_id', 'subscription_plan_id')
+    .required(),
+
+  /**
+   * Payment response schema used by the Payment model
+   */
+  paymentResponse: Joi.object({
+    payment_id: responseId.required(),
+    payment_status: Joi.string().required(),
+    pay_address: responseText,
+    price_amount: responseAmount,
+    price_currency: responseText,
+    pay_amount: responseAmount,
+    actually_paid: responseAmount,
+    pay_currency: responseText,
+    order_id: responseId.allow('', null),
+    order_description: responseText,
+    purchase_id: responseId.allow('', null),
+    invoice_id: responseId.allow(null),
+    outcome_amount: responseAmount,
+    outcome_currency: responseText,
+    burning_percent: responseAmount,
+    payin_hash: responseText,
+    payout_hash: responseText,
+    payment_extra_id: responseText,
+    created_at: responseDate,
+    updated_at: responseDate,
+    expiration_estimate_date: responseDate
+  })
+    .unknown()
+    .required(),
+
+  /**
+   * Invoice response schema used by the Invoice model
+   */
+  invoiceResponse: Joi.object({
+    id: responseId.required(),
+    token_id: responseId.allow(null),
+    order_id: responseId.allow('', null),
+    order_description: responseText,
+    price_amount: responseAmount,
+    price_currency: responseText,
+    pay_currency: responseText,
+    ipn_callback_url: responseText,
+    invoice_url: responseText,
+    success_url: responseText,
+    cancel_url: responseText,
+    is_fixed_rate: Joi.boolean().allow(null),
+    is_fee_paid_by_user: Joi.boolean().allow(null),
+    created_at: responseDate,
+    updated_at: responseDate
+  })
+    .unknown()
+    .required(),
+
+  /**
+   * Payout response schema used by the Payout model
+   */
+  payoutResponse,
+
+  /**
+   * Payout creation response schema used by the PayoutBatch model
+   */
+  payoutBatchResponse: Joi.object({
+    id: responseId.required(),
+    withdrawals: Joi.array().items(payoutResponse).required()
+  })
+    .unknown()
+    .required()
 };
 
 module.exports = schemas;
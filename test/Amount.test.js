@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Amount, utils } = require('..');
+
+test('adds, subtracts and multiplies without float error', () => {
+  assert.equal(Amount.from('0.1').add('0.2').toString(), '0.3');
+  assert.equal(Amount.from('1').sub('0.99999999').toString(), '0.00000001');
+  assert.equal(
+    Amount.from('123456789.123456789123456789').add('0.000000000000000001').toString(),
+    '123456789.12345678912345679'
+  );
+  assert.equal(Amount.from('19.99').mul('3').toString(), '59.97');
+  assert.equal(Amount.from('0.15').mul('0.5').toFixed(), '0.08');
+  assert.equal(Amount.from('-1.005').rescale(2).toFixed(), '-1.01');
+  assert.ok(Amount.from('0.30').eq('0.3'));
+});
+
+test('parses exponent notation and rejects values outside the digit and exponent bounds', () => {
+  assert.equal(Amount.from('1.5e-7').toString(), '0.00000015');
+  assert.equal(Amount.from(1e21).toString(), '1000000000000000000000');
+  assert.equal(Amount.from('2E+3').toFixed(2), '2000.00');
+
+  assert.throws(() => Amount.from('1e-20000'), { name: 'ValidationError' });
+  assert.throws(() => Amount.from('9e999999999'), { name: 'ValidationError' });
+  assert.throws(() => Amount.from('1'.repeat(201)), { name: 'ValidationError' });
+  assert.throws(() => Amount.from(NaN), { name: 'ValidationError', message: 'Invalid decimal amount: NaN' });
+  assert.throws(() => Amount.from('1.2.3'), { name: 'ValidationError' });
+  assert.throws(() => Amount.from('.'), { name: 'ValidationError' });
+  assert.throws(() => Amount.from('1', 'BTC').add(Amount.from('1', 'ETH')), {
+    name: 'ValidationError',
+    message: 'Cannot combine BTC and ETH amounts'
+  });
+});
+
+test('isFullyPaid compares exactly and is false without both amounts', () => {
+  assert.equal(utils.isFullyPaid({ actually_paid: '0.30000000', pay_amount: 0.3 }), true);
+  assert.equal(utils.isFullyPaid({ actually_paid: '0.29999999', pay_amount: '0.3' }), false);
+  assert.equal(utils.isFullyPaid({ actually_paid: 1, pay_amount: null }), false);
+  assert.equal(utils.isFullyPaid({ actually_paid: null, pay_amount: 1 }), false);
+});
+
+test('JSON amount fields keep every digit in both directions', () => {
+  const parsed = utils.parseJSONWithAmounts('{"pay_amount": 0.123456789012345678, "payment_id": 5}');
+
+  assert.ok(parsed.pay_amount instanceof Amount);
+  assert.equal(parsed.pay_amount.toString(), '0.123456789012345678');
+  assert.equal(parsed.payment_id, 5);
+  assert.equal(
+    utils.stringifyJSONWithAmounts({ amount: Amount.from('0.123456789012345678') }),
+    '{"amount":0.123456789012345678}'
+  );
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NowPaymentsAPI, BatchPayoutRunner } = require('..');
+const { startStub } = require('./helpers');
+
+const XRP_ADDRESS = 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh';
+
+const payouts = [1, 2, 3].map(amount => ({ address: XRP_ADDRESS, amount: String(amount), currency: 'xrp' }));
+
+/**
+ * Starts a payout API stub answering batch requests with the given statuses in order
+ * @param {number[]} statuses - Status per batch request; later requests succeed
+ * @returns {Promise<Object>} Stub server
+ */
+const startPayoutStub = statuses => {
+  let batches = 0;
+  return startStub((req, body) => {
+    if (req.url === '/auth') {
+      return { body: { token: 'token' } };
+    }
+    const status = statuses[batches];
+    batches += 1;
+    if (status) {
+      return { status, body: { message: `Failed with ${status}` } };
+    }
+    const { payouts: sent } = JSON.parse(body);
+    return {
+      body: {
+        id: `batch-${batches}`,
+        withdrawals: sent.map((payout, index) => ({
+          ...payout,
+          id: `${batches}-${index}`,
+          status: 'WAITING'
+        }))
+      }
+    };
+  });
+};
+
+const createRunner = (url, store) =>
+  new BatchPayoutRunner(
+    new NowPaymentsAPI({
+      apiKey: 'test',
+      baseURL: url,
+      credentials: { email: 'payouts@example.com', password: 'secret' },
+      rateLimit: false
+    }),
+    { store }
+  );
+
+const batchRequests = stub => stub.requests.filter(request => request.url === '/batch-payout');
+
+test('a 5xx response marks the chunk uncertain and is never sent again', async t => {
+  const stub = await startPayoutStub([undefined, 502]);
+  t.after(stub.close);
+  const runner = createRunner(stub.url);
+
+  const report = await runner.run({ runId: 'run-1', payouts, chunkSize: 1 });
+
+  assert.equal(batchRequests(stub).length, 2);
+  assert.deepEqual(
+    report.items.map(item => item.status),
+    ['created', 'uncertain', 'skipped']
+  );
+  assert.equal(report.items[0].batchId, 'batch-1');
+  assert.equal(report.items[0].payoutId, '1-0');
+
+  const resumed = await runner.run({ runId: 'run-1', payouts, chunkSize: 1 });
+
+  assert.deepEqual(
+    batchRequests(stub).map(request => JSON.parse(request.body).payouts[0].amount),
+    [1, 2, 3]
+  );
+  assert.deepEqual(
+    resumed.items.map(item => item.status),
+    ['created', 'uncertain', 'created']
+  );
+  assert.equal(resumed.completed, false);
+});
+
+test('a rate-limited chunk is known to be rejected and is sent again on resume', async t => {
+  const stub = await startPayoutStub([429]);
+  t.after(stub.close);
+  const runner = createRunner(stub.url);
+
+  const report = await runner.run({ runId: 'run-2', payouts, chunkSize: 2 });
+
+  assert.equal(batchRequests(stub).length, 1);
+  assert.deepEqual(
+    report.items.map(item => item.status),
+    ['failed', 'failed', 'skipped']
+  );
+
+  const resumed = await runner.run({ runId: 'run-2', payouts, chunkSize: 2 });
+
+  assert.equal(batchRequests(stub).length, 3);
+  assert.equal(resumed.completed, true);
+  assert.deepEqual(
+    resumed.items.map(item => item.payoutId),
+    ['2-0', '2-1', '3-0']
+  );
+});
+
+test('resuming a run with different payouts is rejected before anything is sent', async t => {
+  const stub = await startPayoutStub([]);
+  t.after(stub.close);
+  const runner = createRunner(stub.url);
+  await runner.run({ runId: 'run-3', payouts, chunkSize: 2 });
+
+  await assert.rejects(runner.run({ runId: 'run-3', payouts: payouts.slice(1), chunkSize: 2 }), {
+    name: 'ValidationError'
+  });
+  assert.equal(batchRequests(stub).length, 2);
+});
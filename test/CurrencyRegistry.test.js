@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NowPaymentsAPI } = require('..');
+const { startStub } = require('./helpers');
+
+// Entries shaped like the /full-currencies response
+const currencies = [
+  {
+    id: 1,
+    code: 'usdttrc20',
+    name: 'Tether USD (Tron)',
+    enable: true,
+    wallet_regex: '^T[1-9A-HJ-NP-Za-km-z]{33}$',
+    priority: 2,
+    extra_id_exists: false,
+    extra_id_regex: null,
+    logo_url: '/images/coins/usdttrc20.svg',
+    track: true,
+    cg_id: 'tether',
+    is_maxlimit: false,
+    network: 'trx',
+    smart_contract: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
+    network_precision: '6'
+  },
+  {
+    id: 2,
+    code: 'xlm',
+    name: 'Stellar',
+    enable: false,
+    wallet_regex: '^G[A-D]{1}[A-Z2-7]{54}$',
+    priority: 40,
+    extra_id_exists: true,
+    extra_id_regex: '^[0-9A-Za-z]{1,28}$',
+    logo_url: '/images/coins/xlm.svg',
+    track: true,
+    cg_id: 'stellar',
+    is_maxlimit: false,
+    network: 'xlm',
+    smart_contract: null,
+    network_precision: '7'
+  }
+];
+
+test('the registry loads precision, network and extra id data from /full-currencies', async t => {
+  const stub = await startStub(() => ({ body: { currencies } }));
+  t.after(stub.close);
+  const client = new NowPaymentsAPI({ apiKey: 'test', baseURL: stub.url, rateLimit: false });
+
+  await client.currencies.load();
+
+  assert.deepEqual(
+    stub.requests.map(request => request.url),
+    ['/full-currencies']
+  );
+  assert.equal(client.currencies.getPrecision('USDTTRC20'), 6);
+  assert.equal(client.currencies.getNetwork('USDTTRC20'), 'trx');
+  assert.equal(client.currencies.requiresExtraId('XLM'), true);
+  assert.equal(client.currencies.requiresExtraId('USDTTRC20'), false);
+  assert.equal(client.currencies.isAvailable('XLM'), false);
+});
+
+test('client formatting uses the loaded registry precision', async t => {
+  const stub = await startStub(() => ({ body: { currencies } }));
+  t.after(stub.close);
+  const client = new NowPaymentsAPI({ apiKey: 'test', baseURL: stub.url, rateLimit: false });
+
+  assert.equal(client.formatCurrencyAmount('12.5', 'USDTTRC20'), '12.50000000');
+  await client.currencies.load();
+  assert.equal(client.formatCurrencyAmount('12.5', 'USDTTRC20'), '12.500000');
+  assert.equal(client.formatCurrencyAmount('1', 'XLM'), '1.0000000');
+});
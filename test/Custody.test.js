@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NowPaymentsAPI } = require('..');
+const { startStub } = require('./helpers');
+
+const createClient = url =>
+  new NowPaymentsAPI({
+    apiKey: 'test',
+    baseURL: url,
+    credentials: { email: 'payouts@example.com', password: 'secret' },
+    rateLimit: false
+  });
+
+test('transfers send exact amounts to the sub-partner endpoints with a token', async t => {
+  const stub = await startStub(req =>
+    req.url === '/auth'
+      ? { body: { token: 'token' } }
+      : { body: { result: { id: '327209161', status: 'CREATED' } } }
+  );
+  t.after(stub.close);
+  const { custody } = createClient(stub.url);
+
+  await custody.transfer({
+    from_id: 1111,
+    to_id: '2222',
+    currency: 'usdttrc20',
+    amount: '0.123456789012345678'
+  });
+  await custody.depositFromMaster({ sub_partner_id: '2222', currency: 'usdttrc20', amount: '5' });
+  await custody.withdrawToMaster({ sub_partner_id: '2222', currency: 'usdttrc20', amount: '1.5' });
+
+  const [, transfer, deposit, writeOff] = stub.requests;
+  assert.equal(transfer.url, '/sub-partner/transfer');
+  assert.match(transfer.body, /"amount":0\.123456789012345678\b/);
+  assert.equal(transfer.headers.authorization, 'Bearer token');
+  assert.equal(deposit.url, '/sub-partner/deposit');
+  assert.equal(writeOff.url, '/sub-partner/write-off');
+});
+
+test('a transfer to the same account is rejected before any request', async t => {
+  const stub = await startStub(() => ({ body: {} }));
+  t.after(stub.close);
+
+  await assert.rejects(
+    createClient(stub.url).custody.transfer({ from_id: '1', to_id: '1', currency: 'btc', amount: 1 }),
+    { name: 'ValidationError', message: '"to_id" must differ from "from_id"' }
+  );
+  assert.equal(stub.requests.length, 0);
+});
+
+test('iterateTransfers pages by offset until the reported count', async t => {
+  const transfers = Array.from({ length: 5 }, (_, index) => ({ id: String(index + 1) }));
+  const stub = await startStub(req => {
+    if (req.url === '/auth') {
+      return { body: { token: 'token' } };
+    }
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const offset = Number(query.get('offset'));
+    return { body: { result: transfers.slice(offset, offset + Number(query.get('limit'))), count: 5 } };
+  });
+  t.after(stub.close);
+
+  const ids = [];
+  for await (const transfer of createClient(stub.url).custody.iterateTransfers({ limit: 2 })) {
+    ids.push(transfer.id);
+  }
+
+  assert.deepEqual(ids, ['1', '2', '3', '4', '5']);
+  assert.deepEqual(
+    stub.requests.slice(1).map(request => request.url),
+    [0, 2, 4].map(offset => `/sub-partner/transfers?limit=2&offset=${offset}`)
+  );
+});
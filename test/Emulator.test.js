@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NOWPaymentsEmulator, NowPaymentsAPI } = require('..');
+const { startStub } = require('./helpers');
+
+const credentials = { email: 'payouts@example.com', password: 'secret' };
+const payout = { address: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', currency: 'xrp' };
+
+/**
+ * Starts an emulator and a client connected to it
+ * @param {Object} t - Test context stopping the emulator afterwards
+ * @param {Object} [options] - Emulator options
+ * @returns {Promise<{emulator: NOWPaymentsEmulator, client: NowPaymentsAPI}>} Emulator and client
+ */
+const start = async (t, options = {}) => {
+  const emulator = new NOWPaymentsEmulator({
+    apiKey: 'test',
+    ipnSecret: 'ipn-secret',
+    credentials,
+    ...options
+  });
+  await emulator.start();
+  t.after(() => emulator.stop());
+  const client = new NowPaymentsAPI({
+    apiKey: 'test',
+    ipnSecret: 'ipn-secret',
+    baseURL: emulator.baseURL,
+    credentials,
+    rateLimit: false
+  });
+  return { emulator, client };
+};
+
+test('advances a payment through the lifecycle and posts signed IPN callbacks', async t => {
+  const ipn = await startStub(() => ({ body: {} }));
+  t.after(ipn.close);
+  const { emulator, client } = await start(t);
+
+  const payment = await client.createPayment({
+    price_amount: 60,
+    price_currency: 'usd',
+    pay_currency: 'eth',
+    order_id: 'order-1',
+    ipn_callback_url: `${ipn.url}/ipn`
+  });
+  assert.equal(payment.payment_status, 'waiting');
+  assert.equal(payment.pay_amount.toString(), '0.02');
+
+  const statuses = [];
+  for (let step = 0; step < 5; step += 1) {
+    statuses.push((await emulator.advancePayment(payment.payment_id)).payment_status);
+  }
+
+  assert.deepEqual(statuses, ['confirming', 'confirmed', 'sending', 'finished', 'finished']);
+  const status = await client.getPaymentStatus(payment.payment_id);
+  assert.equal(status.payment_status, 'finished');
+  assert.equal(status.actually_paid.toString(), '0.02');
+  assert.equal(ipn.requests.length, 4);
+  ipn.requests.forEach(request => {
+    assert.equal(client.verifyIPN(JSON.parse(request.body), request.headers['x-nowpayments-sig']), true);
+  });
+  assert.equal(JSON.parse(ipn.requests[3].body).payment_status, 'finished');
+});
+
+test('answers batch payouts with the batch id and its withdrawals', async t => {
+  const { emulator, client } = await start(t);
+
+  const batch = await client.createBatchPayout({
+    payouts: [
+      { ...payout, amount: '10', extra_id: '1' },
+      { ...payout, amount: '20', extra_id: '2' }
+    ]
+  });
+
+  assert.equal(batch.withdrawals.length, 2);
+  batch.withdrawals.forEach(withdrawal => {
+    assert.equal(withdrawal.batch_withdrawal_id, batch.id);
+    assert.equal(emulator.payouts.get(withdrawal.id).status, 'pending');
+  });
+  assert.deepEqual(
+    batch.withdrawals.map(withdrawal => withdrawal.amount.toString()),
+    ['10', '20']
+  );
+});
+
+test('rejects sign-ins with other credentials', async t => {
+  const { emulator, client } = await start(t, { credentials: { ...credentials, password: 'other' } });
+
+  await assert.rejects(client.createPayout({ ...payout, amount: 1 }, { retries: 0 }), {
+    name: 'AuthenticationError',
+    statusCode: 401
+  });
+  assert.equal(emulator.payouts.size, 0);
+});
+
+test('automatic advancing reports failures only to error listeners', async t => {
+  const { emulator, client } = await start(t, { autoAdvance: 5, lifecycle: ['waiting', 'unknown'] });
+  const { payment_id: paymentId } = await client.createPayment({
+    price_amount: 1,
+    price_currency: 'usd',
+    pay_currency: 'btc'
+  });
+
+  // Without a listener the failures must not crash the process
+  await new Promise(resolve => setTimeout(resolve, 30));
+  const error = await new Promise(resolve => emulator.once('error', resolve));
+
+  assert.equal(error.message, 'Unknown payment status: unknown');
+  assert.equal(emulator.getPayment(paymentId).payment_status, 'waiting');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NowPaymentsAPI, utils } = require('..');
+
+const IPN_SECRET = 'ipn-secret';
+
+// Shaped like a real NOWPayments callback: numeric ids and null order fields
+const callback = {
+  payment_id: 5077125051,
+  parent_payment_id: null,
+  invoice_id: null,
+  payment_status: 'partially_paid',
+  pay_address: '0xd1cDE08A07cD25adEbEd35c3867a59228C09B606',
+  payin_extra_id: null,
+  price_amount: 170,
+  price_currency: 'usd',
+  pay_amount: 155.38559757,
+  actually_paid: 10,
+  actually_paid_at_fiat: 0,
+  pay_currency: 'mana',
+  order_id: null,
+  order_description: null,
+  purchase_id: 6084744717,
+  outcome_amount: 1131.7812095,
+  outcome_currency: 'trx',
+  payment_extra_ids: null,
+  fee: { currency: 'btc', depositFee: 0.09853637216235617, withdrawalFee: 0, serviceFee: 0 },
+  created_at: '2021-04-12T14:22:54.983Z',
+  updated_at: '2021-04-12T14:23:06.244Z'
+};
+
+const signedHeaders = body => ({ 'x-nowpayments-sig': utils.generateSignature(body, IPN_SECRET) });
+
+const createHandler = options =>
+  new NowPaymentsAPI({ apiKey: 'test', ipnSecret: IPN_SECRET, rateLimit: false }).createIPNHandler(options);
+
+test('a real-shaped partially_paid callback reaches onPaymentStatus', async () => {
+  const received = [];
+  const handler = createHandler({ onPaymentStatus: { partially_paid: payment => received.push(payment) } });
+
+  const result = await handler.handle(JSON.stringify(callback), signedHeaders(callback));
+
+  assert.equal(result.statusCode, 200);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].payment_id, '5077125051');
+  assert.equal(received[0].purchase_id, '6084744717');
+  assert.equal(received[0].order_id, null);
+  assert.equal(received[0].order_description, null);
+});
+
+test('a callback with a bad signature is rejected with 401', async () => {
+  const handler = createHandler({ onPaymentStatus: () => assert.fail('dispatched') });
+
+  const result = await handler.handle(callback, { 'x-nowpayments-sig': 'bad' });
+
+  assert.equal(result.statusCode, 401);
+});
+
+test('fastify replies 500 when onError throws', async () => {
+  const handler = createHandler({
+    onError: () => {
+      throw new Error('onError failed');
+    }
+  });
+  const reply = { code(status) { this.statusCode = status; } };
+
+  const body = await handler.fastify()({ body: callback, headers: {} }, reply);
+
+  assert.equal(reply.statusCode, 500);
+  assert.deepEqual(body, { status: 'error', message: 'IPN handler failed' });
+});
+
+test('koa answers 500 when onError throws', async () => {
+  const handler = createHandler({
+    onError: () => {
+      throw new Error('onError failed');
+    }
+  });
+  const ctx = { request: { body: callback }, headers: {}, state: {} };
+
+  await handler.koa()(ctx, async () => assert.fail('next called'));
+
+  assert.equal(ctx.status, 500);
+  assert.deepEqual(ctx.body, { status: 'error', message: 'IPN handler failed' });
+});
+
+test('subscription callbacks reach onSubscription with string ids', async () => {
+  const received = [];
+  const handler = createHandler({
+    onSubscription: subscription => received.push(subscription),
+    onPaymentStatus: () => assert.fail('dispatched as a payment')
+  });
+  const renewal = {
+    ...callback,
+    payment_status: 'finished',
+    subscription_id: 1515573197,
+    subscription_plan_id: 76215585
+  };
+  const expiry = { id: 1515573197, subscription_plan_id: 76215585, status: 'EXPIRED', is_active: false };
+
+  const results = [
+    await handler.handle(renewal, signedHeaders(renewal)),
+    await handler.handle(expiry, signedHeaders(expiry))
+  ];
+
+  assert.deepEqual(
+    results.map(result => result.statusCode),
+    [200, 200]
+  );
+  assert.equal(received[0].subscription_id, '1515573197');
+  assert.equal(received[0].payment_id, '5077125051');
+  assert.equal(received[0].is_recurring_payment, true);
+  assert.equal(received[1].subscription_plan_id, '76215585');
+  assert.equal(received[1].is_recurring_payment, false);
+});
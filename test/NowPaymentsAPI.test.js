@@ -0,0 +1,349 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NowPaymentsAPI, NOWPaymentsEmulator } = require('..');
+const { startStub } = require('./helpers');
+
+const createClient = url =>
+  new NowPaymentsAPI({
+    apiKey: 'test',
+    baseURL: url,
+    credentials: { email: 'payouts@example.com', password: 'secret' },
+    rateLimit: false
+  });
+
+test('an authenticated request rejected with 401 signs in again and is sent once more', async t => {
+  let payoutRequests = 0;
+  const stub = await startStub(req => {
+    if (req.url === '/auth') {
+      return { body: { token: 'token' } };
+    }
+    payoutRequests += 1;
+    return payoutRequests === 1
+      ? { status: 401, body: { message: 'Token expired' } }
+      : { body: { id: '5000000000', withdrawals: [] } };
+  });
+  t.after(stub.close);
+
+  const batch = await createClient(stub.url).verifyPayout('5000000000', '123456');
+
+  assert.deepEqual(batch, { id: '5000000000', withdrawals: [] });
+  assert.deepEqual(
+    stub.requests.map(request => request.url),
+    ['/auth', '/payout/5000000000/verify', '/auth', '/payout/5000000000/verify']
+  );
+});
+
+/**
+ * Builds an unsigned JWT expiring at the given time
+ * @param {string} id - Token id
+ * @param {number} expiresAt - Unix time in milliseconds
+ * @returns {string} Token
+ */
+const createToken = (id, expiresAt) => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return [encode({ alg: 'none' }), encode({ id, exp: Math.floor(expiresAt / 1000) }), 'signature'].join('.');
+};
+
+test('concurrent payout calls share one sign-in and send the token as a bearer header', async t => {
+  const token = createToken('1', Date.now() + 300000);
+  const stub = await startStub(req =>
+    req.url === '/auth' ? { body: { token } } : { body: { id: '5000000000', withdrawals: [] } }
+  );
+  t.after(stub.close);
+  const client = createClient(stub.url);
+
+  await Promise.all([
+    client.verifyPayout('5000000000', '123456'),
+    client.verifyPayout('5000000001', '123456'),
+    client.cancelPayout('5000000002')
+  ]);
+
+  const payoutRequests = stub.requests.filter(request => request.url !== '/auth');
+  assert.equal(stub.requests.length - payoutRequests.length, 1);
+  assert.equal(payoutRequests.length, 3);
+  payoutRequests.forEach(request => assert.equal(request.headers.authorization, `Bearer ${token}`));
+  assert.deepEqual(JSON.parse(stub.requests[0].body), { email: 'payouts@example.com', password: 'secret' });
+});
+
+test('a token about to expire is replaced before the next payout call', async t => {
+  const tokens = [createToken('1', Date.now() + 10000), createToken('2', Date.now() + 300000)];
+  const stub = await startStub(req =>
+    req.url === '/auth' ? { body: { token: tokens.shift() } } : { body: { id: '1', withdrawals: [] } }
+  );
+  t.after(stub.close);
+  const client = createClient(stub.url);
+
+  await client.verifyPayout('1', '123456');
+  await client.verifyPayout('1', '123456');
+  await client.verifyPayout('1', '123456');
+
+  assert.deepEqual(
+    stub.requests.map(request => request.url),
+    ['/auth', '/payout/1/verify', '/auth', '/payout/1/verify', '/payout/1/verify']
+  );
+});
+
+test('payout calls without credentials fail before any request', async t => {
+  const stub = await startStub(() => ({ body: {} }));
+  t.after(stub.close);
+  const client = new NowPaymentsAPI({ apiKey: 'test', baseURL: stub.url, rateLimit: false });
+
+  await assert.rejects(client.verifyPayout('1', '123456'), {
+    name: 'ValidationError',
+    message: 'Payout credentials (email and password) are required for this endpoint'
+  });
+  assert.equal(stub.requests.length, 0);
+});
+
+test('error responses surface as APIError subclasses with the status code', async t => {
+  const stub = await startStub(() => ({ status: 404, body: { message: 'Payment not found' } }));
+  t.after(stub.close);
+
+  await assert.rejects(createClient(stub.url).getPaymentStatus('1', { retries: 0 }), {
+    name: 'NotFoundError',
+    statusCode: 404,
+    message: 'Payment not found'
+  });
+});
+
+test('verifies, lists, cancels and waits for payouts', async t => {
+  const emulator = new NOWPaymentsEmulator({
+    apiKey: 'test',
+    credentials: { email: 'payouts@example.com', password: 'secret' },
+    verificationCode: '123456'
+  });
+  await emulator.start();
+  t.after(() => emulator.stop());
+  const client = createClient(emulator.baseURL);
+  const payout = { address: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', currency: 'xrp', extra_id: '1' };
+
+  const batch = await client.createBatchPayout({ payouts: [{ ...payout, amount: 10 }] });
+  const single = await client.createPayout({ ...payout, amount: 20 });
+  const [{ id: payoutId }] = batch.withdrawals;
+
+  await assert.rejects(client.verifyPayout(batch.id, '000000'), {
+    statusCode: 400,
+    message: 'Invalid verification code'
+  });
+  await client.verifyPayout(batch.id, '123456');
+  const listed = await client.listPayouts({ batch_id: batch.id });
+  assert.deepEqual(
+    listed.data.map(item => [item.id, item.status]),
+    [[payoutId, 'processing']]
+  );
+  await assert.rejects(client.cancelPayout(payoutId), {
+    statusCode: 400,
+    message: 'Payout in status processing cannot be cancelled'
+  });
+
+  setTimeout(() => emulator.setPayoutStatus(payoutId, 'finished'), 20);
+  const finished = await client.waitForPayout(payoutId, { interval: 5, timeout: 2000 });
+  assert.equal(finished.status, 'finished');
+
+  const [{ id: singleId }] = single.withdrawals;
+  await client.cancelPayout(singleId);
+  await assert.rejects(client.waitForPayout(singleId, { interval: 5 }), {
+    code: 'PAYOUT_FAILED',
+    message: `Payout ${singleId} failed: Cancelled`
+  });
+});
+
+const payment = { price_amount: 10, price_currency: 'usd', pay_currency: 'btc' };
+
+test('a failed payment POST with an order_id returns the payment the server already created', async t => {
+  const created = { payment_id: '5000000001', payment_status: 'waiting', order_id: 'order-7' };
+  const stub = await startStub(req => {
+    if (req.method === 'POST') {
+      return { status: 502, body: { message: 'Bad gateway' } };
+    }
+    return { body: { data: [{ payment_id: '5000000000', order_id: 'order-6' }, created], pagesCount: 1 } };
+  });
+  t.after(stub.close);
+
+  const result = await createClient(stub.url).createPayment({ ...payment, order_id: 'order-7' });
+
+  assert.equal(result.payment_id, '5000000001');
+  assert.equal(stub.requests.filter(request => request.method === 'POST').length, 1);
+});
+
+test('a failed payment POST without an order_id or idempotency key is not sent again', async t => {
+  const stub = await startStub(() => ({ status: 502, body: { message: 'Bad gateway' } }));
+  t.after(stub.close);
+
+  const error = await createClient(stub.url)
+    .createPayment(payment)
+    .catch(caught => caught);
+
+  assert.equal(error.statusCode, 502);
+  assert.equal(error.retry.attempts, 1);
+  assert.equal(error.retry.reason, 'POST /payment is not retried without an idempotency key or order_id');
+  assert.equal(stub.requests.length, 1);
+});
+
+test('a POST carrying an idempotency key is retried with the same key', async t => {
+  let posts = 0;
+  const stub = await startStub(() => {
+    posts += 1;
+    return posts === 1
+      ? { status: 503, body: { message: 'Unavailable' } }
+      : { body: { payment_id: '5000000002', payment_status: 'waiting' } };
+  });
+  t.after(stub.close);
+  const client = new NowPaymentsAPI({
+    apiKey: 'test',
+    baseURL: stub.url,
+    rateLimit: false,
+    idempotencyKeys: true
+  });
+
+  const result = await client.createPayment(payment);
+
+  assert.equal(result.payment_id, '5000000002');
+  const keys = stub.requests.map(request => request.headers['idempotency-key']);
+  assert.equal(keys.length, 2);
+  assert.ok(keys[0]);
+  assert.equal(keys[1], keys[0]);
+});
+
+test('subscription plans and subscriptions use the documented endpoints', async t => {
+  let patches = 0;
+  const stub = await startStub(req => {
+    if (req.url === '/auth') {
+      return { body: { token: 'token' } };
+    }
+    if (req.method === 'PATCH' && (patches += 1) === 1) {
+      return { status: 503, body: { message: 'Unavailable' } };
+    }
+    return { body: { result: { id: '76215585' } } };
+  });
+  t.after(stub.close);
+  const client = createClient(stub.url);
+
+  const plan = { title: 'Monthly', interval_day: 30, amount: '9.99', currency: 'usd' };
+
+  await client.createSubscriptionPlan(plan);
+  await client.updateSubscriptionPlan('76215585', { amount: '12.5' }, { retries: 1 });
+  await client.createSubscription({ subscription_plan_id: 76215585, email: 'customer@example.com' });
+  await client.deleteSubscription('1515573197');
+  await assert.rejects(client.createSubscription({ subscription_plan_id: 1, email: 'not-an-email' }), {
+    name: 'ValidationError'
+  });
+
+  assert.deepEqual(
+    stub.requests.map(request => `${request.method} ${request.url}`),
+    [
+      'POST /auth',
+      'POST /subscriptions/plans',
+      'PATCH /subscriptions/plans/76215585',
+      'PATCH /subscriptions/plans/76215585',
+      'POST /subscriptions',
+      'DELETE /subscriptions/1515573197'
+    ]
+  );
+  assert.deepEqual(JSON.parse(stub.requests[1].body), { ...plan, amount: 9.99 });
+});
+
+test('getBalance with decimalAmounts returns exact amounts keyed by upper-case currency', async t => {
+  const stub = await startStub(() => ({
+    body: '{"btc":{"amount":0.123456789012345678,"pendingAmount":0},"usdttrc20":{"amount":12.5}}'
+  }));
+  t.after(stub.close);
+
+  const client = new NowPaymentsAPI({
+    apiKey: 'test',
+    baseURL: stub.url,
+    rateLimit: false,
+    decimalAmounts: true
+  });
+
+  const balances = await client.getBalance();
+
+  assert.deepEqual(Object.keys(balances), ['BTC', 'USDTTRC20']);
+  assert.equal(balances.BTC.amount.toString(), '0.123456789012345678');
+  assert.equal(balances.BTC.pendingAmount.isZero(), true);
+  assert.equal(balances.USDTTRC20.amount.toString(), '12.5');
+  assert.equal(balances.USDTTRC20.pendingAmount.toString(), '0');
+});
+
+test('waitForConversion resolves when finished and rejects when rejected', async t => {
+  const statuses = { 1: ['WAITING', 'PROCESSING', 'FINISHED'], 2: ['WAITING', 'REJECTED'] };
+  const stub = await startStub(req => {
+    if (req.url === '/auth') {
+      return { body: { token: 'token' } };
+    }
+    const id = req.url.split('/').pop();
+    return { body: { result: { id, status: statuses[id].shift() || 'FINISHED' } } };
+  });
+  t.after(stub.close);
+  const client = createClient(stub.url);
+
+  const conversion = await client.waitForConversion('1', { interval: 5 });
+  assert.equal(conversion.status, 'FINISHED');
+  await assert.rejects(client.waitForConversion('2', { interval: 5 }), {
+    code: 'CONVERSION_FAILED',
+    message: 'Conversion 2 was rejected'
+  });
+  await assert.rejects(
+    client.createConversion({ amount: 1, from_currency: 'usdttrc20', to_currency: 'usdttrc20' }),
+    { name: 'ValidationError', message: '"to_currency" must differ from "from_currency"' }
+  );
+  assert.equal(stub.requests.filter(request => request.url === '/conversion/1').length, 3);
+});
+
+test('invoices are fetched, listed and paid in a chosen currency', async t => {
+  const emulator = new NOWPaymentsEmulator({ apiKey: 'test' });
+  await emulator.start();
+  t.after(() => emulator.stop());
+  const client = createClient(emulator.baseURL);
+
+  const invoice = await client.createInvoice({
+    price_amount: 30,
+    price_currency: 'usd',
+    order_id: 'order-9'
+  });
+  await client.createInvoice({ price_amount: 5, price_currency: 'usd' });
+  const fetched = await client.getInvoice(invoice.id);
+  const payment = await fetched.createPayment({ pay_currency: 'eth' });
+  await client.createPayment({ price_amount: 1, price_currency: 'usd', pay_currency: 'btc' });
+
+  assert.equal(fetched.order_id, 'order-9');
+  assert.equal(payment.invoice_id, invoice.id);
+  assert.equal(payment.order_id, 'order-9');
+  assert.equal(payment.pay_amount.toString(), '0.01');
+  const { data: invoices } = await client.listInvoices({ limit: 10 });
+  assert.equal(invoices.length, 2);
+  const { data: payments } = await fetched.payments();
+  assert.deepEqual(
+    payments.map(item => item.payment_id),
+    [payment.payment_id]
+  );
+  await assert.rejects(client.getInvoice('1', { retries: 0 }), { name: 'NotFoundError' });
+});
+
+test('per-call headers, timeout and retry count override the client defaults', async t => {
+  const stub = await startStub(req => {
+    if (req.url === '/status') {
+      return { body: { message: 'OK' } };
+    }
+    return req.url === '/payment/slow'
+      ? { delay: 500, body: {} }
+      : { status: 503, body: { message: 'Unavailable' } };
+  });
+  t.after(stub.close);
+  const client = createClient(stub.url);
+
+  await client.getStatus({ headers: { 'X-Request-Id': 'req-1' } });
+  assert.equal(stub.requests[0].headers['x-request-id'], 'req-1');
+  assert.equal(stub.requests[0].headers['x-api-key'], 'test');
+
+  const startedAt = Date.now();
+  await assert.rejects(client.getPaymentStatus('slow', { timeout: 50, retries: 0 }), {
+    name: 'TimeoutError'
+  });
+  assert.ok(Date.now() - startedAt < 400);
+
+  const error = await client.getPaymentStatus('down', { retries: 1 }).catch(caught => caught);
+  assert.equal(error.statusCode, 503);
+  assert.equal(error.retry.attempts, 2);
+  assert.equal(stub.requests.filter(request => request.url === '/payment/down').length, 2);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { NowPaymentsAPI, PaymentEvents, utils } = require('..');
+
+const IPN_SECRET = 'ipn-secret';
+
+const payment = (status, updatedAt) => ({
+  payment_id: 5077125051,
+  payment_status: status,
+  pay_address: '0xd1cDE08A07cD25adEbEd35c3867a59228C09B606',
+  price_amount: 170,
+  price_currency: 'usd',
+  pay_amount: 155.38559757,
+  actually_paid: 0,
+  pay_currency: 'mana',
+  order_id: 'order-1',
+  created_at: '2026-01-01T00:00:00.000Z',
+  updated_at: updatedAt
+});
+
+test('emits each transition once whichever source reports it first', async () => {
+  const client = new NowPaymentsAPI({ apiKey: 'test', ipnSecret: IPN_SECRET, rateLimit: false });
+  const polled = [
+    payment('confirming', '2026-01-01T00:01:00.000Z'),
+    payment('finished', '2026-01-01T00:03:00.000Z')
+  ];
+  client.getPaymentStatus = async () => polled.shift();
+  const events = new PaymentEvents(client);
+  const webSocket = new EventEmitter();
+  events.attachWebSocket(webSocket);
+  const changes = [];
+  events.on('payment.status_changed', event => changes.push([event.previous, event.current, event.source]));
+
+  const callback = payment('confirming', '2026-01-01T00:01:00.000Z');
+  const result = await events.handleIPN(callback, {
+    'x-nowpayments-sig': utils.generateSignature(callback, IPN_SECRET)
+  });
+  webSocket.emit('payment_update', { data: payment('confirming', '2026-01-01T00:01:00.000Z') });
+  await events.poll('5077125051');
+  webSocket.emit('payment_update', { data: payment('waiting', '2026-01-01T00:00:30.000Z') });
+  await events.poll('5077125051');
+
+  assert.equal(result.statusCode, 200);
+  assert.deepEqual(changes, [
+    [null, 'confirming', 'ipn'],
+    ['confirming', 'finished', 'poll']
+  ]);
+  assert.equal(events.getStatus(5077125051), 'finished');
+
+  events.close();
+  assert.equal(webSocket.listenerCount('payment_update'), 0);
+});
+
+test('forgets the least recently updated payments beyond maxPayments', () => {
+  const events = new PaymentEvents({}, { maxPayments: 2 });
+
+  ['1', '2', '1', '3'].forEach((paymentId, index) =>
+    events.ingest({ payment_id: paymentId, payment_status: index < 2 ? 'waiting' : 'confirming' }, 'poll')
+  );
+
+  assert.equal(events.getStatus('1'), 'confirming');
+  assert.equal(events.getStatus('2'), undefined);
+  assert.equal(events.getStatus('3'), 'confirming');
+  assert.equal(events.ingest({ payment_status: 'waiting' }, 'poll'), null);
+});
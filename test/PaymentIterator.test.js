@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PaymentIterator } = require('..');
+
+/**
+ * Client double serving payment pages and recording the queries it received
+ * @param {function(Object): Array<number>} pageIds - Payment ids of the page for a query
+ * @param {number} [totalPages] - Reported page count
+ * @returns {Object} Client with the received queries in `queries`
+ */
+const createClient = (pageIds, totalPages) => {
+  const queries = [];
+  return {
+    queries,
+    getPayments: async query => {
+      queries.push(query);
+      return {
+        data: pageIds(query).map(id => ({ payment_id: id })),
+        ...(totalPages !== undefined && { pagesCount: totalPages })
+      };
+    }
+  };
+};
+
+const ids = payments => payments.map(payment => payment.payment_id);
+
+test('walks every page once and skips payments repeated across pages', async () => {
+  const pages = { 1: [1, 2], 2: [2, 3], 3: [4] };
+  const client = createClient(query => pages[query.page] || [], 3);
+
+  const payments = await new PaymentIterator(client, { limit: 2, concurrency: 2 }).toArray();
+
+  assert.deepEqual(ids(payments), [1, 2, 3, 4]);
+  assert.deepEqual(
+    client.queries.map(query => query.page),
+    [1, 2, 3]
+  );
+});
+
+test('stops at the first empty page without a reported page count', async () => {
+  const client = createClient(query => (query.page < 3 ? [query.page] : []));
+
+  assert.deepEqual(ids(await new PaymentIterator(client).toArray()), [1, 2]);
+  assert.equal(client.queries.length, 3);
+});
+
+test('resumes from a cursor without repeating yielded payments', async () => {
+  const pages = { 1: [1, 2], 2: [3, 4] };
+  const client = createClient(query => pages[query.page] || [], 2);
+  const iterator = new PaymentIterator(client);
+
+  const first = [];
+  for await (const payment of iterator) {
+    first.push(payment.payment_id);
+    if (first.length === 3) {
+      break;
+    }
+  }
+  const resumed = new PaymentIterator(client, { cursor: iterator.cursor });
+
+  assert.deepEqual(iterator.cursor, { windowIndex: 0, page: 2, offset: 1 });
+  assert.deepEqual(ids(await resumed.toArray()), [4]);
+  assert.equal(resumed.cursor, null);
+});
+
+test('scans date windows newest first and validates window parameters', async () => {
+  const client = createClient(() => [], 1);
+  const day = 24 * 60 * 60 * 1000;
+
+  await new PaymentIterator(client, {
+    dateFrom: '2026-01-01T00:00:00.000Z',
+    dateTo: '2026-01-02T12:00:00.000Z',
+    windowSize: day,
+    orderBy: 'desc'
+  }).toArray();
+
+  assert.deepEqual(
+    client.queries.map(query => [query.dateFrom, query.dateTo]),
+    [
+      ['2026-01-02T00:00:00.000Z', '2026-01-02T12:00:00.000Z'],
+      ['2026-01-01T00:00:00.000Z', '2026-01-01T23:59:59.999Z']
+    ]
+  );
+  await assert.rejects(new PaymentIterator(client, { windowSize: day }).toArray(), {
+    name: 'ValidationError'
+  });
+});
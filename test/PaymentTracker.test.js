@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PaymentTracker } = require('..');
+
+/**
+ * Client double answering status polls with the given statuses, repeating the last one
+ * @param {string[]} statuses - Payment status per poll
+ * @returns {Object} Client counting its polls in `polls`
+ */
+const createClient = statuses => {
+  const client = {
+    polls: 0,
+    getPaymentStatus: async paymentId => {
+      const status = statuses[Math.min(client.polls, statuses.length - 1)];
+      client.polls += 1;
+      return { payment_id: paymentId, payment_status: status };
+    }
+  };
+  return client;
+};
+
+test('waitForFinalStatus polls until a final status and stops tracking the payment', async () => {
+  const client = createClient(['waiting', 'confirming', 'finished']);
+  const tracker = new PaymentTracker(client, { pollInterval: 5, maxPollInterval: 5 });
+  const transitions = [];
+  tracker.on('transition', ({ from, to, source }) => transitions.push([from, to, source]));
+
+  const payment = await tracker.waitForFinalStatus(5077125051);
+
+  assert.equal(payment.payment_status, 'finished');
+  assert.deepEqual(transitions, [
+    [null, 'waiting', 'poll'],
+    ['waiting', 'confirming', 'poll'],
+    ['confirming', 'finished', 'poll']
+  ]);
+  assert.equal(tracker.payments.size, 0);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(client.polls, 3);
+});
+
+test('waitForFinalStatus rejects on timeout or abort and untracks only what it started', async () => {
+  const tracker = new PaymentTracker(createClient(['waiting']), { pollInterval: 5, maxPollInterval: 5 });
+  tracker.track('1');
+
+  await assert.rejects(tracker.waitForFinalStatus('1', { timeout: 30 }), {
+    code: 'TIMEOUT_ERROR',
+    message: 'Payment 1 did not reach a final status within 30ms'
+  });
+  assert.equal(tracker.getStatus('1').payment_status, 'waiting');
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 10);
+  await assert.rejects(tracker.waitForFinalStatus('2', { signal: controller.signal }), {
+    name: 'AbortError'
+  });
+  assert.deepEqual([...tracker.payments.keys()], ['1']);
+
+  tracker.stop();
+  assert.equal(tracker.payments.size, 0);
+});
+
+test('ignores stale, repeated and invalid updates', async () => {
+  const tracker = new PaymentTracker(createClient(['confirming']), { pollInterval: 1000 });
+  const invalid = [];
+  tracker.on('invalid_transition', transition => invalid.push(transition.to));
+  tracker.track('1');
+  await new Promise(resolve => setImmediate(resolve));
+
+  const update = (status, updatedAt) =>
+    tracker.update({ payment_id: '1', payment_status: status, updated_at: updatedAt });
+
+  assert.equal(update('confirmed', '2026-01-01T00:00:10Z'), true);
+  assert.equal(update('confirmed', '2026-01-01T00:00:11Z'), false);
+  assert.equal(update('sending', '2026-01-01T00:00:05Z'), false);
+  assert.equal(update('waiting', '2026-01-01T00:00:12Z'), false);
+  assert.deepEqual(invalid, ['waiting']);
+  assert.equal(tracker.getStatus('1').payment_status, 'confirmed');
+  tracker.stop();
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NowPaymentsAPI, NOWPaymentsEmulator, NOWPaymentsWebSocket, constants } = require('..');
+
+test('iterating a payment watcher ends after the final status', async t => {
+  const emulator = new NOWPaymentsEmulator({ apiKey: 'test' });
+  await emulator.start();
+  t.after(() => emulator.stop());
+  const client = new NowPaymentsAPI({ apiKey: 'test', baseURL: emulator.baseURL, rateLimit: false });
+  const ws = new NOWPaymentsWebSocket('test', { endpoint: emulator.wsEndpoint });
+  t.after(() => ws.close());
+  const connected = new Promise(resolve => ws.once('connected', resolve));
+  ws.connect();
+  await connected;
+
+  const payment = await client.createPayment({
+    price_amount: 100,
+    price_currency: 'usd',
+    pay_currency: 'btc'
+  });
+  const watcher = ws.watch(payment.payment_id);
+  const statuses = [];
+  const iteration = (async () => {
+    for await (const update of watcher) {
+      statuses.push(update.payment_status);
+    }
+  })();
+  await emulator.setPaymentStatus(payment.payment_id, 'confirming');
+  await emulator.setPaymentStatus(payment.payment_id, 'finished');
+
+  await iteration;
+
+  assert.deepEqual(statuses, ['confirming', 'finished']);
+  assert.equal(watcher.closed, true);
+  assert.equal(ws.subscriptions.size, 0);
+});
+
+test('order subscriptions forget payments that were final before the backfill window', () => {
+  const ws = new NOWPaymentsWebSocket('test');
+  const watcher = ws.watch({ orderId: 'order-42' });
+  const margin = constants.DEFAULT_CONFIG.WEBSOCKET.GAP_FILL_MARGIN;
+  const start = Date.parse('2024-01-01T00:00:00.000Z');
+  const update = (paymentId, status, time) =>
+    ws._routeUpdate({
+      payment_id: paymentId,
+      order_id: 'order-42',
+      payment_status: status,
+      actually_paid: 0,
+      updated_at: new Date(time).toISOString()
+    });
+
+  update('1', 'waiting', start);
+  update('1', 'finished', start + 1000);
+  update('2', 'waiting', start + 2000);
+  const subscription = ws.subscriptions.get(watcher.key);
+  assert.deepEqual([...subscription.delivered.keys()], ['1', '2']);
+
+  update('2', 'confirming', start + 2000 + margin * 2);
+
+  assert.deepEqual([...subscription.delivered.keys()], ['2']);
+  assert.equal(subscription.delivered.get('2').signature, 'confirming|0');
+  assert.equal(watcher.closed, false);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PayoutImporter } = require('..');
+
+const XRP_ADDRESS = 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh';
+
+/**
+ * Client double answering currency and minimum amount lookups and recording sent batches
+ * @param {Object<string, number>} [minimums] - Minimum payout amount per currency
+ * @returns {Object} Client with the sent batch parameters in `batches`
+ */
+const createClient = (minimums = {}) => {
+  const batches = [];
+  return {
+    batches,
+    validateAddresses: true,
+    currencies: { ensureLoaded: async () => undefined },
+    getMinimumPayoutAmount: async currency => ({ result: minimums[currency] }),
+    createBatchPayout: async params => {
+      batches.push(params);
+      return { id: '5000000000', withdrawals: [] };
+    }
+  };
+};
+
+const rowsOf = count =>
+  Array.from({ length: count }, (_, index) => `${XRP_ADDRESS},${index + 1},XRP,${index}`).join('\n');
+
+test('untagged payouts in tag currencies are warnings, not errors', async () => {
+  const importer = new PayoutImporter(createClient());
+
+  const report = await importer.validate(
+    `address,amount,currency,memo\n${XRP_ADDRESS},25,XRP,\n${XRP_ADDRESS},30,XRP,12345\n`
+  );
+
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.rows[0].errors, []);
+  assert.deepEqual(report.rows[0].warnings, ['No destination tag; exchange deposit addresses need one']);
+  assert.deepEqual(report.rows[1].warnings, []);
+});
+
+test('parses quoted fields, detected delimiters and header aliases', () => {
+  const importer = new PayoutImporter(createClient());
+
+  const rows = importer.parse(
+    '\uFEFFWallet;Value;Coin;Destination Tag;Note\r\n' +
+      `${XRP_ADDRESS};1,5;XRP;7;"Says ""hi""; twice"\r\n` +
+      '\r\n' +
+      `${XRP_ADDRESS};2;XRP;;"two\nlines"\n` +
+      `${XRP_ADDRESS};3;XRP;9;\n`
+  );
+
+  assert.deepEqual(
+    rows.map(row => row.line),
+    [2, 4, 6]
+  );
+  assert.deepEqual(rows[0].payout, { address: XRP_ADDRESS, amount: '1,5', currency: 'XRP', extra_id: '7' });
+  assert.equal(rows[0].fields.Note, 'Says "hi"; twice');
+  assert.equal(rows[1].fields.Note, 'two\nlines');
+  assert.equal(rows[1].payout.extra_id, undefined);
+  assert.throws(() => importer.parse('address,amount\nx,1\n'), {
+    name: 'ValidationError',
+    message: 'Payout file is missing columns: currency'
+  });
+  assert.throws(() => importer.parse(`address,amount,currency\n"${XRP_ADDRESS},1,XRP\n`), {
+    name: 'ValidationError',
+    message: 'Unterminated quoted field starting on line 2'
+  });
+});
+
+test('reports rows below the minimum and totals the valid rows exactly', async () => {
+  const importer = new PayoutImporter(createClient({ XRP: 1 }));
+
+  const report = await importer.validate(
+    `address,amount,currency,tag\n${XRP_ADDRESS},0.1,xrp,1\n${XRP_ADDRESS},1.1,XRP,2\n` +
+      `${XRP_ADDRESS},2.2,XRP,3\nnot-an-address,5,XRP,4\n`
+  );
+
+  assert.equal(report.valid, false);
+  assert.equal(report.errorCount, 2);
+  assert.deepEqual(report.rows[0].errors, ['Amount is below the minimum payout of 1 XRP']);
+  assert.equal(report.rows[3].errors.length, 1);
+  assert.equal(report.totals.XRP.count, 2);
+  assert.equal(report.totals.XRP.amount.toString(), '3.3');
+  assert.deepEqual(
+    report.payouts.map(payout => payout.amount),
+    ['1.1', '2.2']
+  );
+});
+
+test('imports without a run id as one batch of only the payouts', async () => {
+  const client = createClient();
+  const importer = new PayoutImporter(client);
+
+  const { result } = await importer.import(`address,amount,currency,tag\n${rowsOf(2)}\n`, {
+    failureMode: 'continue'
+  });
+
+  assert.deepEqual(client.batches, [
+    {
+      payouts: [
+        { address: XRP_ADDRESS, amount: '1', currency: 'XRP', extra_id: '0' },
+        { address: XRP_ADDRESS, amount: '2', currency: 'XRP', extra_id: '1' }
+      ]
+    }
+  ]);
+  assert.deepEqual(result, { id: '5000000000', withdrawals: [] });
+});
+
+test('refuses more than one batch without a run id and sends nothing', async () => {
+  const client = createClient();
+  const importer = new PayoutImporter(client);
+
+  await assert.rejects(importer.import(`address,amount,currency,tag\n${rowsOf(101)}\n`), {
+    name: 'ValidationError',
+    message: 'Payout file has 101 payouts, more than one batch of 100; import it with a runId'
+  });
+  assert.deepEqual(client.batches, []);
+
+  const { report } = await importer.import(`address,amount,currency,tag\n${rowsOf(101)}\n`, {
+    dryRun: true
+  });
+  assert.deepEqual(report.warnings, ['101 payouts need 2 batches; import them with a runId']);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuoteEngine } = require('..');
+
+/**
+ * Client double with fixed estimates and minimum payment amounts
+ * @param {Object<string, string>} estimates - Estimated amount per target currency
+ * @param {Object<string, string>} minimums - Minimum payment amount per currency
+ * @returns {Object} Client
+ */
+const createClient = (estimates, minimums) => ({
+  currencies: {
+    isLoaded: () => true,
+    isAvailable: code => code !== 'XMR'
+  },
+  getEstimatePrice: async params => {
+    const estimated = estimates[params.currency_to];
+    if (estimated === undefined) {
+      throw new Error(`No estimate for ${params.currency_to}`);
+    }
+    return {
+      currency_from: params.currency_from,
+      currency_to: params.currency_to,
+      estimated_amount: estimated
+    };
+  },
+  getMinimumPaymentAmount: async currency => ({ min_amount: minimums[currency] })
+});
+
+test('rankCurrencies orders payable currencies by headroom above their minimum', async () => {
+  const engine = new QuoteEngine(
+    createClient(
+      { BTC: '0.0005', ETH: '0.01', LTC: '0.2', DOGE: '100' },
+      { BTC: '0.0001', ETH: '0.005', LTC: '0.5', DOGE: '1' }
+    )
+  );
+
+  const ranked = await engine.rankCurrencies({
+    price_amount: 30,
+    price_currency: 'usd',
+    currencies: ['eth', 'btc', 'xmr', 'ltc', 'doge', 'sol']
+  });
+
+  assert.deepEqual(
+    ranked.map(({ currency, payable }) => [currency, payable]),
+    [
+      ['DOGE', true],
+      ['BTC', true],
+      ['ETH', true],
+      ['LTC', false],
+      ['XMR', false],
+      ['SOL', false]
+    ]
+  );
+  assert.equal(ranked[1].quote.amount.toString(), '0.0005');
+  assert.equal(ranked[3].reason, 'Amount is below the minimum of 0.5 LTC');
+  assert.equal(ranked[4].reason, 'Currency is unavailable');
+  assert.equal(ranked[5].reason, 'No estimate for SOL');
+});
+
+test('fixed-rate quotes refresh through the payment estimate and report expiry', async () => {
+  const updates = [];
+  const expiresAt = Date.now() + 60000;
+  const client = {
+    updatePaymentEstimate: async paymentId => {
+      updates.push(paymentId);
+      return { pay_amount: '0.00051', expiration_estimate_date: new Date(expiresAt).toISOString() };
+    }
+  };
+  const quote = new QuoteEngine(client).forPayment({
+    payment_id: 5077125051,
+    price_amount: 30,
+    price_currency: 'usd',
+    pay_amount: 0.0005,
+    pay_currency: 'btc',
+    expiration_estimate_date: new Date(Date.now() + 1000).toISOString()
+  });
+
+  assert.equal(quote.isFixedRate, true);
+  assert.equal(quote.isStale(), true);
+  await quote.ensureFresh();
+
+  assert.deepEqual(updates, ['5077125051']);
+  assert.equal(quote.amount.toString(), '0.00051');
+  assert.equal(quote.expiresAt, Math.floor(expiresAt));
+  assert.equal(quote.isStale(), false);
+  await quote.ensureFresh();
+  assert.equal(updates.length, 1);
+  assert.deepEqual(quote.toJSON(), {
+    currency_from: 'USD',
+    currency_to: 'BTC',
+    amount_from: '30',
+    amount: '0.00051',
+    rate: undefined,
+    payment_id: '5077125051',
+    expires_at: new Date(expiresAt).toISOString()
+  });
+});
+
+test('autoRefresh refreshes before expiry and stops on abort', async () => {
+  let estimates = 0;
+  const client = {
+    getEstimatePrice: async () => {
+      estimates += 1;
+      return { estimated_amount: '0.0005', valid_until: new Date(Date.now() + 60000).toISOString() };
+    }
+  };
+  const quote = await new QuoteEngine(client).estimate({
+    amount: 30,
+    currency_from: 'usd',
+    currency_to: 'btc'
+  });
+  quote.expiresAt = Date.now() + 20;
+  const controller = new AbortController();
+  // The refresh timer is unref'd, so keep the process alive until it fires
+  const keepAlive = setTimeout(() => {}, 1000);
+
+  await new Promise(resolve =>
+    quote.autoRefresh({ margin: 10, signal: controller.signal, onRefresh: resolve })
+  );
+  controller.abort();
+  clearTimeout(keepAlive);
+
+  assert.equal(estimates, 2);
+  assert.ok(quote.expiresIn() > 50000);
+});
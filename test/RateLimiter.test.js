@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NowPaymentsAPI, RateLimiter, MemoryRateLimitStore } = require('..');
+const { startStub } = require('./helpers');
+
+test('acquire rejects with AbortError when aborted while waiting for a token', async () => {
+  const limiter = new RateLimiter({ requestsPerMinute: 1, burst: 1 });
+  await limiter.acquire();
+  const controller = new AbortController();
+  const startedAt = Date.now();
+
+  setTimeout(() => controller.abort(), 20);
+
+  await assert.rejects(limiter.acquire(controller.signal), { name: 'AbortError' });
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('a call paused by Retry-After rejects with AbortError on abort', async t => {
+  const stub = await startStub(() => ({ status: 429, headers: { 'Retry-After': '30' }, body: {} }));
+  t.after(stub.close);
+  const client = new NowPaymentsAPI({ apiKey: 'test', baseURL: stub.url });
+  const controller = new AbortController();
+  const startedAt = Date.now();
+
+  setTimeout(() => controller.abort(), 100);
+
+  await assert.rejects(client.getCurrencies({ signal: controller.signal }), { name: 'AbortError' });
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.equal(stub.requests.length, 1);
+});
+
+test('a payout call waiting for authentication rejects with AbortError on abort', async t => {
+  const stub = await startStub(() => ({ body: { id: '1', withdrawals: [] } }));
+  t.after(stub.close);
+  const client = new NowPaymentsAPI({
+    apiKey: 'test',
+    baseURL: stub.url,
+    credentials: { email: 'payouts@example.com', password: 'secret' },
+    rateLimit: false
+  });
+  // Authentication that never finishes
+  client.authenticate = () => new Promise(() => {});
+  const controller = new AbortController();
+
+  setTimeout(() => controller.abort(), 20);
+
+  const payout = { address: 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh', amount: 0.01, currency: 'BTC' };
+  await assert.rejects(client.createPayout(payout, { signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(stub.requests.length, 0);
+});
+
+test('getRetryDelay reads Retry-After seconds and dates and rate-limit reset headers', () => {
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  const resetAt = String(Math.floor(Date.now() / 1000) + 5);
+
+  assert.equal(RateLimiter.getRetryDelay({ 'retry-after': '2' }), 2000);
+  assert.ok(Math.abs(RateLimiter.getRetryDelay({ 'retry-after': inTenSeconds }) - 10000) <= 1000);
+  assert.equal(RateLimiter.getRetryDelay({ 'x-ratelimit-reset': '3' }), 3000);
+  assert.ok(Math.abs(RateLimiter.getRetryDelay({ 'ratelimit-reset': resetAt }) - 5000) <= 1000);
+  assert.equal(RateLimiter.getRetryDelay(new Map([['retry-after', '1']])), 1000);
+  assert.equal(RateLimiter.getRetryDelay({ 'retry-after': 'soon' }), undefined);
+  assert.equal(RateLimiter.getRetryDelay({}), undefined);
+});
+
+test('limiters sharing a store and key draw from one budget', async () => {
+  const store = new MemoryRateLimitStore();
+  const first = new RateLimiter({ requestsPerMinute: 600, burst: 2, store, key: 'shared' });
+  const second = new RateLimiter({ requestsPerMinute: 600, burst: 2, store, key: 'shared' });
+  const other = new RateLimiter({ requestsPerMinute: 600, burst: 2, store, key: 'other' });
+
+  await first.acquire();
+  await second.acquire();
+  const startedAt = Date.now();
+  await other.acquire();
+  assert.ok(Date.now() - startedAt < 50);
+
+  await first.acquire();
+  assert.ok(Date.now() - startedAt >= 80);
+});
+
+test('a 429 holds back other clients on the key until Retry-After has passed', async t => {
+  let requests = 0;
+  const stub = await startStub(() => {
+    requests += 1;
+    return requests === 1
+      ? { status: 429, headers: { 'Retry-After': '1' }, body: { message: 'Too many requests' } }
+      : { body: { currencies: ['btc'] } };
+  });
+  t.after(stub.close);
+  const store = new MemoryRateLimitStore();
+  const createClient = () => new NowPaymentsAPI({ apiKey: 'test', baseURL: stub.url, rateLimit: { store } });
+  const startedAt = Date.now();
+
+  await assert.rejects(createClient().getCurrencies({ retries: 0 }), { name: 'RateLimitError' });
+  await createClient().getCurrencies();
+
+  assert.equal(requests, 2);
+  assert.ok(Date.now() - startedAt >= 900);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NOWPaymentsEmulator, NOWPaymentsWebSocket } = require('..');
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+/**
+ * Connects a client to a running emulator whose REST backfill always fails
+ * @param {NOWPaymentsEmulator} emulator - Started emulator
+ * @returns {Promise<NOWPaymentsWebSocket>} Connected client watching one payment
+ */
+const connectFailingBackfill = async emulator => {
+  const restClient = {
+    getPaymentStatus: async () => {
+      throw new Error('backfill request failed');
+    }
+  };
+  const ws = new NOWPaymentsWebSocket('test', {
+    endpoint: emulator.wsEndpoint,
+    restClient,
+    reconnectDelay: 10,
+    reconnectJitter: 0
+  });
+  ws.watch('5077125051');
+  const connected = once(ws, 'connected');
+  ws.connect();
+  await connected;
+  return ws;
+};
+
+/**
+ * Drops every emulator socket and waits for the client to reconnect
+ * @param {NOWPaymentsEmulator} emulator - Started emulator
+ * @param {NOWPaymentsWebSocket} ws - Connected client
+ * @returns {Promise<void>}
+ */
+const reconnect = async (emulator, ws) => {
+  const connected = once(ws, 'connected');
+  emulator.wss.clients.forEach(client => client.terminate());
+  await connected;
+  await new Promise(resolve => setTimeout(resolve, 50));
+};
+
+test('a failed backfill is reported as a GapFillError', async t => {
+  const emulator = new NOWPaymentsEmulator({ apiKey: 'test' });
+  await emulator.start();
+  t.after(() => emulator.stop());
+  const ws = await connectFailingBackfill(emulator);
+  t.after(() => ws.close());
+  const errors = [];
+  ws.on('error', error => errors.push(error));
+
+  await reconnect(emulator, ws);
+
+  assert.deepEqual(
+    errors.map(error => [error.code, error.message]),
+    [['GapFillError', 'backfill request failed']]
+  );
+});
+
+test('a failed backfill without an error listener does not reject unhandled', async t => {
+  const emulator = new NOWPaymentsEmulator({ apiKey: 'test' });
+  await emulator.start();
+  t.after(() => emulator.stop());
+  const ws = await connectFailingBackfill(emulator);
+  t.after(() => ws.close());
+  const rejections = [];
+  const onRejection = reason => rejections.push(reason);
+  process.on('unhandledRejection', onRejection);
+  t.after(() => process.off('unhandledRejection', onRejection));
+
+  await reconnect(emulator, ws);
+
+  assert.deepEqual(rejections, []);
+  assert.equal(ws.isConnected, true);
+});
+
+test('moves through connection states and stops reconnecting once closed', async t => {
+  const emulator = new NOWPaymentsEmulator({ apiKey: 'test' });
+  await emulator.start();
+  t.after(() => emulator.stop());
+  const ws = new NOWPaymentsWebSocket('test', {
+    endpoint: emulator.wsEndpoint,
+    reconnectDelay: 10,
+    reconnectJitter: 0
+  });
+  const states = [];
+  ws.on('stateChange', ({ to }) => states.push(to));
+
+  const connected = once(ws, 'connected');
+  ws.connect();
+  await connected;
+  await reconnect(emulator, ws);
+  const closed = new Promise(resolve => ws.on('stateChange', ({ to }) => to === 'closed' && resolve()));
+  ws.close();
+  await closed;
+  emulator.wss.clients.forEach(client => client.terminate());
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.deepEqual(states, ['connecting', 'open', 'reconnecting', 'connecting', 'open', 'closing', 'closed']);
+  assert.equal(ws.getState().reconnectAttempts, 0);
+});
+
+test('gives up after maxReconnectAttempts with exponentially growing delays', async t => {
+  const emulator = new NOWPaymentsEmulator({ apiKey: 'test' });
+  await emulator.start();
+  t.after(() => emulator.stop());
+  const ws = new NOWPaymentsWebSocket('test', {
+    endpoint: emulator.wsEndpoint,
+    maxReconnectAttempts: 2,
+    reconnectDelay: 10,
+    reconnectJitter: 0
+  });
+  const delays = [];
+  const errors = [];
+  ws.on('reconnecting', (attempt, delay) => delays.push([attempt, delay]));
+  ws.on('error', error => errors.push(error.code));
+  const connected = once(ws, 'connected');
+  ws.connect();
+  await connected;
+
+  const closed = new Promise(resolve => ws.on('stateChange', ({ to }) => to === 'closed' && resolve()));
+  await emulator.stop();
+  await closed;
+
+  assert.deepEqual(delays, [
+    [1, 10],
+    [2, 20]
+  ]);
+  assert.equal(errors[errors.length - 1], 'MaxReconnectError');
+  assert.equal(ws.isConnected, false);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NowPaymentsAPI, utils } = require('..');
+const { getAddressFormat, keccak256 } = require('../lib/addressValidation');
+const { startStub } = require('./helpers');
+
+const XRP_ADDRESS = 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh';
+
+test('a missing XRP destination tag is only rejected when required', () => {
+  assert.deepEqual(utils.validateAddress(XRP_ADDRESS, 'XRP'), { valid: true });
+  assert.deepEqual(utils.validateAddress(XRP_ADDRESS, 'XRP', { requireExtraId: true }), {
+    valid: false,
+    reason: 'XRP destination tag is required'
+  });
+  assert.deepEqual(utils.validateAddress(XRP_ADDRESS, 'XRP', { extraId: '12345', requireExtraId: true }), {
+    valid: true
+  });
+});
+
+test('createPayout sends untagged XRP payouts unless requireExtraId is set', async t => {
+  const stub = await startStub(req =>
+    req.url === '/auth'
+      ? { body: { token: 'token' } }
+      : { body: { id: '5000000000', withdrawals: [{ id: '5000000001', status: 'WAITING' }] } }
+  );
+  t.after(stub.close);
+  const client = new NowPaymentsAPI({
+    apiKey: 'test',
+    baseURL: stub.url,
+    credentials: { email: 'payouts@example.com', password: 'secret' },
+    rateLimit: false
+  });
+  const payout = { address: XRP_ADDRESS, amount: 25, currency: 'XRP' };
+
+  await assert.rejects(client.createPayout(payout, { requireExtraId: true }), {
+    name: 'ValidationError',
+    message: 'Invalid payout address: XRP destination tag is required'
+  });
+  assert.equal(stub.requests.length, 0);
+
+  const batch = await client.createPayout(payout);
+  assert.equal(batch.id, '5000000000');
+  assert.deepEqual(
+    stub.requests.map(request => request.url),
+    ['/auth', '/payout']
+  );
+});
+
+test('token formats are looked up by full currency code only', () => {
+  assert.equal(getAddressFormat('USDTTRC20'), 'tron');
+  assert.equal(getAddressFormat('USDTBSC'), 'ethereum');
+  assert.equal(getAddressFormat('STOP'), undefined);
+  assert.equal(getAddressFormat('HBASE'), undefined);
+  assert.deepEqual(utils.validateAddress('EQD2NmD_lH5f5u1Kj3KfGyTvhZSX0Eg6qp2a5IQUKXxOG21n', 'STOP'), {
+    valid: true
+  });
+});
+
+test('registry networks pick the format of unlisted tokens', () => {
+  const registry = { get: code => (code === 'PEPEERC20' ? { network: 'eth' } : undefined) };
+
+  assert.equal(getAddressFormat('PEPEERC20', registry), 'ethereum');
+  const result = utils.validateAddress('TNPeeaaFB7K9cmo4uQpcU32zGK8G1NYqeL', 'PEPEERC20', { registry });
+  assert.equal(result.valid, false);
+});
+
+test('checksums are verified for each address format', () => {
+  const valid = [
+    ['bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', 'BTC'],
+    ['bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0', 'BTC'],
+    ['1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', 'BTC'],
+    ['0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', 'ETH'],
+    ['0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed', 'USDTERC20'],
+    ['TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t', 'USDTTRC20'],
+    ['So11111111111111111111111111111111111111112', 'SOL']
+  ];
+  valid.forEach(([address, currency]) =>
+    assert.deepEqual(utils.validateAddress(address, currency), { valid: true }, address)
+  );
+
+  const invalid = [
+    ['bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5', 'BTC', 'BTC address has an invalid bech32 checksum'],
+    ['1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3', 'BTC', 'BTC address has an invalid base58check checksum'],
+    ['0x5aaeb6053F3E94C9b9A09f33669435E7Ef1BeAed', 'ETH', 'ETH address has an invalid EIP-55 checksum'],
+    ['TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6u', 'TRX', 'TRX address has an invalid base58check checksum'],
+    ['0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', 'TRX', 'TRX address must start with T'],
+    ['So1111111111111111111111111111111', 'SOL', 'SOL address must decode to a 32-byte public key']
+  ];
+  invalid.forEach(([address, currency, reason]) =>
+    assert.deepEqual(utils.validateAddress(address, currency), { valid: false, reason })
+  );
+});
+
+test('keccak256 matches the reference digest', () => {
+  assert.equal(
+    keccak256(Buffer.alloc(0)).toString('hex'),
+    'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'
+  );
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NowPaymentsAPI, errors } = require('..');
+const { startStub } = require('./helpers');
+
+const cases = [
+  {
+    reply: { status: 400, body: { code: 'AMOUNT_MINIMAL_ERROR', message: 'Too small', min_amount: 0.0001 } },
+    expected: {
+      name: 'AmountTooSmallError',
+      statusCode: 400,
+      apiCode: 'AMOUNT_MINIMAL_ERROR',
+      minimum: 0.0001
+    }
+  },
+  {
+    reply: { status: 400, body: { message: 'Amount is less than minimal. Minimum amount is 0.5' } },
+    expected: { name: 'AmountTooSmallError', minimum: 0.5 }
+  },
+  {
+    reply: {
+      status: 400,
+      body: { code: 'CURRENCY_NOT_FOUND', message: 'Unknown currency', currency: 'xyz' }
+    },
+    expected: { name: 'CurrencyUnavailableError', currency: 'xyz' }
+  },
+  {
+    reply: { status: 400, body: { message: 'Currency xyz is not supported' } },
+    expected: { name: 'CurrencyUnavailableError' }
+  },
+  {
+    reply: { status: 403, body: { message: 'Invalid api key' } },
+    expected: { name: 'AuthenticationError', statusCode: 403, isRetryable: false }
+  },
+  {
+    reply: { status: 400, body: { code: 'INVALID_API_KEY', message: 'Invalid api key' } },
+    expected: { name: 'AuthenticationError', statusCode: 400 }
+  },
+  {
+    reply: { status: 429, headers: { 'Retry-After': '7' }, body: { message: 'Too many requests' } },
+    expected: { name: 'RateLimitError', retryAfter: 7000, isRetryable: true }
+  },
+  {
+    reply: { status: 404, body: {} },
+    expected: { name: 'NotFoundError', message: 'Request failed with status code 404' }
+  },
+  {
+    reply: { status: 502, body: { message: 'Bad gateway' } },
+    expected: { name: 'APIError', statusCode: 502, isRetryable: true }
+  }
+];
+
+test('error responses map to the most specific APIError subclass', async t => {
+  let reply;
+  const stub = await startStub(() => reply);
+  t.after(stub.close);
+  const client = new NowPaymentsAPI({ apiKey: 'test', baseURL: stub.url, rateLimit: false });
+
+  for (const testCase of cases) {
+    reply = testCase.reply;
+    const error = await client.getPaymentStatus('1', { retries: 0 }).catch(caught => caught);
+    assert.ok(error instanceof errors.APIError, testCase.expected.name);
+    assert.ok(error instanceof errors.NOWPaymentsError);
+    assert.deepEqual(
+      Object.fromEntries(Object.keys(testCase.expected).map(key => [key, error[key]])),
+      testCase.expected
+    );
+  }
+});
+
+test('failed connections surface as NetworkError', async () => {
+  const stub = await startStub(() => ({ body: {} }));
+  await stub.close();
+  const client = new NowPaymentsAPI({ apiKey: 'test', baseURL: stub.url, rateLimit: false });
+
+  await assert.rejects(client.getPaymentStatus('1', { retries: 0 }), error => {
+    assert.ok(error instanceof errors.NetworkError);
+    assert.ok(!(error instanceof errors.APIError));
+    assert.equal(error.code, 'ECONNREFUSED');
+    assert.equal(error.isRetryable, true);
+    return true;
+  });
+});
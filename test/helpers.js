@@ -0,0 +1,39 @@
+const http = require('http');
+
+/**
+ * @typedef {{status?: number, body?: *, headers?: Object, delay?: number}} StubReply
+ */
+
+/**
+ * Starts a local HTTP server answering with the given handler
+ * @param {(req: http.IncomingMessage, body: string) => StubReply} handler - Returns the response
+ *   for a request, sent after `delay` milliseconds
+ * @returns {Promise<{url: string, requests: Object[], close: Function}>} Server base URL, received
+ *   requests (method, url, headers and body) and a close function
+ */
+const startStub = async handler => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const reply = handler(req, body) || {};
+      const text = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body || {});
+      setTimeout(() => {
+        res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+        res.end(text);
+      }, reply.delay || 0);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { startStub };
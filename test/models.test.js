@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NowPaymentsAPI, Amount, Payment } = require('..');
+const { startStub } = require('./helpers');
+
+const payment = {
+  payment_id: 5077125051,
+  payment_status: 'partially_paid',
+  pay_address: 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh',
+  price_amount: 100,
+  price_currency: 'usd',
+  pay_amount: '0.1',
+  actually_paid: '0.123456789012345678901',
+  pay_currency: 'eth',
+  order_id: null,
+  order_description: null,
+  created_at: '2024-01-01T00:00:00.000Z',
+  updated_at: '2024-01-01T00:05:00.000Z'
+};
+
+const createClient = url => new NowPaymentsAPI({ apiKey: 'test', baseURL: url, rateLimit: false });
+
+test('decimal string amounts become exact Amount values', async t => {
+  const stub = await startStub(() => ({ body: payment }));
+  t.after(stub.close);
+
+  const result = await createClient(stub.url).getPaymentStatus('5077125051');
+
+  assert.ok(result instanceof Payment);
+  assert.equal(result.validationError, undefined);
+  assert.ok(result.actually_paid instanceof Amount);
+  assert.equal(result.actually_paid.toString(), '0.123456789012345678901');
+  assert.equal(result.price_amount, 100);
+  assert.equal(result.payment_id, '5077125051');
+  assert.equal(result.isFullyPaid(), true);
+});
+
+test('a created payment that does not match the schema is returned and flagged', async t => {
+  const stub = await startStub(() => ({ status: 201, body: { ...payment, payment_status: undefined } }));
+  t.after(stub.close);
+
+  const result = await createClient(stub.url).createPayment(
+    { price_amount: 100, price_currency: 'usd', pay_currency: 'eth' },
+    { retries: 0 }
+  );
+
+  assert.equal(result.validationError.name, 'ValidationError');
+  assert.match(result.validationError.message, /"payment_status" is required/);
+  assert.equal(result.payment_id, 5077125051);
+  assert.equal(stub.requests.length, 1);
+});
+
+test('refresh replaces fields missing from the new response', async t => {
+  let current = { ...payment, payin_hash: '0xabc' };
+  const stub = await startStub(() => ({ body: current }));
+  t.after(stub.close);
+
+  const result = await createClient(stub.url).getPaymentStatus('5077125051');
+  assert.equal(result.payin_hash, '0xabc');
+
+  current = { ...payment, payment_status: 'finished' };
+  await result.refresh();
+
+  assert.equal(result.payment_status, 'finished');
+  assert.equal('payin_hash' in result, false);
+  assert.deepEqual(result.toJSON(), current);
+});
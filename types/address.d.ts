@@ -0,0 +1,23 @@
+import { CurrencyRegistry } from './currency';
+
+export interface AddressValidationOptions {
+  /** Destination tag or memo sent with the address */
+  extraId?: string | number;
+  /** Fail when a currency that takes an extra id has none */
+  requireExtraId?: boolean;
+  /** Live currency registry used for networks, regexes and extra id support */
+  registry?: CurrencyRegistry;
+}
+
+export interface AddressValidationResult {
+  valid: boolean;
+  /** Why validation failed */
+  reason?: string;
+}
+
+export interface PayoutAddressFailure {
+  index: number;
+  address: string;
+  currency: string;
+  reason: string;
+}
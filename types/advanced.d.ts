@@ -1,3 +1,5 @@
+import { Currency, CreatePayoutParams } from 'nowpayments-api';
+
 export interface PaymentStatusExtended {
   payment_id: string;
   payment_status: string;
@@ -41,3 +43,9 @@ export interface AdvancedCurrency extends Currency {
     token_contract?: string;
   }[];
 }
+
+export interface BatchPayoutParams {
+  payouts: Omit<CreatePayoutParams, 'ipn_callback_url' | 'fee_payer'>[];
+  processingMode?: 'sequential' | 'parallel';
+  failureMode?: 'continue' | 'stop';
+}
@@ -0,0 +1,30 @@
+export type AmountInput = Amount | string | number | bigint;
+
+export class Amount {
+  readonly units: bigint;
+  readonly precision: number;
+  readonly currency?: string;
+
+  constructor(units: bigint | number | string, precision: number, currency?: string);
+
+  static from(value: AmountInput, currency?: string, precision?: number): Amount;
+  static isValid(value: unknown): boolean;
+
+  rescale(precision: number): Amount;
+  add(other: AmountInput): Amount;
+  sub(other: AmountInput): Amount;
+  mul(factor: string | number): Amount;
+  cmp(other: AmountInput): -1 | 0 | 1;
+  eq(other: AmountInput): boolean;
+  gt(other: AmountInput): boolean;
+  gte(other: AmountInput): boolean;
+  lt(other: AmountInput): boolean;
+  lte(other: AmountInput): boolean;
+  isZero(): boolean;
+  isPositive(): boolean;
+  isNegative(): boolean;
+  toFixed(decimals?: number): string;
+  toString(): string;
+  toNumber(): number;
+  toJSON(): string;
+}
@@ -0,0 +1,113 @@
+import { EventEmitter } from 'events';
+import { RequestOptions } from 'nowpayments-api';
+import { BatchPayoutParams } from './advanced';
+
+export type BatchPayoutItem = BatchPayoutParams['payouts'][number];
+
+export interface BatchPayoutRunParams {
+  /** Stable identifier of the run; reusing it resumes the run from its checkpoint */
+  runId: string;
+  /** Payouts to send, any number */
+  payouts: BatchPayoutItem[];
+  /** Payouts per batch request (default 100, the API maximum) */
+  chunkSize?: number;
+  /** Batch requests in flight at once in parallel mode (default 3) */
+  concurrency?: number;
+  processingMode?: 'sequential' | 'parallel';
+  /** Whether to start further chunks after one fails (default 'stop') */
+  failureMode?: 'continue' | 'stop';
+}
+
+export type BatchPayoutChunkState =
+  | 'pending'
+  | 'submitting'
+  | 'submitted'
+  | 'verified'
+  | 'failed'
+  | 'uncertain';
+
+export interface BatchPayoutChunk {
+  index: number;
+  /** Index of the first payout in the chunk */
+  start: number;
+  /** Index after the last payout in the chunk */
+  end: number;
+  state: BatchPayoutChunkState;
+  batchId?: string;
+  payoutIds?: string[];
+  error?: string;
+}
+
+export interface BatchPayoutCheckpoint {
+  runId: string;
+  /** Hash of the payouts and chunk size the run was started with */
+  fingerprint: string;
+  chunkSize: number;
+  total: number;
+  chunks: BatchPayoutChunk[];
+}
+
+/**
+ * Checkpoint backend; use a durable one to resume runs after a restart
+ */
+export interface BatchPayoutCheckpointStore {
+  get(runId: string): Promise<BatchPayoutCheckpoint | undefined>;
+  set(runId: string, checkpoint: BatchPayoutCheckpoint): Promise<void>;
+  delete(runId: string): Promise<void>;
+}
+
+export interface BatchPayoutRunnerOptions {
+  /** Checkpoint backend (default in-memory) */
+  store?: BatchPayoutCheckpointStore;
+  /** Returns the 2FA code for a created batch; when set, every batch is verified */
+  getVerificationCode?: (batchId: string) => string | Promise<string>;
+}
+
+export type BatchPayoutItemResult = BatchPayoutItem & {
+  index: number;
+  chunk: number;
+  /** `uncertain` batches may or may not have been created and are never sent again */
+  status: 'created' | 'failed' | 'uncertain' | 'skipped';
+  batchId?: string;
+  payoutId?: string;
+  verified?: boolean;
+  error?: string;
+};
+
+export interface BatchPayoutReport {
+  runId: string;
+  total: number;
+  created: number;
+  failed: number;
+  uncertain: number;
+  skipped: number;
+  /** Whether every payout was created */
+  completed: boolean;
+  chunks: BatchPayoutChunk[];
+  items: BatchPayoutItemResult[];
+}
+
+export class MemoryCheckpointStore implements BatchPayoutCheckpointStore {
+  get(runId: string): Promise<BatchPayoutCheckpoint | undefined>;
+  set(runId: string, checkpoint: BatchPayoutCheckpoint): Promise<void>;
+  delete(runId: string): Promise<void>;
+}
+
+export class BatchPayoutRunner extends EventEmitter {
+  constructor(
+    client: {
+      createBatchPayout(params: BatchPayoutParams, options?: RequestOptions): Promise<any>;
+      verifyPayout(batchId: string, verificationCode: string, options?: RequestOptions): Promise<any>;
+    },
+    options?: BatchPayoutRunnerOptions
+  );
+
+  readonly store: BatchPayoutCheckpointStore;
+
+  run(params: BatchPayoutRunParams, options?: RequestOptions): Promise<BatchPayoutReport>;
+  getReport(runId: string, payouts: BatchPayoutItem[]): Promise<BatchPayoutReport | undefined>;
+
+  static report(checkpoint: BatchPayoutCheckpoint, payouts: BatchPayoutItem[]): BatchPayoutReport;
+
+  on(event: 'chunk', listener: (chunk: BatchPayoutChunk) => void): this;
+}
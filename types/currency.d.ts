@@ -0,0 +1,63 @@
+import { Currency } from 'nowpayments-api';
+import { AmountInput } from './amount';
+
+export interface CurrencyRegistryOptions {
+  /** Cache lifetime in milliseconds (default 1 hour) */
+  ttl?: number;
+}
+
+export interface CurrencyNetwork {
+  name: string;
+  network_id: string;
+  is_default: boolean;
+  token_contract?: string;
+}
+
+/** Currency entry of `/full-currencies` */
+export interface FullCurrency {
+  id: number;
+  code: string;
+  name: string;
+  enable: boolean;
+  wallet_regex: string | null;
+  priority: number;
+  extra_id_exists: boolean;
+  extra_id_regex: string | null;
+  logo_url: string;
+  track: boolean;
+  cg_id: string;
+  is_maxlimit: boolean;
+  network: string | null;
+  smart_contract: string | null;
+  network_precision: string | null;
+  precision?: number;
+  [key: string]: any;
+}
+
+export interface CurrencyInfo extends Currency {
+  code: string;
+  networks: CurrencyNetwork[];
+  [key: string]: any;
+}
+
+export class CurrencyRegistry {
+  readonly ttl: number;
+  readonly loadedAt: number;
+
+  constructor(client: any, options?: CurrencyRegistryOptions);
+
+  isLoaded(): boolean;
+  isStale(): boolean;
+  load(): Promise<CurrencyRegistry>;
+  ensureLoaded(): Promise<CurrencyRegistry>;
+  get(code: string): CurrencyInfo | undefined;
+  has(code: string): boolean;
+  list(): CurrencyInfo[];
+  getPrecision(code: string): number | undefined;
+  getNetwork(code: string): string | undefined;
+  getLimits(code: string): { min?: number; max?: number };
+  isAvailable(code: string): boolean;
+  requiresExtraId(code: string): boolean;
+  formatAmount(amount: AmountInput, code: string): string;
+  validateAddress(address: string, code: string): boolean;
+}
@@ -0,0 +1,97 @@
+import { AmountValue, PaymentStatus, RequestOptions } from 'nowpayments-api';
+
+export type CustodyTransferStatus = 'CREATED' | 'WAITING' | 'FINISHED' | 'REJECTED';
+
+export interface SubPartner {
+  id: string;
+  name: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface SubPartnerBalance {
+  subPartnerId: string;
+  balances: Record<string, { amount: number; pendingAmount: number }>;
+}
+
+export interface CustodyTransfer {
+  id: string;
+  from_sub_id: string;
+  to_sub_id: string;
+  status: CustodyTransferStatus;
+  created_at: string;
+  updated_at: string;
+  amount: number | string;
+  currency: string;
+}
+
+export interface CustodyListResponse<T> {
+  result: T[];
+  count: number;
+}
+
+export interface ListSubPartnersParams {
+  id?: string | number;
+  limit?: number;
+  offset?: number;
+  order?: 'ASC' | 'DESC';
+}
+
+export interface CreateCustodyDepositParams {
+  sub_partner_id: string | number;
+  currency: string;
+  amount: AmountValue;
+  fixed_rate?: boolean;
+  ipn_callback_url?: string;
+}
+
+export interface CustodyAmountParams {
+  sub_partner_id: string | number;
+  currency: string;
+  amount: AmountValue;
+}
+
+export interface CustodyTransferParams {
+  from_id: string | number;
+  to_id: string | number;
+  currency: string;
+  amount: AmountValue;
+}
+
+export interface ListTransfersParams {
+  id?: string | number;
+  status?: CustodyTransferStatus;
+  limit?: number;
+  offset?: number;
+  order?: 'ASC' | 'DESC';
+}
+
+export class Custody {
+  constructor(client: any);
+
+  createSubPartner(name: string, options?: RequestOptions): Promise<{ result: SubPartner }>;
+  listSubPartners(
+    params?: ListSubPartnersParams,
+    options?: RequestOptions
+  ): Promise<CustodyListResponse<SubPartner>>;
+  getBalance(subPartnerId: string, options?: RequestOptions): Promise<{ result: SubPartnerBalance }>;
+  createDeposit(
+    params: CreateCustodyDepositParams,
+    options?: RequestOptions
+  ): Promise<{ result: PaymentStatus }>;
+  depositFromMaster(
+    params: CustodyAmountParams,
+    options?: RequestOptions
+  ): Promise<{ result: CustodyTransfer }>;
+  withdrawToMaster(
+    params: CustodyAmountParams,
+    options?: RequestOptions
+  ): Promise<{ result: CustodyTransfer }>;
+  transfer(params: CustodyTransferParams, options?: RequestOptions): Promise<{ result: CustodyTransfer }>;
+  getTransfer(transferId: string, options?: RequestOptions): Promise<{ result: CustodyTransfer }>;
+  listTransfers(
+    params?: ListTransfersParams,
+    options?: RequestOptions
+  ): Promise<CustodyListResponse<CustodyTransfer>>;
+  iterateTransfers(params?: ListTransfersParams, options?: RequestOptions): AsyncGenerator<CustodyTransfer>;
+}
@@ -0,0 +1,52 @@
+import { EventEmitter } from 'events';
+import { PaymentStatus, PaymentStatusType, Payout, PayoutStatusType } from 'nowpayments-api';
+
+export interface EmulatorOptions {
+  apiKey?: string;
+  ipnSecret?: string;
+  credentials?: { email: string; password: string };
+  tokenTTL?: number;
+  host?: string;
+  port?: number;
+  autoAdvance?: number;
+  lifecycle?: PaymentStatusType[];
+  rates?: Record<string, number>;
+  minAmount?: number;
+  /** Lifetime of fixed-rate payment estimates in ms (default 20 minutes) */
+  fixedRateTTL?: number;
+  verificationCode?: string;
+}
+
+export class NOWPaymentsEmulator extends EventEmitter {
+  static DEFAULT_LIFECYCLE: PaymentStatusType[];
+
+  constructor(options?: EmulatorOptions);
+
+  readonly baseURL: string;
+  readonly wsEndpoint: string;
+
+  start(): Promise<{ baseURL: string; wsEndpoint: string }>;
+  stop(): Promise<void>;
+  reset(): void;
+  getPayment(paymentId: string): PaymentStatus | undefined;
+  advancePayment(paymentId: string): Promise<PaymentStatus>;
+  setPaymentStatus(
+    paymentId: string,
+    status: PaymentStatusType,
+    patch?: Partial<PaymentStatus>
+  ): Promise<PaymentStatus>;
+  setPayoutStatus(payoutId: string, status: PayoutStatusType, patch?: Partial<Payout>): Payout;
+
+  on(event: 'payout_update', listener: (payout: Payout) => void): this;
+  on(event: 'payment_update', listener: (payment: PaymentStatus) => void): this;
+  on(event: 'ipn_sent', listener: (event: { url: string; payload: PaymentStatus }) => void): this;
+  on(
+    event: 'ipn_error',
+    listener: (event: { url: string; payload: PaymentStatus; error: Error }) => void
+  ): this;
+  on(
+    event: 'subscribe' | 'unsubscribe',
+    listener: (target: { payment_id?: string; order_id?: string }) => void
+  ): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+}
@@ -9,9 +9,28 @@ export interface APIErrorResponse {
   details?: Record<string, any>;
 }
 
+export type RetryStrategy = 'idempotent' | 'idempotency_key' | 'order_id_lookup' | 'none';
+
+/**
+ * Attached as `error.retry` to errors thrown by API requests
+ */
+export interface RetryInfo {
+  strategy: RetryStrategy;
+  attempts: number;
+  /** Key sent in the Idempotency-Key header on every attempt */
+  idempotencyKey?: string;
+  /** order_id lookups run before each retry */
+  lookups?: { orderId: string; found: boolean; error?: string }[];
+  /** Why the request was not retried further */
+  reason?: string;
+}
+
 export class NOWPaymentsError extends Error {
   code: string | number;
   data?: ErrorData;
+  retry?: RetryInfo;
+  /** Whether repeating the same request may succeed */
+  isRetryable: boolean;
 
   constructor(message: string, code: string | number, data?: ErrorData);
 
@@ -27,10 +46,46 @@ export class NOWPaymentsError extends Error {
 export class APIError extends NOWPaymentsError {
   statusCode: number;
   responseData?: APIErrorResponse;
+  /** NOWPayments `code` field of the error response */
+  apiCode?: string;
 
   constructor(message: string, statusCode: number, responseData?: APIErrorResponse);
 }
 
+export class AuthenticationError extends APIError {}
+
+export class RateLimitError extends APIError {
+  /** Milliseconds until requests are allowed again, when announced */
+  retryAfter?: number;
+
+  constructor(message: string, statusCode: number, responseData?: APIErrorResponse, retryAfter?: number);
+}
+
+export class NotFoundError extends APIError {}
+
+export class AmountTooSmallError extends APIError {
+  /** Minimum amount, when the API reports it */
+  minimum?: number;
+
+  constructor(message: string, statusCode: number, responseData?: APIErrorResponse, minimum?: number);
+}
+
+export class CurrencyUnavailableError extends APIError {
+  currency?: string;
+
+  constructor(message: string, statusCode: number, responseData?: APIErrorResponse, currency?: string);
+}
+
+export class NetworkError extends NOWPaymentsError {
+  cause?: Error;
+
+  constructor(message: string, code?: string, cause?: Error);
+}
+
+export class TimeoutError extends NetworkError {
+  constructor(message: string, cause?: Error);
+}
+
 export class ValidationError extends NOWPaymentsError {
   details?: Record<string, any>;
 
@@ -40,3 +95,7 @@ export class ValidationError extends NOWPaymentsError {
 export class WebSocketError extends NOWPaymentsError {
   constructor(message: string, code: string, details?: Record<string, any>);
 }
+
+export class AbortError extends NOWPaymentsError {
+  constructor(message?: string, details?: Record<string, any>);
+}
@@ -0,0 +1,50 @@
+import { EventEmitter } from 'events';
+import { PaymentStatus, PaymentStatusType, RequestOptions } from 'nowpayments-api';
+import { IPNHandler, IPNHandlerOptions, IPNResult } from './ipn';
+import { Payment } from './models';
+import { NOWPaymentsWebSocket, WebSocketOptions } from './websocket';
+
+export interface PaymentEventsOptions {
+  /** Payments whose last status is remembered for deduplication (default 10000) */
+  maxPayments?: number;
+}
+
+export type PaymentEventSource = 'ipn' | 'websocket' | 'poll';
+
+export interface PaymentStatusChangedEvent {
+  type: 'payment.status_changed';
+  paymentId: string;
+  orderId?: string;
+  /** Last status seen for the payment, null for its first observation */
+  previous: PaymentStatusType | null;
+  current: PaymentStatusType;
+  source: PaymentEventSource;
+  /** `updated_at` as an ISO date, null when the source did not include it */
+  updatedAt: string | null;
+  payment: PaymentStatus | Payment;
+}
+
+export class PaymentEvents extends EventEmitter {
+  constructor(
+    client: {
+      getPaymentStatus(paymentId: string, options?: RequestOptions): Promise<PaymentStatus>;
+      verifyIPN(ipnData: Record<string, any>, signature: string): boolean;
+      createWebSocketClient(options?: WebSocketOptions): NOWPaymentsWebSocket;
+    },
+    options?: PaymentEventsOptions
+  );
+
+  readonly webSocket: NOWPaymentsWebSocket | null;
+
+  ingest(payment: PaymentStatus, source: PaymentEventSource): PaymentStatusChangedEvent | null;
+  getStatus(paymentId: string): PaymentStatusType | undefined;
+  handleIPN(body: Record<string, any> | string | Buffer, headers: Record<string, any>): Promise<IPNResult>;
+  createIPNHandler(options?: IPNHandlerOptions): IPNHandler;
+  poll(paymentId: string, options?: RequestOptions): Promise<Payment>;
+  attachWebSocket(webSocket: EventEmitter): void;
+  detachWebSocket(): void;
+  connectWebSocket(options?: WebSocketOptions): NOWPaymentsWebSocket;
+  close(): void;
+
+  on(event: 'payment.status_changed', listener: (event: PaymentStatusChangedEvent) => void): this;
+}
@@ -3,6 +3,29 @@ declare module 'nowpayments-api' {
     apiKey: string;
     ipnSecret?: string;
     sandbox?: boolean;
+    baseURL?: string;
+    credentials?: PayoutCredentials;
+    decimalAmounts?: boolean;
+    validateCurrencies?: boolean;
+    /** Check payout addresses and extra ids before sending (default true) */
+    validateAddresses?: boolean;
+    /** Client-side rate limit, or false to disable */
+    rateLimit?: import('./rateLimit').RateLimitOptions | false;
+    /** Send an Idempotency-Key header with mutations so they can be retried safely */
+    idempotencyKeys?: boolean;
+    currencyRegistry?: import('./currency').CurrencyRegistryOptions;
+    /** Return plain response data instead of Payment, Invoice and Payout models */
+    raw?: boolean;
+  }
+
+  /**
+   * Amount accepted by request methods: number, decimal string or lossless Amount
+   */
+  export type AmountValue = number | string | import('./amount').Amount;
+
+  export interface PayoutCredentials {
+    email: string;
+    password: string;
   }
 
   export type PaymentStatusType =
@@ -32,9 +55,18 @@ declare module 'nowpayments-api' {
     precision?: number;
   }
 
+  export interface EstimatePriceParams {
+    amount: AmountValue;
+    currency_from: string;
+    currency_to: string;
+    from_network?: string;
+    to_network?: string;
+  }
+
   export interface EstimatePrice {
     currency_from: string;
     currency_to: string;
+    amount_from?: number;
     estimated_amount: number;
     rate: number;
     from_network?: string;
@@ -51,9 +83,10 @@ declare module 'nowpayments-api' {
     pay_amount: number;
     actually_paid: number;
     pay_currency: string;
-    order_id: string;
-    order_description: string;
-    purchase_id: string;
+    order_id: string | null;
+    order_description: string | null;
+    purchase_id: string | null;
+    invoice_id?: string | number | null;
     created_at: string;
     updated_at: string;
     outcome_amount: number;
@@ -62,6 +95,15 @@ declare module 'nowpayments-api' {
     payin_hash?: string;
     payout_hash?: string;
     payment_extra_id?: string;
+    /** Set on fixed-rate payments: when the locked pay amount expires */
+    expiration_estimate_date?: string;
+  }
+
+  export interface PaymentEstimateUpdate {
+    id: string;
+    token_id: string;
+    pay_amount: number;
+    expiration_estimate_date: string;
   }
 
   export interface Invoice {
@@ -96,8 +138,14 @@ declare module 'nowpayments-api' {
     hash?: string;
   }
 
+  /** Response of payout creation: the batch id and its withdrawals */
+  export interface PayoutBatch {
+    id: string;
+    withdrawals: Payout[];
+  }
+
   export interface CreatePaymentParams {
-    price_amount: number;
+    price_amount: AmountValue;
     price_currency: string;
     pay_currency: string;
     ipn_callback_url?: string;
@@ -113,7 +161,7 @@ declare module 'nowpayments-api' {
   }
 
   export interface CreateInvoiceParams {
-    price_amount: number;
+    price_amount: AmountValue;
     price_currency: string;
     order_id?: string;
     order_description?: string;
@@ -125,9 +173,27 @@ declare module 'nowpayments-api' {
     payment_currency?: string;
   }
 
+  export interface ListInvoicesParams {
+    limit?: number;
+    page?: number;
+    orderBy?: 'asc' | 'desc';
+    dateFrom?: string;
+    dateTo?: string;
+  }
+
+  export interface CreateInvoicePaymentParams {
+    pay_currency: string;
+    purchase_id?: string;
+    order_description?: string;
+    customer_email?: string;
+    payout_address?: string;
+    payout_extra_id?: string;
+    payout_currency?: string;
+  }
+
   export interface CreatePayoutParams {
     address: string;
-    amount: number;
+    amount: AmountValue;
     currency: string;
     ipn_callback_url?: string;
     extra_id?: string;
@@ -141,9 +207,56 @@ declare module 'nowpayments-api' {
     orderBy?: 'asc' | 'desc';
     dateFrom?: string;
     dateTo?: string;
+    invoiceId?: string | number;
     status?: PaymentStatusType;
   }
 
+  export interface ListPayoutsParams {
+    batch_id?: string;
+    status?: string;
+    order_by?: 'id' | 'batchId' | 'dateCreated' | 'dateRequested' | 'dateUpdated' | 'currency' | 'status';
+    order?: 'asc' | 'desc';
+    date_from?: string;
+    date_to?: string;
+    limit?: number;
+    page?: number;
+  }
+
+  /**
+   * Per-call overrides accepted as the last argument of every request method
+   */
+  export interface RequestOptions {
+    /** Aborts the request and any pending retries */
+    signal?: AbortSignal;
+    /** Request timeout in milliseconds */
+    timeout?: number;
+    /** Retries after the first attempt (default 3) */
+    retries?: number;
+    /** Extra request headers */
+    headers?: Record<string, string>;
+    /** Set to false to skip client-side validation and response checks */
+    validate?: boolean;
+    /** Return plain response data instead of a model, overriding `APIConfig.raw` */
+    raw?: boolean;
+    /** Payout methods: reject payouts in tag or memo currencies that have no `extra_id` */
+    requireExtraId?: boolean;
+  }
+
+  /**
+   * Request options asking for plain response data
+   */
+  export type RawRequestOptions = RequestOptions & { raw: true };
+
+  export interface PollOptions {
+    /** Return plain response data instead of a model */
+    raw?: boolean;
+    timeout?: number;
+    signal?: AbortSignal;
+    interval?: number;
+    maxInterval?: number;
+    backoffFactor?: number;
+  }
+
   export interface PaginationResponse<T> {
     data: T[];
     pagination: {
@@ -154,11 +267,125 @@ declare module 'nowpayments-api' {
     };
   }
 
+  export type SubscriptionStatusType = 'WAITING_PAY' | 'PAID' | 'PARTIALLY_PAID' | 'EXPIRED';
+
+  export interface SubscriptionPlan {
+    id: string;
+    title: string;
+    interval_day: string | number;
+    amount: number;
+    currency: string;
+    ipn_callback_url?: string;
+    success_url?: string;
+    cancel_url?: string;
+    partially_paid_url?: string;
+    created_at: string;
+    updated_at: string;
+  }
+
+  export interface CreateSubscriptionPlanParams {
+    title: string;
+    /** Billing period in days */
+    interval_day: number;
+    amount: AmountValue;
+    currency: string;
+    ipn_callback_url?: string;
+    success_url?: string;
+    cancel_url?: string;
+    partially_paid_url?: string;
+  }
+
+  export type UpdateSubscriptionPlanParams = Partial<CreateSubscriptionPlanParams>;
+
+  export interface ListSubscriptionPlansParams {
+    limit?: number;
+    offset?: number;
+  }
+
+  export interface Subscription {
+    id: string;
+    subscription_plan_id: string;
+    is_active: boolean;
+    status: SubscriptionStatusType;
+    expire_date: string;
+    subscriber: { email?: string; sub_partner_id?: string };
+    created_at: string;
+    updated_at: string;
+  }
+
+  export interface CreateSubscriptionParams {
+    subscription_plan_id: string | number;
+    email: string;
+  }
+
+  export interface ListSubscriptionsParams {
+    status?: SubscriptionStatusType;
+    subscription_plan_id?: string | number;
+    is_active?: boolean;
+    limit?: number;
+    offset?: number;
+  }
+
+  export interface SubscriptionListResponse<T> {
+    result: T[];
+    count: number;
+  }
+
+  export interface Balance {
+    /** Upper-case currency code */
+    currency: string;
+    amount: import('./amount').Amount;
+    pendingAmount: import('./amount').Amount;
+  }
+
+  export type Balances = Record<string, Balance>;
+
+  export type ConversionStatusType = 'WAITING' | 'PROCESSING' | 'FINISHED' | 'REJECTED';
+
+  export interface Conversion {
+    id: string;
+    status: ConversionStatusType;
+    from_currency: string;
+    to_currency: string;
+    from_amount: number | string;
+    to_amount: number | string | null;
+    created_at: string;
+    updated_at: string;
+  }
+
+  export interface CreateConversionParams {
+    amount: AmountValue;
+    from_currency: string;
+    to_currency: string;
+  }
+
+  export interface ListConversionsParams {
+    id?: string | number;
+    status?: ConversionStatusType;
+    from_currency?: string;
+    to_currency?: string;
+    created_at_from?: string;
+    created_at_to?: string;
+    limit?: number;
+    offset?: number;
+    order?: 'ASC' | 'DESC';
+  }
+
+  export interface ConversionListResponse {
+    result: Conversion[];
+    count: number;
+  }
+
   export interface APIResponse<T> {
     statusCode: number;
     data: T;
   }
 
+  export interface MinimumPayoutAmount {
+    success: boolean;
+    result: number;
+  }
+
   export interface MinimumPaymentAmount {
     currency: string;
     min_amount: number;
@@ -168,30 +395,204 @@ declare module 'nowpayments-api' {
   export default class NowPaymentsAPI {
     constructor(config: APIConfig);
 
-    getStatus(): Promise<{ message: string }>;
+    readonly currencies: import('./currency').CurrencyRegistry;
+    readonly rateLimiter: import('./rateLimit').RateLimiter | null;
+    readonly custody: import('./custody').Custody;
+    readonly quotes: import('./quote').QuoteEngine;
+    readonly events: import('./events').PaymentEvents;
+    readonly sandbox: boolean;
+
+    authenticate(options?: RequestOptions): Promise<string>;
+
+    getStatus(options?: RequestOptions): Promise<{ message: string }>;
+
+    getCurrencies(options?: RequestOptions): Promise<Currency[]>;
+
+    getFullCurrencies(options?: RequestOptions): Promise<{ currencies: import('./currency').FullCurrency[] }>;
 
-    getCurrencies(): Promise<Currency[]>;
+    /** Formats with the precision from `currencies`, or the built-in table before it loads */
+    formatCurrencyAmount(amount: AmountValue, currency: string): string;
 
-    getEstimatePrice(params: {
-      amount: number;
-      currency_from: string;
-      currency_to: string;
-      from_network?: string;
-      to_network?: string;
-    }): Promise<EstimatePrice>;
+    getEstimatePrice(params: EstimatePriceParams, options?: RequestOptions): Promise<EstimatePrice>;
 
-    createPayment(payment: CreatePaymentParams): Promise<PaymentStatus>;
+    createPayment(payment: CreatePaymentParams, options: RawRequestOptions): Promise<PaymentStatus>;
+    createPayment(payment: CreatePaymentParams, options?: RequestOptions): Promise<import('./models').Payment>;
 
-    getPaymentStatus(paymentId: string): Promise<PaymentStatus>;
+    updatePaymentEstimate(
+      paymentId: string,
+      options?: RequestOptions
+    ): Promise<PaymentEstimateUpdate>;
 
-    getMinimumPaymentAmount(currency: string): Promise<MinimumPaymentAmount>;
+    getPaymentStatus(paymentId: string, options: RawRequestOptions): Promise<PaymentStatus>;
+    getPaymentStatus(paymentId: string, options?: RequestOptions): Promise<import('./models').Payment>;
 
-    createInvoice(invoice: CreateInvoiceParams): Promise<Invoice>;
+    getMinimumPaymentAmount(
+      currency: string,
+      options?: RequestOptions
+    ): Promise<MinimumPaymentAmount>;
 
-    getPayments(params?: GetPaymentsParams): Promise<PaginationResponse<PaymentStatus>>;
+    getMinimumPayoutAmount(currency: string, options?: RequestOptions): Promise<MinimumPayoutAmount>;
 
-    createPayout(payout: CreatePayoutParams): Promise<Payout>;
+    createInvoice(invoice: CreateInvoiceParams, options: RawRequestOptions): Promise<Invoice>;
+    createInvoice(invoice: CreateInvoiceParams, options?: RequestOptions): Promise<import('./models').Invoice>;
+
+    getInvoice(invoiceId: string, options: RawRequestOptions): Promise<Invoice>;
+    getInvoice(invoiceId: string, options?: RequestOptions): Promise<import('./models').Invoice>;
+
+    listInvoices(
+      params: ListInvoicesParams | undefined,
+      options: RawRequestOptions
+    ): Promise<PaginationResponse<Invoice>>;
+    listInvoices(
+      params?: ListInvoicesParams,
+      options?: RequestOptions
+    ): Promise<PaginationResponse<import('./models').Invoice>>;
+
+    createInvoicePayment(
+      invoiceId: string,
+      params: CreateInvoicePaymentParams,
+      options: RawRequestOptions
+    ): Promise<PaymentStatus>;
+    createInvoicePayment(
+      invoiceId: string,
+      params: CreateInvoicePaymentParams,
+      options?: RequestOptions
+    ): Promise<import('./models').Payment>;
+
+    getInvoicePayments(
+      invoiceId: string,
+      params: GetPaymentsParams | undefined,
+      options: RawRequestOptions
+    ): Promise<PaginationResponse<PaymentStatus>>;
+    getInvoicePayments(
+      invoiceId: string,
+      params?: GetPaymentsParams,
+      options?: RequestOptions
+    ): Promise<PaginationResponse<import('./models').Payment>>;
+
+    getPayments(
+      params: GetPaymentsParams | undefined,
+      options: RawRequestOptions
+    ): Promise<PaginationResponse<PaymentStatus>>;
+    getPayments(
+      params?: GetPaymentsParams,
+      options?: RequestOptions
+    ): Promise<PaginationResponse<import('./models').Payment>>;
+
+    iteratePayments(
+      params?: import('./pagination').IteratePaymentsParams,
+      options?: RequestOptions
+    ): import('./pagination').PaymentIterator;
+
+    createPayout(payout: CreatePayoutParams, options: RawRequestOptions): Promise<PayoutBatch>;
+    createPayout(
+      payout: CreatePayoutParams,
+      options?: RequestOptions
+    ): Promise<import('./models').PayoutBatch>;
+
+    createBatchPayout(
+      params: import('./advanced').BatchPayoutParams,
+      options: RawRequestOptions
+    ): Promise<PayoutBatch>;
+    createBatchPayout(
+      params: import('./advanced').BatchPayoutParams,
+      options?: RequestOptions
+    ): Promise<import('./models').PayoutBatch>;
+
+    getPayoutStatus(payoutId: string, options: RawRequestOptions): Promise<Payout>;
+    getPayoutStatus(payoutId: string, options?: RequestOptions): Promise<import('./models').Payout>;
+
+    listPayouts(
+      params: ListPayoutsParams | undefined,
+      options: RawRequestOptions
+    ): Promise<PaginationResponse<Payout>>;
+    listPayouts(
+      params?: ListPayoutsParams,
+      options?: RequestOptions
+    ): Promise<PaginationResponse<import('./models').Payout>>;
+
+    verifyPayout(batchId: string, code: string, options?: RequestOptions): Promise<any>;
+
+    cancelPayout(payoutId: string, options?: RequestOptions): Promise<any>;
+
+    waitForPayout(payoutId: string, options: PollOptions & { raw: true }): Promise<Payout>;
+    waitForPayout(payoutId: string, options?: PollOptions): Promise<import('./models').Payout>;
+
+    getBalance(options?: RequestOptions): Promise<Balances>;
+
+    createConversion(
+      params: CreateConversionParams,
+      options?: RequestOptions
+    ): Promise<{ result: Conversion }>;
+
+    getConversion(conversionId: string, options?: RequestOptions): Promise<{ result: Conversion }>;
+
+    listConversions(
+      params?: ListConversionsParams,
+      options?: RequestOptions
+    ): Promise<ConversionListResponse>;
+
+    waitForConversion(conversionId: string, options?: PollOptions): Promise<Conversion>;
+
+    createSubscriptionPlan(
+      plan: CreateSubscriptionPlanParams,
+      options?: RequestOptions
+    ): Promise<{ result: SubscriptionPlan }>;
+
+    updateSubscriptionPlan(
+      planId: string,
+      changes: UpdateSubscriptionPlanParams,
+      options?: RequestOptions
+    ): Promise<{ result: SubscriptionPlan }>;
+
+    getSubscriptionPlan(planId: string, options?: RequestOptions): Promise<{ result: SubscriptionPlan }>;
+
+    listSubscriptionPlans(
+      params?: ListSubscriptionPlansParams,
+      options?: RequestOptions
+    ): Promise<SubscriptionListResponse<SubscriptionPlan>>;
+
+    createSubscription(
+      params: CreateSubscriptionParams,
+      options?: RequestOptions
+    ): Promise<{ result: Subscription }>;
+
+    listSubscriptions(
+      params?: ListSubscriptionsParams,
+      options?: RequestOptions
+    ): Promise<SubscriptionListResponse<Subscription>>;
+
+    getSubscription(subscriptionId: string, options?: RequestOptions): Promise<{ result: Subscription }>;
+
+    deleteSubscription(subscriptionId: string, options?: RequestOptions): Promise<{ result: string }>;
+
+    getPaymentFlow(
+      paymentId: string,
+      options?: RequestOptions
+    ): Promise<import('./advanced').PaymentFlow>;
 
     verifyIPN(ipnData: Record<string, any>, signature: string): boolean;
+
+    createIPNHandler(options?: import('./ipn').IPNHandlerOptions): import('./ipn').IPNHandler;
+
+    ipnMiddleware(
+      options?: import('./ipn').IPNHandlerOptions & { framework?: import('./ipn').IPNFramework }
+    ): (...args: any[]) => any;
+
+    createPaymentTracker(
+      options?: import('./tracker').PaymentTrackerOptions
+    ): import('./tracker').PaymentTracker;
+
+    createBatchPayoutRunner(
+      options?: import('./batch').BatchPayoutRunnerOptions
+    ): import('./batch').BatchPayoutRunner;
+
+    createPayoutImporter(
+      options?: import('./payoutImport').PayoutImporterOptions
+    ): import('./payoutImport').PayoutImporter;
+
+    createWebSocketClient(
+      options?: import('./websocket').WebSocketOptions
+    ): import('./websocket').NOWPaymentsWebSocket;
   }
 }
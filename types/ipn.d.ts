@@ -0,0 +1,56 @@
+import { PaymentStatus, PaymentStatusType, SubscriptionStatusType } from 'nowpayments-api';
+
+export type IPNFramework = 'express' | 'fastify' | 'koa' | 'http';
+
+export type PaymentStatusCallback = (payment: PaymentStatus) => void | Promise<void>;
+
+export type PaymentStatusHandlers = Partial<Record<PaymentStatusType | '*', PaymentStatusCallback>>;
+
+/**
+ * Subscription status change, or a recurring payment when `is_recurring_payment` is set
+ */
+export interface SubscriptionIPN {
+  id?: string;
+  subscription_id?: string;
+  subscription_plan_id?: string;
+  status?: SubscriptionStatusType | string;
+  is_active?: boolean;
+  payment_id?: string;
+  payment_status?: PaymentStatusType;
+  created_at?: string;
+  updated_at?: string;
+  is_recurring_payment: boolean;
+  [key: string]: any;
+}
+
+export interface IPNHandlerOptions {
+  onPaymentStatus?: PaymentStatusCallback | PaymentStatusHandlers;
+  /** Receives subscription IPNs; without it, recurring payments go to onPaymentStatus */
+  onSubscription?: (subscription: SubscriptionIPN) => void | Promise<void>;
+  onError?: (error: Error, context: { statusCode: number; payment?: PaymentStatus }) => void;
+  respond?: boolean;
+}
+
+export interface IPNResult {
+  statusCode: number;
+  body: { status: 'ok' | 'error'; message?: string };
+  payment?: PaymentStatus;
+  subscription?: SubscriptionIPN;
+  error?: Error;
+}
+
+export class IPNHandler {
+  static SIGNATURE_HEADER: string;
+  static FRAMEWORKS: IPNFramework[];
+
+  constructor(
+    verifier: { verifyIPN(ipnData: Record<string, any>, signature: string): boolean },
+    options?: IPNHandlerOptions
+  );
+
+  handle(body: Record<string, any> | string | Buffer, headers?: Record<string, any>): Promise<IPNResult>;
+  express(): (req: any, res: any, next?: (err?: any) => void) => Promise<void>;
+  http(): (req: any, res: any) => Promise<void>;
+  fastify(): (request: any, reply: any) => Promise<IPNResult['body']>;
+  koa(): (ctx: any, next: () => Promise<any>) => Promise<void>;
+}
@@ -0,0 +1,71 @@
+import {
+  CreateInvoicePaymentParams,
+  GetPaymentsParams,
+  Invoice as InvoiceData,
+  PaginationResponse,
+  PaymentStatus,
+  Payout as PayoutData,
+  PayoutBatch as PayoutBatchData,
+  PollOptions,
+  RequestOptions
+} from 'nowpayments-api';
+import { Amount } from './amount';
+import { ValidationError } from './errors';
+import { PaymentFlow, PaymentStatusExtended } from './advanced';
+
+type AmountField = 'price_amount' | 'pay_amount' | 'actually_paid' | 'outcome_amount' | 'amount';
+
+/** Response fields after coercion: decimal string amounts as Amount and dates as Date */
+type Coerced<T> = {
+  [K in keyof Omit<T, 'created_at' | 'updated_at'>]: K extends AmountField ? T[K] | Amount : T[K];
+} & { created_at: Date; updated_at: Date };
+
+export abstract class Model<T> {
+  constructor(client: any, data: T, options?: RequestOptions);
+  /** Set when the response did not match the model schema; the fields then hold it as received */
+  validationError?: ValidationError;
+  /** Response data as received, before coercion */
+  toJSON(): T;
+}
+
+export interface Payment extends Omit<Coerced<PaymentStatus>, 'expiration_estimate_date'> {
+  expiration_estimate_date?: Date;
+}
+
+export class Payment extends Model<PaymentStatus> {
+  refresh(options?: RequestOptions): Promise<this>;
+  isFinal(): boolean;
+  isFullyPaid(): boolean;
+  isExpired(): boolean;
+  /** Milliseconds left in the payment window */
+  remainingTime(): number;
+  /** Amount still missing from the pay amount, zero when fully paid */
+  shortfall(): Amount;
+  flow(options?: RequestOptions): Promise<PaymentFlow>;
+  toExtended(): PaymentStatusExtended;
+}
+
+export interface Invoice extends Coerced<InvoiceData> {}
+
+export class Invoice extends Model<InvoiceData> {
+  refresh(options?: RequestOptions): Promise<this>;
+  createPayment(params: CreateInvoicePaymentParams, options?: RequestOptions): Promise<Payment>;
+  payments(params?: GetPaymentsParams, options?: RequestOptions): Promise<PaginationResponse<Payment>>;
+}
+
+export interface Payout extends Coerced<PayoutData> {}
+
+export class Payout extends Model<PayoutData> {
+  refresh(options?: RequestOptions): Promise<this>;
+  isFinal(): boolean;
+  wait(options?: PollOptions): Promise<this>;
+  cancel(options?: RequestOptions): Promise<any>;
+}
+
+export interface PayoutBatch extends Omit<PayoutBatchData, 'withdrawals'> {}
+
+export class PayoutBatch extends Model<PayoutBatchData> {
+  withdrawals: Payout[];
+  /** Confirms the batch with the 2FA code */
+  verify(code: string, options?: RequestOptions): Promise<any>;
+}
@@ -0,0 +1,28 @@
+import { GetPaymentsParams, PaymentStatus, RequestOptions } from 'nowpayments-api';
+import { Payment } from './models';
+
+export interface PaymentCursor {
+  windowIndex: number;
+  page: number;
+  offset: number;
+}
+
+export interface IteratePaymentsParams extends GetPaymentsParams {
+  windowSize?: number;
+  concurrency?: number;
+  cursor?: PaymentCursor;
+}
+
+/** Yields Payment models, or plain PaymentStatus data with the `raw` option */
+export class PaymentIterator implements AsyncIterable<Payment | PaymentStatus> {
+  constructor(
+    client: { getPayments(params?: GetPaymentsParams, options?: RequestOptions): Promise<any> },
+    params?: IteratePaymentsParams,
+    options?: RequestOptions
+  );
+
+  readonly cursor: PaymentCursor | null;
+
+  toArray(): Promise<Array<Payment | PaymentStatus>>;
+  [Symbol.asyncIterator](): AsyncGenerator<Payment | PaymentStatus>;
+}
@@ -0,0 +1,77 @@
+import { RequestOptions } from 'nowpayments-api';
+import { Amount } from './amount';
+import { BatchPayoutItem, BatchPayoutReport, BatchPayoutRunParams, BatchPayoutRunnerOptions } from './batch';
+import { BatchPayoutParams } from './advanced';
+import { PayoutBatch } from './models';
+
+export type PayoutImportField = 'address' | 'amount' | 'currency' | 'extra_id';
+
+export interface PayoutImporterOptions {
+  /** Field delimiter (default detected from the header line: tab, semicolon or comma) */
+  delimiter?: string;
+  /** Header name per field, replacing the built-in aliases */
+  columns?: Partial<Record<PayoutImportField, string>>;
+  /** Amount per currency above which a row gets a warning */
+  largeAmounts?: Record<string, string | number>;
+  /** Without a threshold, amounts this many times the currency's median get a warning (default 10) */
+  largeAmountFactor?: number;
+  /** Options for the runner used when importing with a `runId` */
+  runner?: BatchPayoutRunnerOptions;
+}
+
+export interface PayoutImportRow {
+  /** Line of the file the row starts on */
+  line: number;
+  /** Every column of the row by header name */
+  fields: Record<string, string>;
+  payout: BatchPayoutItem;
+  errors: string[];
+  warnings: string[];
+}
+
+export interface PayoutImportReport {
+  /** Whether no row has errors */
+  valid: boolean;
+  rows: PayoutImportRow[];
+  /** Payouts of the rows without errors */
+  payouts: BatchPayoutItem[];
+  totals: Record<string, { count: number; amount: Amount }>;
+  errorCount: number;
+  warningCount: number;
+  /** Warnings about the whole file */
+  warnings: string[];
+}
+
+/** Processing options are passed to the BatchPayoutRunner and only apply with a `runId` */
+export type PayoutImportParams = Partial<Omit<BatchPayoutRunParams, 'runId' | 'payouts'>> & {
+  /** Only check the file */
+  dryRun?: boolean;
+  /** Send through a BatchPayoutRunner under this run id instead of as one batch */
+  runId?: string;
+};
+
+export interface PayoutImportResult {
+  report: PayoutImportReport;
+  /** Created batch, or the run report with a `runId`; absent on dry runs */
+  result?: PayoutBatch | BatchPayoutReport;
+}
+
+export class PayoutImporter {
+  constructor(
+    client: {
+      createBatchPayout(params: BatchPayoutParams, options?: RequestOptions): Promise<any>;
+      getMinimumPayoutAmount(currency: string, options?: RequestOptions): Promise<{ result: number }>;
+    },
+    options?: PayoutImporterOptions
+  );
+
+  parse(input: string | Buffer): Pick<PayoutImportRow, 'line' | 'fields' | 'payout'>[];
+  validate(input: string | Buffer): Promise<PayoutImportReport>;
+  import(
+    input: string | Buffer,
+    params?: PayoutImportParams,
+    options?: RequestOptions
+  ): Promise<PayoutImportResult>;
+
+  static format(report: PayoutImportReport): string;
+}
@@ -0,0 +1,86 @@
+import {
+  AmountValue,
+  CreatePaymentParams,
+  EstimatePrice,
+  EstimatePriceParams,
+  PaymentStatus,
+  RequestOptions
+} from 'nowpayments-api';
+import { Amount } from './amount';
+
+export interface AutoRefreshOptions {
+  /** Refresh this many milliseconds before expiry (default 30000) */
+  margin?: number;
+  /** Stops refreshing when aborted */
+  signal?: AbortSignal;
+  onRefresh?: (quote: Quote) => void;
+  /** Called once when a refresh fails; refreshing then stops */
+  onError?: (error: Error) => void;
+}
+
+export interface QuoteJSON {
+  currency_from: string;
+  currency_to: string;
+  amount_from: string;
+  amount: string;
+  rate?: string;
+  payment_id?: string;
+  expires_at: string | null;
+}
+
+export class Quote {
+  readonly currencyFrom: string;
+  readonly currencyTo: string;
+  readonly amountFrom: Amount;
+  amount: Amount;
+  rate?: Amount;
+  /** Unix time in milliseconds, null when the quote does not expire */
+  expiresAt: number | null;
+  readonly paymentId?: string;
+  readonly params?: EstimatePriceParams;
+  refreshedAt: number;
+  readonly isFixedRate: boolean;
+
+  static fromEstimate(client: any, params: EstimatePriceParams, estimate: EstimatePrice): Quote;
+  static fromPayment(client: any, payment: PaymentStatus): Quote;
+
+  expiresIn(now?: number): number;
+  isExpired(now?: number): boolean;
+  isStale(margin?: number): boolean;
+  refresh(options?: RequestOptions): Promise<Quote>;
+  ensureFresh(margin?: number, options?: RequestOptions): Promise<Quote>;
+  /** Returns a function that stops refreshing */
+  autoRefresh(options?: AutoRefreshOptions): () => void;
+  toJSON(): QuoteJSON;
+}
+
+export interface RankCurrenciesParams {
+  price_amount: AmountValue;
+  price_currency: string;
+  /** Candidate pay currencies */
+  currencies: string[];
+}
+
+export interface RankedCurrency {
+  currency: string;
+  /** Whether the estimate reaches the minimum payment amount */
+  payable: boolean;
+  quote?: Quote;
+  minAmount?: Amount;
+  /** Estimated amount divided by the minimum amount */
+  headroom?: number;
+  /** Why the currency is not payable */
+  reason?: string;
+}
+
+export class QuoteEngine {
+  constructor(client: any);
+
+  estimate(params: EstimatePriceParams, options?: RequestOptions): Promise<Quote>;
+  forPayment(payment: PaymentStatus): Quote;
+  createFixedRatePayment(
+    payment: CreatePaymentParams,
+    options?: RequestOptions
+  ): Promise<{ payment: PaymentStatus; quote: Quote }>;
+  rankCurrencies(params: RankCurrenciesParams, options?: RequestOptions): Promise<RankedCurrency[]>;
+}
@@ -0,0 +1,47 @@
+export interface RateLimitBucket {
+  /** Maximum number of tokens (burst size) */
+  capacity: number;
+  /** Tokens added per millisecond */
+  refillPerMs: number;
+}
+
+/**
+ * Token bucket state backend; share one between processes to share a budget
+ */
+export interface RateLimitStore {
+  /** Takes a token; resolves to 0 on success or the milliseconds to wait */
+  consume(key: string, bucket: RateLimitBucket): Promise<number>;
+  /** Blocks the bucket until the given Unix time in milliseconds */
+  pause(key: string, until: number): Promise<void>;
+}
+
+export interface RateLimitOptions {
+  /** Sustained request rate (default 100) */
+  requestsPerMinute?: number;
+  /** Requests allowed back to back before throttling (default 20) */
+  burst?: number;
+  /** State backend (default in-memory) */
+  store?: RateLimitStore;
+  /** Bucket key (default derived from the API key) */
+  key?: string;
+}
+
+export class MemoryRateLimitStore implements RateLimitStore {
+  consume(key: string, bucket: RateLimitBucket): Promise<number>;
+  pause(key: string, until: number): Promise<void>;
+}
+
+export class RateLimiter {
+  readonly requestsPerMinute: number;
+  readonly burst: number;
+  readonly store: RateLimitStore;
+  readonly key: string;
+
+  constructor(options?: RateLimitOptions);
+
+  /** Rejects with AbortError when the signal aborts before a token is available */
+  acquire(signal?: AbortSignal): Promise<void>;
+  pause(ms: number): Promise<void>;
+
+  static getRetryDelay(headers?: Record<string, any>): number | undefined;
+}
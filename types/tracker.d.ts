@@ -0,0 +1,48 @@
+import { EventEmitter } from 'events';
+import { PaymentStatus, PaymentStatusType } from 'nowpayments-api';
+
+export interface PaymentTrackerOptions {
+  webSocket?: EventEmitter;
+  pollInterval?: number;
+  maxPollInterval?: number;
+  backoffFactor?: number;
+}
+
+export type PaymentUpdateSource = 'websocket' | 'poll' | 'manual';
+
+export interface PaymentTransition {
+  paymentId: string;
+  from: PaymentStatusType | null;
+  to: PaymentStatusType;
+  payment: PaymentStatus;
+  source: PaymentUpdateSource;
+}
+
+export interface WaitOptions {
+  timeout?: number;
+  signal?: AbortSignal;
+}
+
+export class PaymentTracker extends EventEmitter {
+  constructor(
+    client: { getPaymentStatus(paymentId: string, options?: { raw?: boolean }): Promise<PaymentStatus> },
+    options?: PaymentTrackerOptions
+  );
+
+  attachWebSocket(webSocket: EventEmitter): void;
+  detachWebSocket(): void;
+  track(paymentId: string): PaymentStatus | undefined;
+  untrack(paymentId: string): void;
+  getStatus(paymentId: string): PaymentStatus | undefined;
+  waitForFinalStatus(paymentId: string, options?: WaitOptions): Promise<PaymentStatus>;
+  update(payment: PaymentStatus, source?: PaymentUpdateSource): boolean;
+  stop(): void;
+
+  on(event: 'transition' | 'invalid_transition', listener: (transition: PaymentTransition) => void): this;
+  on(event: 'final', listener: (payment: PaymentStatus, transition: PaymentTransition) => void): this;
+  on(event: 'poll_error', listener: (error: Error, paymentId: string) => void): this;
+  on(
+    event: PaymentStatusType,
+    listener: (payment: PaymentStatus, transition: PaymentTransition) => void
+  ): this;
+}
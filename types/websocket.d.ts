@@ -1,17 +1,44 @@
+import { EventEmitter } from 'events';
+import { GetPaymentsParams, PaymentStatus } from 'nowpayments-api';
+
 export interface WebSocketOptions {
+  /** Reconnect attempts after an unexpected disconnect; `Infinity` never gives up, 0 never reconnects */
   maxReconnectAttempts?: number;
+  /** Delay before the first reconnect, doubled on every further attempt */
   reconnectDelay?: number;
+  /** Upper bound of the reconnect delay */
+  maxReconnectDelay?: number;
+  /** Fraction (0-1) of the reconnect delay randomly taken off to spread out reconnecting clients */
+  reconnectJitter?: number;
   pingInterval?: number;
   pongTimeout?: number;
   endpoint?: string;
+  /** Connect to the sandbox endpoint when no `endpoint` is given */
+  sandbox?: boolean;
+  /** REST client used to backfill updates missed while disconnected */
+  restClient?: {
+    getPaymentStatus(paymentId: string, options?: { raw?: boolean }): Promise<PaymentStatus>;
+    iteratePayments(params?: GetPaymentsParams, options?: { raw?: boolean }): AsyncIterable<PaymentStatus>;
+  };
 }
 
+export type ConnectionStateName = 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closing' | 'closed';
+
 export interface ConnectionState {
+  state: ConnectionStateName;
   isConnected: boolean;
+  /** When the socket last opened */
   lastConnected?: Date;
+  /** When the last heartbeat ping was sent */
+  lastPing?: Date;
   reconnectAttempts: number;
 }
 
+export interface StateChangeEvent {
+  from: ConnectionStateName;
+  to: ConnectionStateName;
+}
+
 export interface PaymentUpdateEvent {
   type: 'payment_update';
   data: {
@@ -23,13 +50,63 @@ export interface PaymentUpdateEvent {
     pay_amount: number;
     actually_paid: number;
     pay_currency: string;
+    order_id?: string;
     created_at: string;
     updated_at: string;
+    /** Set on updates fetched through REST after a reconnect */
+    replayed?: boolean;
   };
+  replayed?: boolean;
 }
 
-export interface WebSocketError {
-  code: string;
-  message: string;
-  details?: Record<string, any>;
+/** Emitted with `code` MessageParseError, WebSocketError, MaxReconnectError or GapFillError */
+export type WebSocketError = import('./errors').WebSocketError;
+
+/** Payment id, or an object naming a payment or every payment of an order */
+export type WatchTarget = string | number | { paymentId: string | number } | { orderId: string };
+
+export class PaymentWatcher
+  extends EventEmitter
+  implements AsyncIterable<PaymentUpdateEvent['data']>
+{
+  readonly paymentId?: string;
+  readonly orderId?: string;
+  readonly key: string;
+  /** Last update received */
+  readonly payment?: PaymentUpdateEvent['data'];
+  readonly closed: boolean;
+
+  static normalizeTarget(target: WatchTarget): { paymentId?: string; orderId?: string };
+  static keyOf(target: { paymentId?: string; orderId?: string }): string;
+
+  push(payment: PaymentUpdateEvent['data']): void;
+  close(): void;
+  [Symbol.asyncIterator](): AsyncIterator<PaymentUpdateEvent['data']>;
+
+  on(event: 'update' | 'final', listener: (payment: PaymentUpdateEvent['data']) => void): this;
+  on(event: 'close', listener: () => void): this;
+}
+
+export class NOWPaymentsWebSocket extends EventEmitter {
+  constructor(apiKey: string, options?: WebSocketOptions);
+
+  readonly state: ConnectionStateName;
+  readonly isConnected: boolean;
+
+  connect(): void;
+  close(): void;
+  getState(): ConnectionState;
+  watch(target: WatchTarget): PaymentWatcher;
+
+  on(event: 'connected', listener: () => void): this;
+  on(event: 'disconnected', listener: (reason: string) => void): this;
+  on(event: 'payment_update', listener: (update: PaymentUpdateEvent) => void): this;
+  /** Any frame other than payment_update, e.g. subscription acknowledgements */
+  on(event: 'message', listener: (message: Record<string, any>) => void): this;
+  on(event: 'reconnecting', listener: (attempt: number, delay: number) => void): this;
+  on(event: 'stateChange', listener: (change: StateChangeEvent) => void): this;
+  /** Emitted after a reconnect backfill with the number of replayed updates */
+  on(event: 'backfilled', listener: (replayed: number) => void): this;
+  on(event: 'pong', listener: (latency: number) => void): this;
+  on(event: 'error', listener: (error: WebSocketError) => void): this;
 }